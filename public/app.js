@@ -1,6 +1,10 @@
 const countEl = document.getElementById("count");
 const directEl = document.getElementById("direct");
 const totalUniqueEl = document.getElementById("total-unique");
+const networkContainer = document.getElementById("network-container");
+const networkEl = document.getElementById("network-estimate");
+const activeContainer = document.getElementById("active-container");
+const activeEl = document.getElementById("active-counts");
 const canvas = document.getElementById("network");
 const ctx = canvas.getContext("2d");
 let particles = [];
@@ -110,6 +114,8 @@ document.getElementById("diagnosticsModal").addEventListener("click", (e) => {
 document.addEventListener("keydown", (e) => {
   if (e.key === "Escape") {
     closeDiagnostics();
+    closePeers();
+    closeTopology();
     closeMap();
   }
 });
@@ -118,26 +124,18 @@ document.addEventListener("keydown", (e) => {
 let map = null;
 let mapInitialized = false;
 let peerMarkers = {}; // id -> marker
-let ipCache = {}; // ip -> { lat, lon }
 let lastPeerData = [];
-let myLocation = null;
+let lastGeoPeers = null;
 
-const fetchMyLocation = async () => {
-  if (myLocation) return;
+// Locations come from the node's own GeoIP database, peer IPs never leave it
+const loadGeo = async () => {
+  lastGeoPeers = lastPeerData.map((p) => p.id).join(",");
   try {
-    const res = await fetch("https://ipwho.is/");
-    const data = await res.json();
-    if (data.success) {
-      myLocation = {
-        lat: data.latitude,
-        lon: data.longitude,
-        city: data.city,
-        country: data.country,
-      };
-      updateMap(lastPeerData);
-    }
+    const res = await fetch("/api/peers/geo");
+    if (!res.ok) return;
+    updateMap(await res.json());
   } catch (e) {
-    console.error("My location fetch failed", e);
+    console.error("Geo fetch failed", e);
   }
 };
 
@@ -151,11 +149,7 @@ const openMap = () => {
     }, 100);
   }
 
-  fetchMyLocation();
-
-  if (lastPeerData.length > 0) {
-    updateMap(lastPeerData);
-  }
+  loadGeo();
 };
 
 const closeMap = () => {
@@ -187,81 +181,82 @@ const initMap = () => {
   }, 100);
 };
 
-const fetchLocation = async (ip) => {
-  if (ipCache[ip]) return ipCache[ip];
-
-  // Skip local IPs
-  if (
-    ip === "127.0.0.1" ||
-    ip === "::1" ||
-    ip.startsWith("192.168.") ||
-    ip.startsWith("10.") ||
-    ip.startsWith("172.16.")
-  ) {
-    return null;
-  }
+const formatPlace = (loc) => [loc.city, loc.country].filter(Boolean).join(", ") || "Unknown location";
 
-  try {
-    const res = await fetch(`https://ipwho.is/${ip}`);
-    const data = await res.json();
-    if (data.success) {
-      const loc = {
-        lat: data.latitude,
-        lon: data.longitude,
-        city: data.city,
-        country: data.country,
-      };
-      ipCache[ip] = loc;
-      return loc;
-    }
-  } catch (e) {
-    console.error("Geo fetch failed", e);
+const mapNotice = (geo) => {
+  if (geo.privacy === "none") return "This node doesn't share where its peers are.";
+  if (!geo.enabled) {
+    return "No GeoIP database on this node. Put a MaxMind-format City database at GEOIP_DB to place peers on the map.";
   }
-  return null;
+  return "";
 };
 
-const updateMap = async (peers) => {
+const updateMap = (geo) => {
   if (!mapInitialized) return;
-  if (!peers) peers = [];
 
-  const currentIds = new Set(peers.map((p) => p.id));
+  const notice = mapNotice(geo);
+  const noticeEl = document.getElementById("map-notice");
+  noticeEl.textContent = notice;
+  noticeEl.classList.toggle("hidden", !notice);
+
+  // With PEER_PRIVACY=country the node only sends per-country counts
+  const countries = geo.peers.length ? [] : geo.countries;
+  const currentIds = new Set([
+    ...geo.peers.map((p) => p.id),
+    ...countries.map((c) => `country:${c.countryCode}`),
+  ]);
 
   // Remove old markers
   for (const id in peerMarkers) {
-    if (id !== "me" && !currentIds.has(id)) {
+    if (id === "me" ? !geo.self : !currentIds.has(id)) {
       map.removeLayer(peerMarkers[id]);
       delete peerMarkers[id];
     }
   }
 
-  // Add/Update markers
-  for (const peer of peers) {
-    if (!peer.ip) continue;
-
-    if (!peerMarkers[peer.id]) {
-      const loc = await fetchLocation(peer.ip);
-      if (loc) {
-        const marker = L.circleMarker([loc.lat, loc.lon], {
-          radius: 10,
-          fillColor: "#4ade80",
-          color: "transparent",
-          weight: 0,
-          opacity: 0,
-          fillOpacity: 0.15,
-        }).addTo(map);
-
-        const peerName = window.generateScreenname
-          ? window.generateScreenname(peer.id)
-          : peer.id.slice(-8);
-        marker.bindPopup(`<b>${peerName}</b><br>${loc.city}, ${loc.country}`);
-        peerMarkers[peer.id] = marker;
-      }
+  // Add new markers
+  for (const peer of geo.peers) {
+    if (peerMarkers[peer.id]) continue;
+
+    const marker = L.circleMarker([peer.lat, peer.lon], {
+      radius: 10,
+      fillColor: "#4ade80",
+      color: "transparent",
+      weight: 0,
+      opacity: 0,
+      fillOpacity: 0.15,
+    }).addTo(map);
+
+    marker.bindPopup(`<b>${peer.screenname}</b><br>${formatPlace(peer)}`);
+    peerMarkers[peer.id] = marker;
+  }
+
+  for (const country of countries) {
+    const key = `country:${country.countryCode}`;
+    const popup = `<b>${country.country || country.countryCode}</b><br>${country.count} peer${country.count === 1 ? "" : "s"}`;
+    const radius = 8 + Math.sqrt(country.count) * 4;
+
+    if (peerMarkers[key]) {
+      peerMarkers[key].setRadius(radius).setPopupContent(popup);
+      continue;
     }
+
+    const marker = L.circleMarker([country.lat, country.lon], {
+      radius,
+      fillColor: "#4ade80",
+      color: "transparent",
+      weight: 0,
+      opacity: 0,
+      fillOpacity: 0.25,
+    }).addTo(map);
+
+    marker.bindPopup(popup);
+    peerMarkers[key] = marker;
   }
 
   // Add My Location
-  if (myLocation && !peerMarkers["me"]) {
-    const marker = L.circleMarker([myLocation.lat, myLocation.lon], {
+  if (geo.self && !peerMarkers["me"]) {
+    const marker = L.circleMarker([geo.self.lat, geo.self.lon], {
       radius: 6,
       fillColor: "#ffffff",
       color: "#4ade80",
@@ -270,9 +265,7 @@ const updateMap = async (peers) => {
       fillOpacity: 1,
     }).addTo(map);
 
-    marker.bindPopup(
-      `<b>This Node</b><br>${myLocation.city}, ${myLocation.country}`
-    );
+    marker.bindPopup(`<b>This Node</b><br>${formatPlace(geo.self)}`);
     peerMarkers["me"] = marker;
   }
 };
@@ -286,6 +279,9 @@ const mapContainer = document.getElementById("map-container");
 const promptEl = document.querySelector(".prompt");
 let myId = null;
 let myChatHistory = [];
+let joinedChannels = [];
+let currentChannel = null; // null is the main (global) stream
+const unreadCounts = new Map();
 let globalChatEnabled = true;
 let showTimestamp = localStorage.getItem("showTimestamp") === "true";
 let blockedUsers = new Set(
@@ -512,7 +508,7 @@ const appendMessage = (msg) => {
 
     const timestampSpan = document.createElement("span");
     timestampSpan.className = "timestamp";
-    const date = new Date();
+    const date = new Date(msg.timestamp || Date.now());
     timestampSpan.innerText = `[${date
       .getHours()
       .toString()
@@ -554,12 +550,94 @@ const appendMessage = (msg) => {
     div.appendChild(timestampSpan);
     div.appendChild(senderSpan);
     div.appendChild(contentSpan);
+
+    const channel = msg.channel || null;
+    div.dataset.channel = channel || "";
+    if (channel !== currentChannel) {
+      div.classList.add("channel-hidden");
+      if (!msg.replay && msg.sender !== myId) {
+        unreadCounts.set(channel, (unreadCounts.get(channel) || 0) + 1);
+        renderChannelBar();
+      }
+    }
   }
 
   terminalOutput.appendChild(div);
   terminalOutput.scrollTop = terminalOutput.scrollHeight;
 };
 
+const renderChannelBar = () => {
+  const bar = document.getElementById("channel-bar");
+  bar.classList.toggle("hidden", joinedChannels.length === 0);
+  bar.innerHTML = "";
+
+  for (const channel of [null, ...joinedChannels]) {
+    const tab = document.createElement("span");
+    tab.className = "channel-tab";
+    if (channel === currentChannel) tab.classList.add("active");
+    tab.innerText = channel ? `#${channel}` : "#global";
+
+    const unread = unreadCounts.get(channel);
+    if (unread) {
+      const badge = document.createElement("span");
+      badge.className = "channel-unread";
+      badge.innerText = `(${unread})`;
+      tab.appendChild(badge);
+    }
+
+    tab.onclick = () => switchChannel(channel);
+    bar.appendChild(tab);
+  }
+};
+
+const switchChannel = (channel) => {
+  currentChannel = channel;
+  unreadCounts.delete(channel);
+
+  for (const div of terminalOutput.children) {
+    if (div.dataset.channel === undefined) continue;
+    div.classList.toggle("channel-hidden", (div.dataset.channel || null) !== channel);
+  }
+
+  terminalInput.placeholder = channel ? `Message #${channel}...` : "Broadcast...";
+  terminalOutput.scrollTop = terminalOutput.scrollHeight;
+  renderChannelBar();
+};
+
+const updateChannels = (channels) => {
+  joinedChannels = channels;
+  for (const channel of unreadCounts.keys()) {
+    if (channel && !channels.includes(channel)) unreadCounts.delete(channel);
+  }
+  if (currentChannel && !channels.includes(currentChannel)) {
+    switchChannel(null);
+  } else {
+    renderChannelBar();
+  }
+};
+
+const changeChannel = async (method, channel) => {
+  const path =
+    method === "POST" ? "/api/chat/channels" : `/api/chat/channels/${encodeURIComponent(channel)}`;
+  try {
+    const res = await fetch(path, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: method === "POST" ? JSON.stringify({ channel }) : undefined,
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      systemStatusBar.innerText = `[SYSTEM] ${data.error}`;
+      return false;
+    }
+    updateChannels(data.channels);
+    return true;
+  } catch (err) {
+    console.error("Failed to change channel", err);
+    return false;
+  }
+};
+
 terminalInput.addEventListener("keypress", async (e) => {
   // Init audio context on first interaction
   if (window.SoundManager) {
@@ -596,7 +674,24 @@ terminalInput.addEventListener("keypress", async (e) => {
     let scope = "GLOBAL";
     let target = null;
 
-    if (content.startsWith("/local ")) {
+    if (content.startsWith("/join ")) {
+      const channel = content.replace(/^\/join\s+#?/, "").trim().toLowerCase();
+      if (await changeChannel("POST", channel)) {
+        switchChannel(channel);
+        systemStatusBar.innerText = `[SYSTEM] Joined #${channel}`;
+      }
+      return;
+    } else if (content === "/leave" || content.startsWith("/leave ")) {
+      const channel = content.replace(/^\/leave\s*#?/, "").trim().toLowerCase() || currentChannel;
+      if (!channel) {
+        systemStatusBar.innerText = "[SYSTEM] Usage: /leave <channel>";
+        return;
+      }
+      if (await changeChannel("DELETE", channel)) {
+        systemStatusBar.innerText = `[SYSTEM] Left #${channel}`;
+      }
+      return;
+    } else if (content.startsWith("/local ")) {
       scope = "LOCAL";
       content = content.replace(/^\/local\s+/, "").trim();
       if (!content) return;
@@ -670,7 +765,12 @@ terminalInput.addEventListener("keypress", async (e) => {
       const res = await fetch("/api/chat", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ content, scope, target }),
+        body: JSON.stringify({
+          content,
+          scope,
+          target,
+          channel: scope === "GLOBAL" && !target ? currentChannel : null,
+        }),
       });
 
       if (res.ok) {
@@ -706,8 +806,109 @@ const formatBandwidth = (bytes, short = false) => {
   }
 };
 
+const updateAuthState = (authEnabled, role, loggedIn) => {
+  const authContainer = document.getElementById("auth-container");
+  const authLink = document.getElementById("auth-link");
+  const terminalLogin = document.getElementById("terminal-login");
+  const readOnly = authEnabled && role !== "operator";
+
+  authContainer.classList.toggle("hidden", !authEnabled);
+  terminalInput.classList.toggle("hidden", readOnly);
+  promptEl.classList.toggle("hidden", readOnly);
+  terminalLogin.classList.toggle("hidden", !readOnly);
+
+  authLink.innerText = loggedIn ? "logout" : "login";
+};
+
+document.getElementById("auth-link").addEventListener("click", async (e) => {
+  if (e.target.innerText === "login") {
+    window.location.href = "/login";
+    return;
+  }
+
+  try {
+    await fetch("/api/auth/logout", { method: "POST" });
+  } catch (err) {
+    console.error("Failed to log out", err);
+  }
+  window.location.reload();
+});
+
 const evtSource = new EventSource("/events");
 
+const topicContainer = document.getElementById("topic-container");
+const topicSelect = document.getElementById("topic-select");
+let selectedTopic = localStorage.getItem("selectedTopic");
+let lastTopics = [];
+let lastNetwork = null;
+let lastActive = null;
+
+// Merged estimate from every node gossiping its sketch, and active nodes over rolling
+// windows. Only the primary topic has them.
+const updateNetwork = () => {
+  if (!networkEl) return;
+  const primary = !lastTopics.length || lastTopics[0].name === selectedTopic;
+  networkContainer.classList.toggle("hidden", !lastNetwork || !lastNetwork.reporters || !primary);
+  activeContainer.classList.toggle("hidden", !lastActive || !primary);
+
+  if (lastActive) {
+    activeEl.innerText = `${lastActive.daily} / ${lastActive.weekly} / ${lastActive.monthly}`;
+    activeEl.title = lastActive.since
+      ? `Distinct nodes seen, counted since ${new Date(lastActive.since).toLocaleString()}`
+      : "";
+  }
+  if (!lastNetwork) return;
+
+  const { unique, reporters, rejected, spread, peers, view } = lastNetwork;
+  networkEl.innerText = `${unique.estimate} (${unique.low}–${unique.high})`;
+  networkEl.title =
+    `${unique.confidence * 100}% bounds, merged from ${reporters + 1} nodes` +
+    (rejected ? `, ${rejected} implausible ignored. ` : ". ") +
+    `My view: ${view.unique} unique, ${view.peers} active. ` +
+    `Unique per node: min ${spread.min}, median ${spread.median}, max ${spread.max}. ` +
+    `Active per node: min ${peers.min}, median ${peers.median}, max ${peers.max}`;
+};
+
+// The selector only shows up when the node joins more than one topic
+const updateTopics = (topics) => {
+  if (!topicSelect) return;
+  lastTopics = topics;
+
+  if (!topics.some((t) => t.name === selectedTopic)) {
+    selectedTopic = topics.length ? topics[0].name : null;
+  }
+
+  const names = topics.map((t) => t.name);
+  const current = [...topicSelect.options].map((o) => o.value);
+  if (names.join("\n") !== current.join("\n")) {
+    topicSelect.innerHTML = "";
+    for (const name of names) {
+      const option = document.createElement("option");
+      option.value = name;
+      option.textContent = name;
+      topicSelect.appendChild(option);
+    }
+  }
+  topicSelect.value = selectedTopic;
+  topicContainer.classList.toggle("hidden", topics.length < 2);
+};
+
+if (topicSelect) {
+  topicSelect.addEventListener("change", () => {
+    selectedTopic = topicSelect.value;
+    localStorage.setItem("selectedTopic", selectedTopic);
+
+    const topic = lastTopics.find((t) => t.name === selectedTopic);
+    if (topic) {
+      countEl.innerText = topic.count;
+      directEl.innerText = topic.direct;
+      if (totalUniqueEl) totalUniqueEl.innerText = topic.totalUnique;
+      updateParticles(topic.count);
+    }
+    updateNetwork();
+  });
+}
+
 evtSource.onmessage = (event) => {
   const data = JSON.parse(event.data);
 
@@ -716,9 +917,14 @@ evtSource.onmessage = (event) => {
     return;
   }
 
+  if (data.type === "CHANNELS") {
+    updateChannels(data.channels);
+    return;
+  }
+
   if (data.type === "CHAT") {
-    // Play sounds
-    if (window.SoundManager && data.sender !== myId) {
+    // Play sounds (not for history replayed on connect)
+    if (window.SoundManager && data.sender !== myId && !data.replay) {
       if (data.target === myId) {
         window.SoundManager.playWhisper();
       } else {
@@ -743,6 +949,14 @@ evtSource.onmessage = (event) => {
     document.body.classList.remove("chat-collapsed");
   }
 
+  if (data.channels) {
+    updateChannels(data.channels);
+  }
+
+  if (data.authEnabled !== undefined) {
+    updateAuthState(data.authEnabled, data.role, data.loggedIn);
+  }
+
   if (data.mapEnabled) {
     if (mapContainer) mapContainer.style.display = "inline";
   } else {
@@ -767,11 +981,25 @@ evtSource.onmessage = (event) => {
 
   if (data.peers) {
     lastPeerData = data.peers;
+    // Only ask the node again when the set of peers changed
     if (
       mapInitialized &&
-      document.getElementById("mapModal").classList.contains("active")
+      document.getElementById("mapModal").classList.contains("active") &&
+      data.peers.map((p) => p.id).join(",") !== lastGeoPeers
     ) {
-      updateMap(data.peers);
+      loadGeo();
+    }
+  }
+
+  if (data.topics) {
+    updateTopics(data.topics);
+
+    // Show the numbers of the selected topic instead of the primary one
+    const topic = data.topics.find((t) => t.name === selectedTopic);
+    if (topic) {
+      data.count = topic.count;
+      data.direct = topic.direct;
+      data.totalUnique = topic.totalUnique;
     }
   }
 
@@ -787,6 +1015,12 @@ evtSource.onmessage = (event) => {
   directEl.innerText = data.direct;
   if (totalUniqueEl) totalUniqueEl.innerText = data.totalUnique;
 
+  if (data.network || data.active) {
+    lastNetwork = data.network || lastNetwork;
+    lastActive = data.active || lastActive;
+    updateNetwork();
+  }
+
   if (data.diagnostics) {
     const d = data.diagnostics;
 
@@ -819,14 +1053,26 @@ evtSource.onmessage = (event) => {
     document.getElementById("diag-leave").innerText =
       d.leaveMessages.toLocaleString();
 
+    if (d.bloom) {
+      const bloomFill = document.getElementById("diag-bloom-fill");
+      bloomFill.innerText = `${(d.bloom.fillRatio * 100).toFixed(1)}%`;
+      bloomFill.title =
+        `${d.bloom.items.toLocaleString()} of ${d.bloom.capacity.toLocaleString()} keys ` +
+        `in ${d.bloom.filters} slice${d.bloom.filters === 1 ? "" : "s"}, ` +
+        `${(d.bloom.bytes / 1024).toFixed(1)} KB`;
+      const bloomFpr = document.getElementById("diag-bloom-fpr");
+      bloomFpr.innerText = `${(d.bloom.estimatedFpr * 100).toPrecision(2)}%`;
+      bloomFpr.title = `Estimated, target ${d.bloom.targetFpr * 100}%`;
+    }
+
     if (typeof addBandwidthData === "function") {
-      addBandwidthData(d.bytesReceived, d.bytesRelayed);
+      addBandwidthData(d.bytesReceived, d.bytesSent);
       drawBandwidthGraph();
       document.getElementById("current-in").innerText = formatBandwidth(
         d.bytesReceived
       );
       document.getElementById("current-out").innerText = formatBandwidth(
-        d.bytesRelayed
+        d.bytesSent
       );
     }
   }
@@ -882,6 +1128,9 @@ timePills.forEach((pill) => {
     pill.classList.add("active");
     const value = pill.dataset.value;
     selectedTimeRange = value === "all" ? "all" : parseInt(value);
+    if (selectedTimeRange !== "all" && selectedTimeRange > SERVER_HISTORY_THRESHOLD) {
+      loadBandwidthHistory(selectedTimeRange);
+    }
     drawBandwidthGraph();
   });
 });
@@ -890,6 +1139,39 @@ if (timePills.length > 0) {
   timePills[0].classList.add("active");
 }
 
+// Ranges longer than this come from the node's /api/history instead of in-browser samples
+const SERVER_HISTORY_THRESHOLD = 1800;
+const serverBandwidthHistory = { range: null, data: null };
+
+const loadBandwidthHistory = async (range) => {
+  const to = Date.now();
+  const from = to - range * 1000;
+
+  try {
+    const [bytesIn, bytesOut] = await Promise.all(
+      ["bytesIn", "bytesOut"].map(async (metric) => {
+        const res = await fetch(
+          `/api/history?metric=${metric}&from=${from}&to=${to}`
+        );
+        return res.ok ? res.json() : null;
+      })
+    );
+    if (!bytesIn || !bytesOut) return;
+
+    // History stores bytes/sec, the live graph plots bytes per 10s sample
+    const outByTime = new Map(bytesOut.points.map((p) => [p.t, p.avg * 10]));
+    serverBandwidthHistory.range = range;
+    serverBandwidthHistory.data = {
+      timestamps: bytesIn.points.map((p) => p.t),
+      bytesIn: bytesIn.points.map((p) => p.avg * 10),
+      bytesOut: bytesIn.points.map((p) => outByTime.get(p.t) || 0),
+    };
+    drawBandwidthGraph();
+  } catch (e) {
+    console.error("Failed to load bandwidth history", e);
+  }
+};
+
 const addBandwidthData = (bytesIn, bytesOut) => {
   bandwidthHistory.timestamps.push(Date.now());
   bandwidthHistory.bytesIn.push(bytesIn);
@@ -905,6 +1187,13 @@ const addBandwidthData = (bytesIn, bytesOut) => {
 const getFilteredData = () => {
   if (selectedTimeRange === "all") return bandwidthHistory;
 
+  if (selectedTimeRange > SERVER_HISTORY_THRESHOLD) {
+    if (serverBandwidthHistory.range === selectedTimeRange) {
+      return serverBandwidthHistory.data;
+    }
+    return { timestamps: [], bytesIn: [], bytesOut: [] };
+  }
+
   const cutoff = Date.now() - selectedTimeRange * 1000;
   const startIndex = bandwidthHistory.timestamps.findIndex((t) => t >= cutoff);
 
@@ -40,6 +40,8 @@ export const helpCommand = {
       },
       { cmd: "/block &lt;user&gt;", desc: "Block messages from a user" },
       { cmd: "/unblock &lt;user&gt;", desc: "Unblock a user" },
+      { cmd: "/join &lt;channel&gt;", desc: "Join a channel and switch to it" },
+      { cmd: "/leave [channel]", desc: "Leave a channel (the current one by default)" },
       {
         cmd: "/local &lt;msg&gt;",
         desc: "Send message to direct peers only (Global by default)",
@@ -0,0 +1,131 @@
+// Known peers table, opened from the "peers" link under the counter.
+// Sorting, search and paging happen on the node, a big swarm has tens of thousands of peers.
+
+const PEER_TABLE_LIMIT = 200;
+const PEER_TABLE_REFRESH = 5000;
+
+const peerTable = {
+  sort: "lastSeen",
+  order: "desc",
+  query: "",
+  timer: null,
+  searchTimer: null,
+};
+
+const formatPeerBytes = (bytes) => {
+  if (bytes === null) return "-";
+  if (bytes >= 1024 * 1024) return (bytes / 1024 / 1024).toFixed(1) + " MB";
+  if (bytes >= 1024) return (bytes / 1024).toFixed(1) + " KB";
+  return bytes + " B";
+};
+
+const formatPeerAge = (ms) => {
+  if (ms === null) return "-";
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 60) return seconds + "s";
+  if (seconds < 3600) return Math.floor(seconds / 60) + "m";
+  if (seconds < 86400) return Math.floor(seconds / 3600) + "h";
+  return Math.floor(seconds / 86400) + "d";
+};
+
+const renderPeerRows = (data) => {
+  const body = document.getElementById("peer-table-body");
+  const now = Date.now();
+  body.innerHTML = "";
+
+  for (const peer of data.peers) {
+    const row = document.createElement("tr");
+    if (peer.self) row.classList.add("peer-self");
+    row.title = peer.id;
+
+    const cells = [
+      peer.self ? `${peer.screenname} (you)` : peer.screenname,
+      peer.hops === null ? "-" : peer.hops,
+      peer.direct ? "yes" : "",
+      formatPeerAge(now - peer.firstSeen),
+      formatPeerAge(now - peer.lastSeen),
+      formatPeerAge(peer.connectionAge),
+      formatPeerBytes(peer.bytesIn),
+      formatPeerBytes(peer.bytesOut),
+      peer.seq,
+    ];
+    for (const value of cells) {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.appendChild(cell);
+    }
+    body.appendChild(row);
+  }
+
+  const shown = data.peers.length < data.total ? `${data.peers.length} of ${data.total}` : data.total;
+  document.getElementById("peer-table-count").textContent = `${shown} peers`;
+};
+
+const loadPeers = async () => {
+  const params = new URLSearchParams({
+    sort: peerTable.sort,
+    order: peerTable.order,
+    limit: PEER_TABLE_LIMIT,
+  });
+  if (peerTable.query) params.set("q", peerTable.query);
+  if (typeof selectedTopic !== "undefined" && selectedTopic) params.set("topic", selectedTopic);
+
+  try {
+    const response = await fetch(`/api/peers?${params}`);
+    if (!response.ok) return;
+    renderPeerRows(await response.json());
+  } catch (e) {
+    // Next refresh will try again
+  }
+};
+
+const updateSortIndicators = () => {
+  document.querySelectorAll("#peer-table th[data-sort]").forEach((th) => {
+    th.classList.toggle("sorted", th.dataset.sort === peerTable.sort);
+    th.dataset.order = th.dataset.sort === peerTable.sort ? peerTable.order : "";
+  });
+};
+
+const openPeers = () => {
+  document.getElementById("peersModal").classList.add("active");
+  updateSortIndicators();
+  loadPeers();
+  clearInterval(peerTable.timer);
+  peerTable.timer = setInterval(loadPeers, PEER_TABLE_REFRESH);
+};
+
+const closePeers = () => {
+  document.getElementById("peersModal").classList.remove("active");
+  clearInterval(peerTable.timer);
+  peerTable.timer = null;
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+  const modal = document.getElementById("peersModal");
+  if (!modal) return;
+
+  modal.addEventListener("click", (e) => {
+    if (e.target.id === "peersModal") closePeers();
+  });
+
+  document.querySelectorAll("#peer-table th[data-sort]").forEach((th) => {
+    th.addEventListener("click", () => {
+      if (peerTable.sort === th.dataset.sort) {
+        peerTable.order = peerTable.order === "asc" ? "desc" : "asc";
+      } else {
+        peerTable.sort = th.dataset.sort;
+        peerTable.order = th.dataset.sort === "screenname" ? "asc" : "desc";
+      }
+      updateSortIndicators();
+      loadPeers();
+    });
+  });
+
+  document.getElementById("peer-search").addEventListener("input", (e) => {
+    clearTimeout(peerTable.searchTimer);
+    peerTable.searchTimer = setTimeout(() => {
+      peerTable.query = e.target.value.trim();
+      loadPeers();
+    }, 250);
+  });
+});
@@ -0,0 +1,232 @@
+// Force-directed view of the partial network topology from /api/topology.
+// Only nodes that share their neighbor lists (SHARE_TOPOLOGY) contribute edges.
+
+const TOPOLOGY_REFRESH = 15000;
+const TOPOLOGY_NODE_LIMIT = 300;
+const LINK_LENGTH = 60;
+const REPULSION = 900;
+
+const topologyGraph = {
+  nodes: new Map(), // id -> node with x, y, vx, vy
+  edges: [],
+  alpha: 1,
+  timer: null,
+  frame: null,
+  drag: null,
+  hover: null,
+};
+
+const topologyCanvas = () => document.getElementById("topology-canvas");
+
+// Keeps the positions of nodes we already placed, new ones start next to a neighbor
+const mergeTopology = (data) => {
+  const canvas = topologyCanvas();
+  const previous = topologyGraph.nodes;
+  const nodes = new Map();
+
+  for (const node of data.nodes) {
+    const old = previous.get(node.id);
+    nodes.set(node.id, old ? { ...old, ...node } : { ...node, x: null, y: null, vx: 0, vy: 0 });
+  }
+
+  const edges = data.edges.filter((e) => nodes.has(e.source) && nodes.has(e.target));
+  for (const node of nodes.values()) {
+    if (node.x !== null) continue;
+    const edge = edges.find((e) => e.source === node.id || e.target === node.id);
+    const anchor = edge && nodes.get(edge.source === node.id ? edge.target : edge.source);
+    const x = anchor && anchor.x !== null ? anchor.x : canvas.width / 2;
+    const y = anchor && anchor.y !== null ? anchor.y : canvas.height / 2;
+    node.x = x + (Math.random() - 0.5) * LINK_LENGTH;
+    node.y = y + (Math.random() - 0.5) * LINK_LENGTH;
+  }
+
+  const changed = nodes.size !== previous.size || edges.length !== topologyGraph.edges.length;
+  topologyGraph.nodes = nodes;
+  topologyGraph.edges = edges;
+  if (changed) topologyGraph.alpha = 1;
+};
+
+const stepTopology = () => {
+  const canvas = topologyCanvas();
+  const nodes = [...topologyGraph.nodes.values()];
+  const alpha = topologyGraph.alpha;
+
+  for (let i = 0; i < nodes.length; i++) {
+    for (let j = i + 1; j < nodes.length; j++) {
+      const a = nodes[i];
+      const b = nodes[j];
+      const dx = a.x - b.x || 0.01;
+      const dy = a.y - b.y || 0.01;
+      const distSq = Math.max(dx * dx + dy * dy, 25);
+      const force = (REPULSION / distSq) * alpha;
+      const dist = Math.sqrt(distSq);
+      a.vx += (dx / dist) * force;
+      a.vy += (dy / dist) * force;
+      b.vx -= (dx / dist) * force;
+      b.vy -= (dy / dist) * force;
+    }
+  }
+
+  for (const edge of topologyGraph.edges) {
+    const a = topologyGraph.nodes.get(edge.source);
+    const b = topologyGraph.nodes.get(edge.target);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+    const force = ((dist - LINK_LENGTH) / dist) * 0.05 * alpha;
+    a.vx += dx * force;
+    a.vy += dy * force;
+    b.vx -= dx * force;
+    b.vy -= dy * force;
+  }
+
+  for (const node of nodes) {
+    // Pull everything gently towards the middle so disconnected parts stay on screen
+    node.vx += (canvas.width / 2 - node.x) * 0.002 * alpha;
+    node.vy += (canvas.height / 2 - node.y) * 0.002 * alpha;
+
+    if (node === topologyGraph.drag) {
+      node.vx = 0;
+      node.vy = 0;
+      continue;
+    }
+    node.vx *= 0.8;
+    node.vy *= 0.8;
+    node.x = Math.min(Math.max(node.x + node.vx, 10), canvas.width - 10);
+    node.y = Math.min(Math.max(node.y + node.vy, 10), canvas.height - 10);
+  }
+
+  topologyGraph.alpha = Math.max(topologyGraph.alpha * 0.99, 0.02);
+};
+
+const nodeRadius = (node) => (node.self ? 7 : node.direct ? 5 : node.reported ? 4 : 3);
+
+const drawTopology = () => {
+  const canvas = topologyCanvas();
+  const context = canvas.getContext("2d");
+  context.clearRect(0, 0, canvas.width, canvas.height);
+
+  context.strokeStyle = getThemeColor("--color-particle-link");
+  context.lineWidth = 1;
+  context.beginPath();
+  for (const edge of topologyGraph.edges) {
+    const a = topologyGraph.nodes.get(edge.source);
+    const b = topologyGraph.nodes.get(edge.target);
+    context.moveTo(a.x, a.y);
+    context.lineTo(b.x, b.y);
+  }
+  context.stroke();
+
+  for (const node of topologyGraph.nodes.values()) {
+    context.globalAlpha = node.reported ? 1 : 0.5;
+    context.fillStyle = getThemeColor(
+      node.self ? "--color-count" : node.direct ? "--color-pulse" : "--color-particle"
+    );
+    context.beginPath();
+    context.arc(node.x, node.y, nodeRadius(node), 0, Math.PI * 2);
+    context.fill();
+  }
+  context.globalAlpha = 1;
+
+  const hover = topologyGraph.hover;
+  if (hover) {
+    const label = hover.self ? `${hover.screenname} (you)` : hover.screenname;
+    const distance = hover.hops === null ? "" : ` · ${hover.hops} hop${hover.hops === 1 ? "" : "s"}`;
+    context.font = "12px monospace";
+    context.fillStyle = getThemeColor("--color-modal-stat-value");
+    context.fillText(label + distance, hover.x + 10, hover.y - 10);
+  }
+};
+
+const animateTopology = () => {
+  stepTopology();
+  drawTopology();
+  topologyGraph.frame = requestAnimationFrame(animateTopology);
+};
+
+const loadTopology = async () => {
+  try {
+    const response = await fetch(`/api/topology?limit=${TOPOLOGY_NODE_LIMIT}`);
+    if (!response.ok) return;
+    const data = await response.json();
+    mergeTopology(data);
+
+    const sharing = data.sharing ? "" : " · this node isn't sharing its neighbors";
+    const truncated = data.truncated ? ` (nearest ${data.nodes.length} shown)` : "";
+    document.getElementById("topology-info").textContent =
+      `${data.nodes.length} nodes${truncated}, ${data.edges.length} links from ${data.reporters} reports${sharing}`;
+  } catch (e) {
+    // Next refresh will try again
+  }
+};
+
+const resizeTopology = () => {
+  const canvas = topologyCanvas();
+  canvas.width = canvas.clientWidth;
+  canvas.height = canvas.clientHeight;
+};
+
+const openTopology = () => {
+  document.getElementById("topologyModal").classList.add("active");
+  resizeTopology();
+  loadTopology();
+
+  clearInterval(topologyGraph.timer);
+  topologyGraph.timer = setInterval(loadTopology, TOPOLOGY_REFRESH);
+  if (!topologyGraph.frame) animateTopology();
+};
+
+const closeTopology = () => {
+  document.getElementById("topologyModal").classList.remove("active");
+  clearInterval(topologyGraph.timer);
+  topologyGraph.timer = null;
+  cancelAnimationFrame(topologyGraph.frame);
+  topologyGraph.frame = null;
+};
+
+const nodeAt = (x, y) => {
+  for (const node of topologyGraph.nodes.values()) {
+    const radius = nodeRadius(node) + 4;
+    if ((node.x - x) ** 2 + (node.y - y) ** 2 <= radius * radius) return node;
+  }
+  return null;
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+  const modal = document.getElementById("topologyModal");
+  if (!modal) return;
+
+  modal.addEventListener("click", (e) => {
+    if (e.target.id === "topologyModal") closeTopology();
+  });
+
+  const canvas = topologyCanvas();
+  const pointer = (e) => {
+    const rect = canvas.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  canvas.addEventListener("mousedown", (e) => {
+    const { x, y } = pointer(e);
+    topologyGraph.drag = nodeAt(x, y);
+  });
+
+  canvas.addEventListener("mousemove", (e) => {
+    const { x, y } = pointer(e);
+    if (topologyGraph.drag) {
+      topologyGraph.drag.x = x;
+      topologyGraph.drag.y = y;
+      topologyGraph.alpha = Math.max(topologyGraph.alpha, 0.3);
+    }
+    topologyGraph.hover = topologyGraph.drag || nodeAt(x, y);
+    canvas.style.cursor = topologyGraph.hover ? "pointer" : "default";
+  });
+
+  window.addEventListener("mouseup", () => {
+    topologyGraph.drag = null;
+  });
+
+  window.addEventListener("resize", () => {
+    if (topologyGraph.frame) resizeTopology();
+  });
+});
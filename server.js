@@ -1,80 +1,275 @@
 require('dotenv').config();
 
-const { generateIdentity } = require("./src/core/identity");
+const { loadIdentity } = require("./src/core/identity");
 const { PeerManager } = require("./src/state/peers");
 const { DiagnosticsManager } = require("./src/state/diagnostics");
+const { HistoryStore } = require("./src/state/history");
+const { ChatLog } = require("./src/state/chat-log");
+const { BlockList } = require("./src/state/blocklist");
+const { ChannelManager } = require("./src/state/channels");
+const { PowPolicy } = require("./src/state/pow-policy");
+const { ReputationManager } = require("./src/state/reputation");
+const { TopologyStore } = require("./src/state/topology");
+const { GeoIP } = require("./src/state/geoip");
+const { NetworkStatsStore } = require("./src/state/network-stats");
+const { ActivityTracker } = require("./src/state/activity");
+const { WebhookManager, mentions } = require("./src/state/webhooks");
 const { MessageHandler } = require("./src/p2p/messaging");
-const { relayMessage } = require("./src/p2p/relay");
-const { SwarmManager } = require("./src/p2p/swarm");
+const { GossipRelay } = require("./src/p2p/relay");
+const { SwarmManager, summarizeTopics } = require("./src/p2p/swarm");
 const { SSEManager } = require("./src/web/sse");
 const { createServer, startServer } = require("./src/web/server");
-const { DIAGNOSTICS_INTERVAL, ENABLE_CHAT, ENABLE_MAP } = require("./src/config/constants");
+const runtime = require("./src/config/runtime");
+const { exposePeers } = require("./src/utils/privacy");
+const { generateScreenname } = require("./src/utils/name-generator");
+const {
+  DIAGNOSTICS_INTERVAL,
+  ENABLE_HISTORY,
+  TOPICS,
+} = require("./src/config/constants");
 
 const main = async () => {
-  const identity = generateIdentity();
-  const peerManager = new PeerManager();
+  runtime.load();
+  const identity = loadIdentity();
+  const activity = new ActivityTracker();
+  activity.load();
+  const peerManager = new PeerManager(activity);
   const diagnostics = new DiagnosticsManager();
   const sseManager = new SSEManager();
+  const historyStore = new HistoryStore();
+  const chatLog = new ChatLog();
+  chatLog.load();
+  const blockList = new BlockList();
+  blockList.load();
+  const channels = new ChannelManager();
+  channels.load();
+  const powPolicy = new PowPolicy(identity, diagnostics);
+  const reputation = new ReputationManager(diagnostics);
+  reputation.load();
+  const topology = new TopologyStore();
+  const networkStats = new NetworkStatsStore();
+  const geoip = new GeoIP();
+  geoip.load();
+  const webhooks = new WebhookManager(identity);
+  webhooks.load();
 
   peerManager.addOrUpdatePeer(identity.id, peerManager.getSeq());
 
   const broadcastUpdate = () => {
+    webhooks.observePeerCount(peerManager.size);
     sseManager.broadcastUpdate({
       count: peerManager.size,
       totalUnique: peerManager.totalUniquePeers,
       direct: swarmManager.getSwarm().connections.size,
       id: identity.id,
       diagnostics: diagnostics.getStats(),
-      chatEnabled: ENABLE_CHAT,
-      mapEnabled: ENABLE_MAP,
-      peers: peerManager.getPeersWithIps()
+      chatEnabled: runtime.get("ENABLE_CHAT"),
+      mapEnabled: runtime.get("ENABLE_MAP"),
+      peers: exposePeers(peerManager.getPeersWithIps(), geoip),
+      topics: summarizeTopics(topics),
+      network: networkStats.getSummary(peerManager, swarmManager.getSwarm().connections.size),
+      active: activity.getCounts(),
     });
   };
 
   const chatCallback = (msg) => {
-    sseManager.broadcast(msg);
+    if (chatLog.append(msg)) {
+      // Whispers arrive decrypted, keep them off read-only dashboards
+      sseManager.broadcast(msg, msg.scope === "WHISPER" ? "operator" : "viewer");
+
+      if (msg.scope !== "WHISPER" && msg.sender !== identity.id && mentions(msg.content, identity.screenname)) {
+        webhooks.emit("chat.mention", {
+          id: msg.id,
+          sender: msg.sender,
+          screenname: generateScreenname(msg.sender),
+          scope: msg.scope,
+          channel: msg.channel || null,
+          content: msg.content,
+        });
+      }
+    }
   };
 
   const chatSystemFn = (msg) => {
     sseManager.broadcast(msg);
   };
 
+  const gossip = new GossipRelay(diagnostics, () => swarmManager.getSwarm());
+
   const messageHandler = new MessageHandler(
     peerManager,
     diagnostics,
-    (msg, sourceSocket) => relayMessage(msg, sourceSocket, swarmManager.getSwarm(), diagnostics),
+    (msg, sourceSocket) => gossip.relay(msg, sourceSocket),
     broadcastUpdate,
     chatCallback,
-    chatSystemFn
+    chatSystemFn,
+    identity,
+    chatLog,
+    blockList,
+    channels,
+    powPolicy,
+    reputation,
+    topology,
+    webhooks,
+    networkStats
   );
 
+  // Relay dedup of the primary topic, the busiest by far
+  diagnostics.addSource("bloom", () => messageHandler.bloomFilter.getStats());
+
   const swarmManager = new SwarmManager(
     identity,
     peerManager,
     diagnostics,
     messageHandler,
-    (msg, sourceSocket) => relayMessage(msg, sourceSocket, swarmManager.getSwarm(), diagnostics),
+    (msg, sourceSocket) => gossip.relay(msg, sourceSocket),
     broadcastUpdate,
-    chatSystemFn
+    chatSystemFn,
+    TOPICS[0].key,
+    TOPICS[0].secret,
+    reputation,
+    gossip
   );
 
-  await swarmManager.start();
+  // The primary topic above carries chat. Extra topics get their own swarm, peer
+  // count and diagnostics but no chat, history or channels. Metrics and history
+  // stay about the primary topic.
+  const topics = [{ name: TOPICS[0].name, peerManager, swarmManager, diagnostics }];
 
-  diagnostics.startLogging(
-    () => peerManager.size,
-    () => swarmManager.getSwarm().connections.size
-  );
+  for (const { name, key, secret } of TOPICS.slice(1)) {
+    const topicPeers = new PeerManager();
+    topicPeers.addOrUpdatePeer(identity.id, topicPeers.getSeq());
+    const topicDiagnostics = new DiagnosticsManager();
+
+    const topicGossip = new GossipRelay(topicDiagnostics, () => topicSwarm.getSwarm());
+
+    const topicHandler = new MessageHandler(
+      topicPeers,
+      topicDiagnostics,
+      (msg, sourceSocket) => topicGossip.relay(msg, sourceSocket),
+      broadcastUpdate,
+      null,
+      null,
+      identity,
+      null,
+      null,
+      null,
+      powPolicy,
+      reputation
+    );
+
+    const topicSwarm = new SwarmManager(
+      identity,
+      topicPeers,
+      topicDiagnostics,
+      topicHandler,
+      (msg, sourceSocket) => topicGossip.relay(msg, sourceSocket),
+      broadcastUpdate,
+      null,
+      key,
+      secret,
+      reputation,
+      topicGossip
+    );
+
+    topics.push({ name, peerManager: topicPeers, swarmManager: topicSwarm, diagnostics: topicDiagnostics });
+  }
+
+  await Promise.all(topics.map((topic) => topic.swarmManager.start()));
+  blockList.start();
+  powPolicy.start();
+  reputation.start();
+  activity.start();
+
+  reputation.onBan((bans) => {
+    const peer = bans.find((ban) => ban.kind === "id");
+    webhooks.emit("peer.banned", {
+      id: peer ? peer.value : null,
+      screenname: peer ? generateScreenname(peer.value) : null,
+      source: bans[0].source,
+      reason: bans[0].reason,
+      bans: bans.map(({ kind, value, until }) => ({ kind, value, until })),
+    });
+  });
+
+  // Tell peers and open dashboards when /join or /leave changes our channels
+  channels.onChange((list) => {
+    swarmManager.advertiseChannels();
+    sseManager.broadcast({ type: "CHANNELS", channels: list });
+  });
+
+  // Let open dashboards show or hide chat, the map and peer addresses right away
+  runtime.onChange("ENABLE_CHAT", () => broadcastUpdate());
+  runtime.onChange("ENABLE_MAP", () => broadcastUpdate());
+  runtime.onChange("PEER_PRIVACY", () => broadcastUpdate());
+
+  for (const topic of topics) {
+    topic.diagnostics.startLogging(
+      () => topic.peerManager.size,
+      () => topic.swarmManager.getSwarm().connections.size
+    );
+  }
 
   setInterval(() => {
     broadcastUpdate();
   }, DIAGNOSTICS_INTERVAL);
 
-  const app = createServer(identity, peerManager, swarmManager, sseManager, diagnostics);
+  if (ENABLE_HISTORY) {
+    historyStore.load();
+
+    let lastTotals = diagnostics.getTotals();
+    let lastSampleAt = Date.now();
+
+    historyStore.start(() => {
+      const totals = diagnostics.getTotals();
+      const now = Date.now();
+      const seconds = Math.max((now - lastSampleAt) / 1000, 1);
+      const sample = {
+        peers: peerManager.size,
+        direct: swarmManager.getSwarm().connections.size,
+        unique: peerManager.totalUniquePeers,
+        bytesIn: (totals.bytesReceived - lastTotals.bytesReceived) / seconds,
+        bytesOut: (totals.bytesSent - lastTotals.bytesSent) / seconds,
+      };
+      lastTotals = totals;
+      lastSampleAt = now;
+      return sample;
+    });
+  }
+
+  const app = createServer(
+    identity,
+    peerManager,
+    swarmManager,
+    sseManager,
+    diagnostics,
+    historyStore,
+    chatLog,
+    blockList,
+    channels,
+    topics,
+    powPolicy,
+    reputation,
+    topology,
+    geoip,
+    webhooks,
+    networkStats,
+    activity
+  );
   startServer(app, identity);
 
   const handleShutdown = () => {
-    diagnostics.stopLogging();
-    swarmManager.shutdown();
+    if (ENABLE_HISTORY) historyStore.stop();
+    chatLog.save();
+    blockList.stop();
+    powPolicy.stop();
+    reputation.stop();
+    webhooks.stop();
+    activity.stop();
+    for (const topic of topics) {
+      topic.diagnostics.stopLogging();
+      topic.swarmManager.shutdown();
+    }
   };
 
   process.on("SIGINT", handleShutdown);
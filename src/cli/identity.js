@@ -0,0 +1,74 @@
+require("dotenv").config({ quiet: true });
+
+const fs = require("fs");
+const {
+    saveIdentity,
+    exportIdentity,
+    importIdentity,
+    getIdentityPath,
+} = require("../core/identity");
+const { readJson } = require("../utils/storage");
+
+/**
+ * Moves a node identity between hosts.
+ *
+ *   node src/cli/identity.js export [file]         write identity to file (or stdout)
+ *   node src/cli/identity.js import <file> [--force] replace this node's identity
+ *
+ * Stop the node before importing, it only reads the identity on start.
+ */
+const usage = () => {
+    console.error("Usage: node src/cli/identity.js export [file]");
+    console.error("       node src/cli/identity.js import <file> [--force]");
+    process.exit(1);
+};
+
+// Reads identity.json as is: loadIdentity would create a new identity, or move a
+// corrupt one aside, and export that instead of failing
+const runExport = (file) => {
+    if (!fs.existsSync(getIdentityPath())) {
+        throw new Error(`No identity at ${getIdentityPath()}. Start the node once or import one first.`);
+    }
+    const identity = importIdentity(readJson(getIdentityPath()));
+    const data = JSON.stringify(exportIdentity(identity), null, 2);
+
+    if (file) {
+        fs.writeFileSync(file, data, { mode: 0o600 });
+        console.error(`Identity exported to ${file}`);
+    } else {
+        process.stdout.write(data + "\n");
+    }
+};
+
+const runImport = (file, force) => {
+    if (!file) usage();
+
+    const identity = importIdentity(readJson(file));
+
+    if (fs.existsSync(getIdentityPath()) && !force) {
+        console.error(
+            `An identity already exists at ${getIdentityPath()}. Re-run with --force to replace it.`
+        );
+        process.exit(1);
+    }
+
+    saveIdentity(identity);
+    console.log(`Imported identity ${identity.screenname} (${identity.id})`);
+};
+
+const [command, ...args] = process.argv.slice(2);
+const force = args.includes("--force");
+const file = args.find((a) => a !== "--force");
+
+try {
+    if (command === "export") {
+        runExport(file);
+    } else if (command === "import") {
+        runImport(file, force);
+    } else {
+        usage();
+    }
+} catch (e) {
+    console.error(`Identity ${command} failed: ${e.message}`);
+    process.exit(1);
+}
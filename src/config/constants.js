@@ -1,14 +1,58 @@
 const crypto = require("crypto");
 
-const TOPIC_NAME = process.env.TOPIC_NAME || "hypermind-lklynet-v1";
-const TOPIC = crypto.createHash("sha256").update(TOPIC_NAME).digest();
+const splitList = (value) => (value || "").split(",").map((v) => v.trim()).filter(Boolean);
 
-const MY_POW_PREFIX = "00000";
-const VERIFICATION_POW_PREFIX = "0000";
+const topicKey = (name) => crypto.createHash("sha256").update(name).digest();
+
+// "name" or "name:secret". Topics with a secret are private swarms: peers must prove
+// they know it before anything they send is accepted.
+const parseTopic = (entry) => {
+  const colon = entry.indexOf(":");
+  if (colon === -1) return { name: entry, secret: null };
+  return { name: entry.slice(0, colon), secret: entry.slice(colon + 1) || null };
+};
+
+const SWARM_SECRET = process.env.SWARM_SECRET || "";
+
+// Every swarm this node joins. The first one is the primary topic: it carries chat,
+// history and the headline numbers, the others only count peers.
+const TOPIC_ENTRIES = splitList(process.env.TOPICS).map(parseTopic);
+if (!TOPIC_ENTRIES.length) {
+  TOPIC_ENTRIES.push({
+    name: process.env.TOPIC_NAME || "hypermind-lklynet-v1",
+    secret: SWARM_SECRET || null,
+  });
+}
+const TOPICS = TOPIC_ENTRIES.filter(
+  (topic, i) => TOPIC_ENTRIES.findIndex((t) => t.name === topic.name) === i
+).map(({ name, secret }) => ({ name, key: topicKey(name), secret }));
+
+const TOPIC_NAME = TOPICS[0].name;
+const TOPIC = TOPICS[0].key;
+
+// Proof-of-work difficulty in leading zero bits of sha256(id + nonce).
+// POW_BITS is what we mine for, MIN_POW_BITS what we accept from others when things are
+// calm. Under attack the accepted minimum climbs towards MAX_POW_BITS.
+const POW_BITS = parseInt(process.env.POW_BITS) || 20;
+const MIN_POW_BITS = parseInt(process.env.MIN_POW_BITS) || 16;
+const MAX_POW_BITS = parseInt(process.env.MAX_POW_BITS) || 24;
+const POW_ADJUST_INTERVAL = parseInt(process.env.POW_ADJUST_INTERVAL) || 60000;
+const POW_NEW_PEER_THRESHOLD = parseInt(process.env.POW_NEW_PEER_THRESHOLD) || 500;
 
 const MAX_PEERS = parseInt(process.env.MAX_PEERS) || 50000;
+// Unique-peer sketch size, 2^p registers: 14 is 16 KB and about 0.8% standard error
+const HLL_PRECISION = Math.min(Math.max(parseInt(process.env.HLL_PRECISION) || 14, 4), 18);
 const MAX_MESSAGE_SIZE = parseInt(process.env.MAX_MESSAGE_SIZE) || 2048;
 const MAX_RELAY_HOPS = parseInt(process.env.MAX_RELAY_HOPS) || 5;
+// Relay dedup filter: target false-positive rate, messages per second to size for, and how long keys are kept
+const BLOOM_FALSE_POSITIVE_RATE = Math.min(Math.max(parseFloat(process.env.BLOOM_FALSE_POSITIVE_RATE) || 0.001, 1e-9), 0.5);
+const BLOOM_EXPECTED_RATE = parseInt(process.env.BLOOM_EXPECTED_RATE) || 500;
+const BLOOM_ROTATION_INTERVAL = parseInt(process.env.BLOOM_ROTATION_INTERVAL) || 30000;
+// How relayed messages are forwarded, see src/p2p/relay.js
+const RELAY_STRATEGIES = ["random", "push-pull", "lazy", "plumtree"];
+const RELAY_STRATEGY = RELAY_STRATEGIES.includes(process.env.RELAY_STRATEGY)
+  ? process.env.RELAY_STRATEGY
+  : "random";
 const MAX_CONNECTIONS = parseInt(process.env.MAX_CONNECTIONS) || 15;
 
 const HEARTBEAT_INTERVAL = parseInt(process.env.HEARTBEAT_INTERVAL) || 30000;
@@ -16,8 +60,16 @@ const CONNECTION_ROTATION_INTERVAL =
   parseInt(process.env.CONNECTION_ROTATION_INTERVAL) || 300000;
 const PEER_TIMEOUT = parseInt(process.env.PEER_TIMEOUT) || 45000;
 const BROADCAST_THROTTLE = 1000;
+const AUTH_TIMEOUT = 10000;
+// Announcing our direct neighbors is opt-in, it tells the swarm who we're connected to
+const SHARE_TOPOLOGY = process.env.SHARE_TOPOLOGY === "true";
+const TOPOLOGY_INTERVAL = parseInt(process.env.TOPOLOGY_INTERVAL) || 60000;
+// Unique-peer sketch and counts for the network-wide estimate, nothing that identifies a peer
+const SHARE_STATS = process.env.SHARE_STATS !== "false";
+const STATS_INTERVAL = parseInt(process.env.STATS_INTERVAL) || 60000;
 const DIAGNOSTICS_INTERVAL = 10000;
 const PORT = process.env.PORT || 3000;
+const ENABLE_BINARY_PROTOCOL = process.env.ENABLE_BINARY_PROTOCOL !== "false";
 const fs = require("fs");
 const path = require("path");
 
@@ -26,6 +78,45 @@ const ENABLE_MAP = process.env.ENABLE_MAP === "true";
 const ENABLE_THEMES = process.env.ENABLE_THEMES !== "false";
 const VISUAL_LIMIT = parseInt(process.env.VISUAL_LIMIT) || 500;
 const CHAT_RATE_LIMIT = parseInt(process.env.CHAT_RATE_LIMIT) || 5000;
+const CHAT_HISTORY_SIZE = parseInt(process.env.CHAT_HISTORY_SIZE) || 500;
+const CHAT_REPLAY_COUNT = parseInt(process.env.CHAT_REPLAY_COUNT) || 50;
+const HISTORY_SYNC_WINDOW = parseInt(process.env.HISTORY_SYNC_WINDOW) || 3600000;
+const HISTORY_SYNC_LIMIT = parseInt(process.env.HISTORY_SYNC_LIMIT) || 50;
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "../../data");
+const ENABLE_HISTORY = process.env.ENABLE_HISTORY !== "false";
+const HISTORY_SAMPLE_INTERVAL = parseInt(process.env.HISTORY_SAMPLE_INTERVAL) || 10000;
+const HISTORY_PERSIST_INTERVAL = 300000;
+
+// MaxMind-format City database for the peer map. Without it the map stays empty.
+const GEOIP_DB = process.env.GEOIP_DB || path.join(DATA_DIR, "GeoLite2-City.mmdb");
+// Decimals map coordinates are rounded to. Anything but a whole number from 0 to 15 turns rounding off.
+const GEOIP_PRECISION = /^\d{1,2}$/.test(process.env.GEOIP_PRECISION || "") && parseInt(process.env.GEOIP_PRECISION) <= 15
+  ? parseInt(process.env.GEOIP_PRECISION)
+  : null;
+
+// How much of peer addresses dashboards get to see, see src/utils/privacy.js
+const PEER_PRIVACY_LEVELS = ["full", "masked", "country", "none"];
+const PEER_PRIVACY = PEER_PRIVACY_LEVELS.includes(process.env.PEER_PRIVACY)
+  ? process.env.PEER_PRIVACY
+  : "masked";
+
+const OPERATOR_PASSWORD = process.env.OPERATOR_PASSWORD || "";
+const OPERATOR_TOKEN = process.env.OPERATOR_TOKEN || "";
+const VIEWER_PASSWORD = process.env.VIEWER_PASSWORD || "";
+const PUBLIC_DASHBOARD = process.env.PUBLIC_DASHBOARD !== "false";
+const SESSION_TTL = parseInt(process.env.SESSION_TTL) || 7 * 24 * 60 * 60 * 1000;
+
+// Let webhooks reach loopback, link-local and private addresses, e.g. a receiver on the same host
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === "true";
+
+const BAN_DURATION = parseInt(process.env.BAN_DURATION) || 3600000;
+// Frames a single connection may send per 10 seconds before it counts as flooding
+const PEER_MESSAGE_LIMIT = parseInt(process.env.PEER_MESSAGE_LIMIT) || 2000;
+
+const BLOCKLIST_SUBSCRIPTIONS = splitList(process.env.BLOCKLIST_SUBSCRIPTIONS);
+const BLOCKLIST_TRUSTED_KEYS = splitList(process.env.BLOCKLIST_TRUSTED_KEYS);
+const BLOCKLIST_REFRESH_INTERVAL = parseInt(process.env.BLOCKLIST_REFRESH_INTERVAL) || 3600000;
 
 const HTML_TEMPLATE = fs.readFileSync(
   path.join(__dirname, "../../public/index.html"),
@@ -59,23 +150,62 @@ const VERSION = packageJson.version || "no-version";
 module.exports = {
   TOPIC_NAME,
   TOPIC,
-  MY_POW_PREFIX,
-  VERIFICATION_POW_PREFIX,
+  TOPICS,
+  POW_BITS,
+  MIN_POW_BITS,
+  MAX_POW_BITS,
+  POW_ADJUST_INTERVAL,
+  POW_NEW_PEER_THRESHOLD,
   MAX_PEERS,
+  HLL_PRECISION,
   MAX_MESSAGE_SIZE,
   MAX_RELAY_HOPS,
+  BLOOM_FALSE_POSITIVE_RATE,
+  BLOOM_EXPECTED_RATE,
+  BLOOM_ROTATION_INTERVAL,
+  RELAY_STRATEGIES,
+  RELAY_STRATEGY,
   MAX_CONNECTIONS,
   HEARTBEAT_INTERVAL,
   CONNECTION_ROTATION_INTERVAL,
   PEER_TIMEOUT,
   BROADCAST_THROTTLE,
+  AUTH_TIMEOUT,
+  SHARE_TOPOLOGY,
+  TOPOLOGY_INTERVAL,
+  SHARE_STATS,
+  STATS_INTERVAL,
   DIAGNOSTICS_INTERVAL,
   PORT,
+  ENABLE_BINARY_PROTOCOL,
   ENABLE_CHAT,
   ENABLE_MAP,
   ENABLE_THEMES,
   CHAT_RATE_LIMIT,
+  CHAT_HISTORY_SIZE,
+  CHAT_REPLAY_COUNT,
+  HISTORY_SYNC_WINDOW,
+  HISTORY_SYNC_LIMIT,
   VISUAL_LIMIT,
+  DATA_DIR,
+  ENABLE_HISTORY,
+  HISTORY_SAMPLE_INTERVAL,
+  HISTORY_PERSIST_INTERVAL,
+  GEOIP_DB,
+  GEOIP_PRECISION,
+  PEER_PRIVACY,
+  PEER_PRIVACY_LEVELS,
+  OPERATOR_PASSWORD,
+  OPERATOR_TOKEN,
+  VIEWER_PASSWORD,
+  PUBLIC_DASHBOARD,
+  SESSION_TTL,
+  WEBHOOK_ALLOW_PRIVATE,
+  BAN_DURATION,
+  PEER_MESSAGE_LIMIT,
+  BLOCKLIST_SUBSCRIPTIONS,
+  BLOCKLIST_TRUSTED_KEYS,
+  BLOCKLIST_REFRESH_INTERVAL,
   HTML_TEMPLATE,
   ADJECTIVES,
   NOUNS,
@@ -0,0 +1,210 @@
+const fs = require("fs");
+const path = require("path");
+const EventEmitter = require("events");
+const constants = require("./constants");
+const { ensureDir, readJson, writeJsonAtomic } = require("../utils/storage");
+
+/**
+ * Settings that can be changed while the node is running.
+ *
+ * Values from the environment (see ./constants) are the defaults. Changes made
+ * through the admin API are saved as overrides in DATA_DIR and win over the
+ * environment until they are reset. Code that should pick up changes must call
+ * get() at the point of use instead of destructuring the constant at require time.
+ */
+const SETTINGS = {
+  MAX_CONNECTIONS: { type: "int", min: 1, max: 1000 },
+  HEARTBEAT_INTERVAL: { type: "int", min: 5000, max: 600000 },
+  CONNECTION_ROTATION_INTERVAL: { type: "int", min: 30000, max: 86400000 },
+  PEER_TIMEOUT: { type: "int", min: 10000, max: 3600000 },
+  MAX_RELAY_HOPS: { type: "int", min: 0, max: 20 },
+  RELAY_STRATEGY: { type: "enum", values: constants.RELAY_STRATEGIES },
+  CHAT_RATE_LIMIT: { type: "int", min: 1000, max: 3600000 },
+  CHAT_REPLAY_COUNT: { type: "int", min: 0, max: 500 },
+  ENABLE_CHAT: { type: "bool" },
+  ENABLE_MAP: { type: "bool" },
+  ENABLE_THEMES: { type: "bool" },
+  VISUAL_LIMIT: { type: "int", min: 1, max: 10000 },
+  SHARE_TOPOLOGY: { type: "bool" },
+  SHARE_STATS: { type: "bool" },
+  PEER_PRIVACY: { type: "enum", values: constants.PEER_PRIVACY_LEVELS },
+};
+
+const CONFIG_FILE = "config.json";
+const AUDIT_FILE = "config-audit.log";
+const CONFIG_VERSION = 1;
+const AUDIT_MAX_ENTRIES = 1000;
+
+const events = new EventEmitter();
+let overrides = {};
+
+const configPath = () => path.join(constants.DATA_DIR, CONFIG_FILE);
+const auditPath = () => path.join(constants.DATA_DIR, AUDIT_FILE);
+
+const get = (key) => {
+  if (!Object.hasOwn(SETTINGS, key)) throw new Error(`Unknown runtime setting ${key}`);
+  return Object.hasOwn(overrides, key) ? overrides[key] : constants[key];
+};
+
+const getAll = () => {
+  const all = {};
+  for (const [key, schema] of Object.entries(SETTINGS)) {
+    all[key] = {
+      ...schema,
+      value: get(key),
+      default: constants[key],
+      overridden: Object.hasOwn(overrides, key),
+    };
+  }
+  return all;
+};
+
+// Returns an error message, or null if the value is acceptable. null means "reset to default".
+const validateValue = (key, value) => {
+  // Own keys only, "constructor" or "toString" mustn't pass for settings
+  if (!Object.hasOwn(SETTINGS, key)) return `${key} is not a runtime setting`;
+  const schema = SETTINGS[key];
+  if (value === null) return null;
+
+  if (schema.type === "bool") {
+    return typeof value === "boolean" ? null : `${key} must be true or false`;
+  }
+
+  if (schema.type === "enum") {
+    return schema.values.includes(value) ? null : `${key} must be one of: ${schema.values.join(", ")}`;
+  }
+
+  if (!Number.isInteger(value) || value < schema.min || value > schema.max) {
+    return `${key} must be an integer between ${schema.min} and ${schema.max}`;
+  }
+  return null;
+};
+
+const validate = (changes) => {
+  if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+    return ["Expected an object of settings"];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(changes)) {
+    const error = validateValue(key, value);
+    if (error) errors.push(error);
+  }
+  return errors;
+};
+
+const load = () => {
+  const filePath = configPath();
+  if (!fs.existsSync(filePath)) return;
+
+  try {
+    const data = readJson(filePath);
+    if (data.version !== CONFIG_VERSION) return;
+
+    for (const [key, value] of Object.entries(data.overrides || {})) {
+      if (validateValue(key, value) === null && value !== null) {
+        overrides[key] = value;
+      } else {
+        console.warn(`Ignoring invalid runtime setting ${key} in ${filePath}`);
+      }
+    }
+  } catch (e) {
+    console.error(`Failed to load runtime config from ${filePath}: ${e.message}. Using environment.`);
+  }
+};
+
+const save = () => {
+  try {
+    writeJsonAtomic(configPath(), { version: CONFIG_VERSION, overrides }, { mode: 0o600 });
+  } catch (e) {
+    console.error(`Failed to save runtime config to ${configPath()}: ${e.message}`);
+  }
+};
+
+const readAudit = () => {
+  const filePath = auditPath();
+  if (!fs.existsSync(filePath)) return [];
+
+  const entries = [];
+  for (const line of fs.readFileSync(filePath, "utf-8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (e) {
+      // Skip lines torn by a crash mid-append
+    }
+  }
+  return entries;
+};
+
+const appendAudit = (entries) => {
+  try {
+    ensureDir(constants.DATA_DIR);
+    const lines = entries.map((e) => JSON.stringify(e) + "\n").join("");
+    fs.appendFileSync(auditPath(), lines, { mode: 0o600 });
+
+    // Trim once the log has doubled so appends stay cheap
+    const all = readAudit();
+    if (all.length > AUDIT_MAX_ENTRIES * 2) {
+      const kept = all.slice(-AUDIT_MAX_ENTRIES).map((e) => JSON.stringify(e) + "\n").join("");
+      fs.writeFileSync(auditPath(), kept, { mode: 0o600 });
+    }
+  } catch (e) {
+    console.error(`Failed to write config audit log: ${e.message}`);
+  }
+};
+
+const getAudit = (limit = 100) => {
+  return readAudit().slice(-limit).reverse();
+};
+
+/**
+ * Applies already validated changes, records them in the audit log and
+ * notifies listeners. `actor` describes who made the change.
+ * Returns the changes that actually altered a value.
+ */
+const update = (changes, actor, ip = null) => {
+  const applied = [];
+
+  for (const [key, value] of Object.entries(changes)) {
+    const from = get(key);
+    if (value === null) {
+      delete overrides[key];
+    } else {
+      overrides[key] = value;
+    }
+    const to = get(key);
+    if (from !== to) applied.push({ key, from, to });
+  }
+
+  if (!applied.length) return applied;
+
+  save();
+
+  const timestamp = Date.now();
+  appendAudit(applied.map((change) => ({ timestamp, actor, ip, ...change })));
+
+  for (const change of applied) {
+    events.emit(`change:${change.key}`, change.to, change.from);
+  }
+
+  return applied;
+};
+
+/**
+ * Calls fn(value, previous) whenever the setting changes.
+ */
+const onChange = (key, fn) => {
+  events.on(`change:${key}`, fn);
+};
+
+module.exports = {
+  RUNTIME_SETTINGS: SETTINGS,
+  get,
+  getAll,
+  validate,
+  load,
+  update,
+  onChange,
+  getAudit,
+};
@@ -1,23 +1,178 @@
 const crypto = require("crypto");
-const { MY_POW_PREFIX } = require("../config/constants");
+const fs = require("fs");
+const path = require("path");
+const { POW_BITS, DATA_DIR } = require("../config/constants");
+const { powBits } = require("./security");
 const { generateScreenname } = require("../utils/name-generator");
+const { readJson, writeJsonAtomic } = require("../utils/storage");
 
-const generateIdentity = () => {
-    const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
-    const id = publicKey.export({ type: "spki", format: "der" }).toString("hex");
-    const screenname = generateScreenname(id);
+const IDENTITY_FILE = "identity.json";
+const IDENTITY_VERSION = 1;
+const MINE_BATCH_SIZE = 20000;
+
+const hasPoW = (id, nonce, bits = POW_BITS) => {
+    return powBits(id, nonce) >= bits;
+}
 
+const mineNonce = (id, bits = POW_BITS) => {
     let nonce = 0;
-    while (true) {
-        const hash = crypto
-            .createHash("sha256")
-            .update(id + nonce)
-            .digest("hex");
-        if (hash.startsWith(MY_POW_PREFIX)) break;
+    while (!hasPoW(id, nonce, bits)) {
         nonce++;
     }
+    return nonce;
+}
+
+const buildIdentity = (privateKey, nonce) => {
+    const publicKey = crypto.createPublicKey(privateKey);
+    const id = publicKey.export({ type: "spki", format: "der" }).toString("hex");
+    const screenname = generateScreenname(id);
 
     return { publicKey, privateKey, id, nonce, screenname };
 }
 
-module.exports = { generateIdentity };
+const generateIdentity = () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+    const id = publicKey.export({ type: "spki", format: "der" }).toString("hex");
+
+    return buildIdentity(privateKey, mineNonce(id));
+}
+
+/**
+ * Serializable form of an identity, used both for the identity file
+ * and for moving a node between hosts. Contains the private key.
+ */
+const exportIdentity = (identity) => {
+    return {
+        version: IDENTITY_VERSION,
+        id: identity.id,
+        privateKey: identity.privateKey.export({ type: "pkcs8", format: "pem" }),
+        nonce: identity.nonce,
+    };
+}
+
+const importIdentity = (data) => {
+    if (!data || typeof data !== "object") {
+        throw new Error("Identity data must be an object");
+    }
+    if (data.version !== IDENTITY_VERSION) {
+        throw new Error(`Unsupported identity version: ${data.version}`);
+    }
+    if (typeof data.privateKey !== "string") {
+        throw new Error("Identity is missing its private key");
+    }
+
+    const privateKey = crypto.createPrivateKey(data.privateKey);
+    if (privateKey.asymmetricKeyType !== "ed25519") {
+        throw new Error("Identity key must be ed25519");
+    }
+
+    const publicKey = crypto.createPublicKey(privateKey);
+    const id = publicKey.export({ type: "spki", format: "der" }).toString("hex");
+    if (data.id && data.id !== id) {
+        throw new Error("Identity id does not match its private key");
+    }
+
+    // A missing or too weak nonce is not fatal, the key is what matters.
+    const nonce =
+        Number.isInteger(data.nonce) && hasPoW(id, data.nonce)
+            ? data.nonce
+            : mineNonce(id);
+
+    return buildIdentity(privateKey, nonce);
+}
+
+const getIdentityPath = (dataDir = DATA_DIR) => path.join(dataDir, IDENTITY_FILE);
+
+const saveIdentity = (identity, dataDir = DATA_DIR) => {
+    writeJsonAtomic(getIdentityPath(dataDir), exportIdentity(identity), { mode: 0o600 });
+}
+
+/**
+ * Mines a stronger nonce for an existing identity, keeping its key and ID. Runs in small
+ * batches so the node keeps serving while it works. The new nonce is saved and swapped
+ * into `identity`, so the next heartbeat carries it.
+ */
+const upgradeNonce = (identity, bits, dataDir = DATA_DIR) => {
+    return new Promise((resolve) => {
+        let nonce = 1;
+
+        const mineBatch = () => {
+            for (let i = 0; i < MINE_BATCH_SIZE; i++, nonce++) {
+                if (!hasPoW(identity.id, nonce, bits)) continue;
+
+                identity.nonce = nonce;
+                try {
+                    saveIdentity(identity, dataDir);
+                } catch (e) {
+                    console.error(`Failed to persist upgraded nonce: ${e.message}`);
+                }
+                return resolve(nonce);
+            }
+            setImmediate(mineBatch);
+        };
+
+        mineBatch();
+    });
+}
+
+const checkPermissions = (filePath) => {
+    if (process.platform === "win32") return;
+
+    const mode = fs.statSync(filePath).mode & 0o777;
+    if (mode & 0o077) {
+        console.warn(
+            `Identity file ${filePath} is readable by other users (mode ${mode.toString(8)}), restricting to 600`
+        );
+        fs.chmodSync(filePath, 0o600);
+    }
+}
+
+/**
+ * Loads the node identity from DATA_DIR, creating and persisting a new one
+ * on first boot. A corrupt file is moved aside rather than overwritten.
+ */
+const loadIdentity = (dataDir = DATA_DIR) => {
+    const filePath = getIdentityPath(dataDir);
+
+    if (fs.existsSync(filePath)) {
+        try {
+            checkPermissions(filePath);
+            const data = readJson(filePath);
+            const identity = importIdentity(data);
+            if (identity.nonce !== data.nonce) {
+                saveIdentity(identity, dataDir);
+            }
+            return identity;
+        } catch (e) {
+            const backupPath = `${filePath}.corrupt-${Date.now()}`;
+            console.error(
+                `Failed to load identity from ${filePath}: ${e.message}. Moving it to ${backupPath} and generating a new identity.`
+            );
+            try {
+                fs.renameSync(filePath, backupPath);
+            } catch (renameError) {
+                console.error(`Failed to move corrupt identity file: ${renameError.message}`);
+            }
+        }
+    }
+
+    const identity = generateIdentity();
+    try {
+        saveIdentity(identity, dataDir);
+    } catch (e) {
+        console.error(
+            `Failed to persist identity to ${filePath}: ${e.message}. This node will get a new ID on restart.`
+        );
+    }
+    return identity;
+}
+
+module.exports = {
+    generateIdentity,
+    loadIdentity,
+    saveIdentity,
+    upgradeNonce,
+    exportIdentity,
+    importIdentity,
+    getIdentityPath,
+};
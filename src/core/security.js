@@ -1,13 +1,31 @@
 const crypto = require("crypto");
-const { VERIFICATION_POW_PREFIX } = require("../config/constants");
+const { MIN_POW_BITS } = require("../config/constants");
 
-const verifyPoW = (id, nonce) => {
-    if (!nonce) return false;
-    const powHash = crypto
+/**
+ * Proof-of-work difficulty of an id/nonce pair: the number of leading zero bits
+ * of sha256(id + nonce).
+ */
+const powBits = (id, nonce) => {
+    const hash = crypto
         .createHash("sha256")
         .update(id + nonce)
-        .digest("hex");
-    return powHash.startsWith(VERIFICATION_POW_PREFIX);
+        .digest();
+
+    let bits = 0;
+    for (const byte of hash) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        bits += Math.clz32(byte) - 24;
+        break;
+    }
+    return bits;
+}
+
+const verifyPoW = (id, nonce, minBits = MIN_POW_BITS) => {
+    if (!nonce) return false;
+    return powBits(id, nonce) >= minBits;
 }
 
 const signMessage = (message, privateKey) => {
@@ -35,9 +53,183 @@ const createPublicKey = (id) => {
     });
 }
 
+/**
+ * Whisper encryption.
+ * Node ids are ed25519 keys, so we map them onto their x25519 (Montgomery)
+ * equivalents and do ephemeral-static ECDH + AES-256-GCM. No extra keys to exchange.
+ */
+const ED25519_PKCS8_PREFIX = "302e020100300506032b657004220420";
+const X25519_PKCS8_PREFIX = "302e020100300506032b656e04220420";
+const X25519_SPKI_PREFIX = "302a300506032b656e032100";
+const WHISPER_INFO = "hypermind-whisper-v1";
+const FIELD_PRIME = (1n << 255n) - 19n;
+
+const modPow = (base, exp, mod) => {
+    let result = 1n;
+    base %= mod;
+    while (exp > 0n) {
+        if (exp & 1n) result = (result * base) % mod;
+        base = (base * base) % mod;
+        exp >>= 1n;
+    }
+    return result;
+}
+
+const bufferToBigIntLE = (buf) => BigInt("0x" + Buffer.from(buf).reverse().toString("hex"));
+
+const bigIntToBufferLE = (value) => Buffer.from(value.toString(16).padStart(64, "0"), "hex").reverse();
+
+const toX25519PublicKey = (id) => {
+    const raw = Buffer.from(id, "hex").subarray(-32);
+    const yBytes = Buffer.from(raw);
+    yBytes[31] &= 0x7f;
+    const y = bufferToBigIntLE(yBytes);
+    // u = (1 + y) / (1 - y) mod p
+    const denominator = (1n - y + FIELD_PRIME) % FIELD_PRIME;
+    const u = ((1n + y) * modPow(denominator, FIELD_PRIME - 2n, FIELD_PRIME)) % FIELD_PRIME;
+
+    return crypto.createPublicKey({
+        key: Buffer.concat([Buffer.from(X25519_SPKI_PREFIX, "hex"), bigIntToBufferLE(u)]),
+        format: "der",
+        type: "spki",
+    });
+}
+
+const toX25519PrivateKey = (privateKey) => {
+    const der = privateKey.export({ type: "pkcs8", format: "der" });
+    if (!der.toString("hex").startsWith(ED25519_PKCS8_PREFIX)) {
+        throw new Error("Expected an ed25519 private key");
+    }
+    const seed = der.subarray(-32);
+    const scalar = crypto.createHash("sha512").update(seed).digest().subarray(0, 32);
+
+    return crypto.createPrivateKey({
+        key: Buffer.concat([Buffer.from(X25519_PKCS8_PREFIX, "hex"), scalar]),
+        format: "der",
+        type: "pkcs8",
+    });
+}
+
+const deriveWhisperKey = (sharedSecret, epk, targetId) => {
+    return Buffer.from(
+        crypto.hkdfSync("sha256", sharedSecret, Buffer.from(epk + targetId, "hex"), WHISPER_INFO, 32)
+    );
+}
+
+const encryptWhisper = (plaintext, targetId) => {
+    const ephemeral = crypto.generateKeyPairSync("x25519");
+    const epk = ephemeral.publicKey
+        .export({ type: "spki", format: "der" })
+        .subarray(-32)
+        .toString("hex");
+    const sharedSecret = crypto.diffieHellman({
+        privateKey: ephemeral.privateKey,
+        publicKey: toX25519PublicKey(targetId),
+    });
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(
+        "aes-256-gcm",
+        deriveWhisperKey(sharedSecret, epk, targetId),
+        iv
+    );
+    cipher.setAAD(Buffer.from(targetId, "hex"));
+    const ciphertext = Buffer.concat([
+        cipher.update(plaintext, "utf8"),
+        cipher.final(),
+        cipher.getAuthTag(),
+    ]);
+
+    return { epk, iv: iv.toString("hex"), ciphertext: ciphertext.toString("base64") };
+}
+
+const decryptWhisper = (msg, identity) => {
+    try {
+        const epkKey = crypto.createPublicKey({
+            key: Buffer.concat([Buffer.from(X25519_SPKI_PREFIX, "hex"), Buffer.from(msg.epk, "hex")]),
+            format: "der",
+            type: "spki",
+        });
+        const sharedSecret = crypto.diffieHellman({
+            privateKey: toX25519PrivateKey(identity.privateKey),
+            publicKey: epkKey,
+        });
+
+        const data = Buffer.from(msg.ciphertext, "base64");
+        const decipher = crypto.createDecipheriv(
+            "aes-256-gcm",
+            deriveWhisperKey(sharedSecret, msg.epk, identity.id),
+            Buffer.from(msg.iv, "hex")
+        );
+        decipher.setAAD(Buffer.from(identity.id, "hex"));
+        decipher.setAuthTag(data.subarray(-16));
+
+        return Buffer.concat([decipher.update(data.subarray(0, -16)), decipher.final()]).toString("utf8");
+    } catch (e) {
+        return null;
+    }
+}
+
+const computeWhisperId = (msg) => {
+    return crypto
+        .createHash("sha256")
+        .update(msg.sender + msg.target + msg.epk + msg.iv + msg.ciphertext + msg.timestamp)
+        .digest("hex");
+}
+
+// Channel messages commit to their channel so a relay can't move them to another one
+const computeChatId = (msg) => {
+    const channel = msg.channel ? `#${msg.channel}` : "";
+    return crypto
+        .createHash("sha256")
+        .update(msg.sender + msg.content + msg.timestamp + channel)
+        .digest("hex");
+}
+
+// scrypt cost for the private swarm key: about 100ms once at startup, and as much for
+// every guess someone tries against proofs they collected
+const AUTH_KEY_PARAMS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+/**
+ * The HMAC key of a private swarm, stretched from its shared secret with scrypt and salted
+ * with the topic key. Any peer can ask us for a proof, so a weak secret must not be cheap
+ * to brute-force from one, nor the work reusable across topics.
+ */
+const deriveAuthKey = (secret, topic) => {
+    const salt = Buffer.concat([Buffer.from("hypermind-auth-v2:"), Buffer.from(topic)]);
+    return crypto.scryptSync(secret, salt, 32, AUTH_KEY_PARAMS);
+}
+
+/**
+ * Private swarm handshake. Each side sends a random nonce and the other answers with an
+ * HMAC of it under the key from deriveAuthKey. The proof covers the connection's Noise handshake
+ * hash, so it's useless on any other connection, and the answering side's role, so a
+ * peer can't bounce our own challenge back at us.
+ */
+const createAuthProof = (authKey, nonce, handshakeHash, initiator) => {
+    return crypto
+        .createHmac("sha256", authKey)
+        .update(`hypermind-auth-v2:${initiator ? "initiator" : "responder"}:${nonce}:${handshakeHash}`)
+        .digest("hex");
+}
+
+const verifyAuthProof = (proof, authKey, nonce, handshakeHash, initiator) => {
+    if (typeof proof !== "string" || !/^[0-9a-f]{64}$/.test(proof)) return false;
+    const expected = createAuthProof(authKey, nonce, handshakeHash, initiator);
+    return crypto.timingSafeEqual(Buffer.from(proof, "hex"), Buffer.from(expected, "hex"));
+}
+
 module.exports = {
+    powBits,
     verifyPoW,
     signMessage,
     verifySignature,
     createPublicKey,
+    encryptWhisper,
+    decryptWhisper,
+    computeWhisperId,
+    computeChatId,
+    deriveAuthKey,
+    createAuthProof,
+    verifyAuthProof,
 };
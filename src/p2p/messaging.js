@@ -2,15 +2,29 @@ const {
   verifyPoW,
   verifySignature,
   createPublicKey,
+  decryptWhisper,
+  computeWhisperId,
+  computeChatId,
 } = require("../core/security");
-const crypto = require("crypto");
-const {
-  MAX_RELAY_HOPS,
-  ENABLE_CHAT,
-  CHAT_RATE_LIMIT,
-} = require("../config/constants");
+const { HISTORY_SYNC_WINDOW, HISTORY_SYNC_LIMIT } = require("../config/constants");
+const runtime = require("../config/runtime");
+const { writeMessage } = require("./protocol");
+const { isValidChannel, MAX_CHANNELS } = require("../state/channels");
+const { MAX_NEIGHBORS } = require("../state/topology");
+const { isPackedHll } = require("../state/network-stats");
 const { BloomFilterManager } = require("../state/bloom");
 const { generateScreenname } = require("../utils/name-generator");
+const { getSocketIp } = require("../utils/socket");
+
+const HISTORY_ID_PREFIX = 8;
+const HISTORY_HAVE_LIMIT = 100;
+const HISTORY_REQUEST_COOLDOWN = 60000;
+const NEIGHBORS_MAX_AGE = 5 * 60 * 1000;
+const STATS_MAX_AGE = 5 * 60 * 1000;
+// Nodes let themselves send 5 chats per CHAT_RATE_LIMIT. We accept twice that per window
+// from a sender, since relaying can bunch up messages that were sent spaced out.
+const CHAT_RATE_COUNT = 5;
+const CHAT_RATE_SLACK = 2;
 
 class MessageHandler {
   constructor(
@@ -19,7 +33,16 @@ class MessageHandler {
     relayCallback,
     broadcastCallback,
     chatCallback,
-    chatSystemFn
+    chatSystemFn,
+    identity,
+    chatLog,
+    blockList,
+    channels,
+    powPolicy,
+    reputation,
+    topology,
+    webhooks,
+    networkStats
   ) {
     this.peerManager = peerManager;
     this.diagnostics = diagnostics;
@@ -27,37 +50,130 @@ class MessageHandler {
     this.broadcastCallback = broadcastCallback;
     this.chatCallback = chatCallback;
     this.chatSystemFn = chatSystemFn;
+    this.identity = identity;
+    this.chatLog = chatLog;
+    this.blockList = blockList;
+    this.channels = channels;
+    this.powPolicy = powPolicy;
+    this.reputation = reputation;
+    this.topology = topology;
+    this.webhooks = webhooks;
+    this.networkStats = networkStats;
     this.bloomFilter = new BloomFilterManager();
     this.bloomFilter.start();
     this.chatRateLimits = new Map();
   }
 
+  /**
+   * Returns true when the message was valid and new. The relay layer only trusts a
+   * message as delivered once this says so.
+   */
   handleMessage(msg, sourceSocket) {
     if (!validateMessage(msg)) {
+      // Types we don't know may come from newer versions, only broken known ones count against the peer
+      if (msg && HANDLED_TYPES.includes(msg.type)) {
+        this.penalize(sourceSocket, "invalidMessage");
+      }
+      return;
+    }
+
+    // Secondary topics are set up without a chat callback and only count peers
+    if (!this.chatCallback && msg.type !== "HEARTBEAT" && msg.type !== "LEAVE") {
       return;
     }
 
     if (msg.type === "HEARTBEAT") {
-      this.handleHeartbeat(msg, sourceSocket);
+      return this.handleHeartbeat(msg, sourceSocket);
     } else if (msg.type === "LEAVE") {
-      this.handleLeave(msg, sourceSocket);
+      return this.handleLeave(msg, sourceSocket);
     } else if (msg.type === "CHAT") {
-      this.handleChat(msg, sourceSocket);
+      return this.handleChat(msg, sourceSocket);
+    } else if (msg.type === "WHISPER") {
+      return this.handleWhisper(msg, sourceSocket);
+    } else if (msg.type === "CHANNELS") {
+      this.handleChannels(msg, sourceSocket);
+    } else if (msg.type === "HISTORY_REQUEST") {
+      this.handleHistoryRequest(msg, sourceSocket);
+    } else if (msg.type === "HISTORY_RESPONSE") {
+      this.handleHistoryResponse(msg, sourceSocket);
+    } else if (msg.type === "NEIGHBORS") {
+      return this.handleNeighbors(msg, sourceSocket);
+    } else if (msg.type === "STATS") {
+      return this.handleStats(msg, sourceSocket);
     }
+    return false;
+  }
+
+  // Counts a violation against the connection it came in on. Peers that only relayed it get off lightly.
+  penalize(socket, reason, direct = true) {
+    if (this.reputation) {
+      this.reputation.penalize(socket, reason, direct);
+    }
+  }
+
+  // Outbound webhooks, only the primary topic has them
+  notify(event, data) {
+    if (this.webhooks) {
+      this.webhooks.emit(event, data);
+    }
+  }
+
+  getChatRate(sender, now) {
+    const rateData = this.chatRateLimits.get(sender);
+
+    if (!rateData || now - rateData.windowStart > runtime.get("CHAT_RATE_LIMIT")) {
+      return { count: 0, windowStart: now };
+    }
+
+    return rateData;
+  }
+
+  // Counts and drops chat from senders on the node's block list. Blocked messages are never relayed.
+  isBlocked(sender) {
+    if (!this.blockList || !this.blockList.has(sender)) return false;
+    this.diagnostics.increment("blockedMessages");
+    return true;
+  }
+
+  isWanted(msg) {
+    return !msg.channel || Boolean(this.channels && this.channels.has(msg.channel));
+  }
+
+  // Interest advert from a direct peer, decides which channel messages we send it
+  handleChannels(msg, sourceSocket) {
+    sourceSocket.channels = new Set(msg.channels);
+  }
+
+  advertiseChannels(socket) {
+    if (!this.channels) return;
+    writeMessage(socket, { type: "CHANNELS", channels: this.channels.list() });
   }
 
   handleHeartbeat(msg, sourceSocket) {
     this.diagnostics.increment("heartbeatsReceived");
     const { id, seq, hops, nonce, sig } = msg;
 
+    // Banned peers aren't counted, however their heartbeat reaches us
+    if (this.reputation && this.reputation.isBanned(id)) {
+      if (hops === 0) sourceSocket.destroy();
+      return;
+    }
+
     const stored = this.peerManager.getPeer(id);
     if (stored && seq <= stored.seq) {
       this.diagnostics.increment("duplicateSeq");
+      // Gossip delivers the same heartbeat along several paths, only a peer repeating its own is suspicious
+      if (hops === 0 && sourceSocket.peerId === id) {
+        this.penalize(sourceSocket, "duplicateSeq");
+      }
       return;
     }
 
-    if (!verifyPoW(id, nonce)) {
+    const powOk = this.powPolicy ? this.powPolicy.accepts(id, nonce) : verifyPoW(id, nonce);
+    if (!powOk) {
       this.diagnostics.increment("invalidPoW");
+      // Peers may accept less work than we do, so relayed heartbeats only get the light penalty
+      this.penalize(sourceSocket, "invalidPoW", hops === 0);
       return;
     }
 
@@ -70,29 +186,31 @@ class MessageHandler {
 
       if (!verifySignature(`seq:${seq}`, sig, key)) {
         this.diagnostics.increment("invalidSig");
+        this.penalize(sourceSocket, "invalidSignature", hops === 0);
         return;
       }
 
+      let connected = false;
       if (hops === 0) {
+        connected = sourceSocket.peerId !== id;
         sourceSocket.peerId = id;
+        // Only direct peers get a say in how much work our own nonce needs
+        if (this.powPolicy && msg.pow !== undefined) {
+          this.powPolicy.observeDemand(msg.pow);
+        }
       }
 
-      const getIp = (sock) => {
-        if (sock.remoteAddress) return sock.remoteAddress;
-        if (sock.rawStream && sock.rawStream.remoteHost)
-          return sock.rawStream.remoteHost;
-        if (sock.rawStream && sock.rawStream.remoteAddress)
-          return sock.rawStream.remoteAddress;
-        return null;
-      };
+      const ip = hops === 0 ? getSocketIp(sourceSocket) : null;
+      const wasNew = this.peerManager.addOrUpdatePeer(id, seq, ip, hops);
 
-      const ip = hops === 0 ? getIp(sourceSocket) : null;
-      const wasNew = this.peerManager.addOrUpdatePeer(id, seq, ip);
+      if (connected) {
+        this.notify("peer.connected", { id, screenname: generateScreenname(id) });
+      }
 
       if (wasNew) {
         this.diagnostics.increment("newPeersAdded");
         this.broadcastCallback();
-        if (ENABLE_CHAT && this.chatSystemFn && hops === 0) {
+        if (runtime.get("ENABLE_CHAT") && this.chatSystemFn && hops === 0) {
           this.chatSystemFn({
             type: "SYSTEM",
             content: `Connection established with Node [${generateScreenname(
@@ -103,13 +221,14 @@ class MessageHandler {
         }
       }
 
-      if (hops < MAX_RELAY_HOPS && !this.bloomFilter.hasRelayed(id, seq)) {
+      if (hops < runtime.get("MAX_RELAY_HOPS") && !this.bloomFilter.hasRelayed(id, seq)) {
         this.bloomFilter.markRelayed(id, seq);
         this.diagnostics.increment("heartbeatsRelayed");
         this.relayCallback({ ...msg, hops: hops + 1 }, sourceSocket);
       }
+      return true;
     } catch (e) {
-      return;
+      return false;
     }
   }
 
@@ -125,6 +244,7 @@ class MessageHandler {
 
     if (!verifySignature(`type:LEAVE:${id}`, sig, key)) {
       this.diagnostics.increment("invalidSig");
+      this.penalize(sourceSocket, "invalidSignature", hops === 0);
       return;
     }
 
@@ -132,7 +252,7 @@ class MessageHandler {
       this.peerManager.removePeer(id);
       this.broadcastCallback();
 
-      if (ENABLE_CHAT && this.chatSystemFn && hops === 0) {
+      if (runtime.get("ENABLE_CHAT") && this.chatSystemFn && hops === 0) {
         this.chatSystemFn({
           type: "SYSTEM",
           content: `Node [${generateScreenname(id)}] disconnected.`,
@@ -140,24 +260,96 @@ class MessageHandler {
         });
       }
 
-      if (hops < MAX_RELAY_HOPS && !this.bloomFilter.hasRelayed(id, "leave")) {
+      if (hops < runtime.get("MAX_RELAY_HOPS") && !this.bloomFilter.hasRelayed(id, "leave")) {
         this.bloomFilter.markRelayed(id, "leave");
         this.relayCallback({ ...msg, hops: hops + 1 }, sourceSocket);
       }
+      return true;
     }
+    return false;
   }
 
-  handleChat(msg, sourceSocket) {
-    const { scope, sender, id, sig, hops } = msg;
+  // Signed list of a node's direct connections. Only nodes we already count, and so
+  // have checked the PoW of, make it into the topology.
+  handleNeighbors(msg, sourceSocket) {
+    const { id, timestamp, neighbors, sig, hops } = msg;
+
+    if (!this.topology || id === this.identity.id) return;
+    if (this.reputation && this.reputation.isBanned(id)) return;
+    if (!this.peerManager.hasPeer(id)) return;
 
     const now = Date.now();
-    let rateData = this.chatRateLimits.get(sender);
+    if (timestamp > now + 60000 || now - timestamp > NEIGHBORS_MAX_AGE) return;
 
-    if (!rateData || now - rateData.windowStart > 10000) {
-      rateData = { count: 0, windowStart: now };
+    const reportId = `neighbors:${timestamp}`;
+    if (this.bloomFilter.hasRelayed(id, reportId)) return;
+
+    try {
+      const key = createPublicKey(id);
+      if (!verifySignature(`neighbors:${timestamp}:${neighbors.join(",")}`, sig, key)) {
+        this.diagnostics.increment("invalidSig");
+        this.penalize(sourceSocket, "invalidSignature", hops === 0);
+        return;
+      }
+    } catch (e) {
+      return;
+    }
+    this.bloomFilter.markRelayed(id, reportId);
+
+    if (!this.topology.update(id, timestamp, neighbors)) return false;
+
+    if (hops < runtime.get("MAX_RELAY_HOPS")) {
+      this.relayCallback({ ...msg, hops: hops + 1 }, sourceSocket);
     }
+    return true;
+  }
+
+  // Signed unique-peer sketch and counts of one node, merged into the network estimate.
+  // Same admission rules as NEIGHBORS.
+  handleStats(msg, sourceSocket) {
+    const { id, timestamp, hll, peers, direct, sig, hops } = msg;
+
+    if (!this.networkStats || id === this.identity.id) return;
+    if (this.reputation && this.reputation.isBanned(id)) return;
+    if (!this.peerManager.hasPeer(id)) return;
 
-    if (rateData.count >= 5) {
+    const now = Date.now();
+    if (timestamp > now + 60000 || now - timestamp > STATS_MAX_AGE) return;
+
+    const reportId = `stats:${timestamp}`;
+    if (this.bloomFilter.hasRelayed(id, reportId)) return;
+
+    try {
+      const key = createPublicKey(id);
+      if (!verifySignature(`stats:${timestamp}:${peers}:${direct}:${hll}`, sig, key)) {
+        this.diagnostics.increment("invalidSig");
+        this.penalize(sourceSocket, "invalidSignature", hops === 0);
+        return;
+      }
+    } catch (e) {
+      return;
+    }
+    this.bloomFilter.markRelayed(id, reportId);
+
+    if (!this.networkStats.update(id, timestamp, { hll, peers, direct })) return false;
+
+    if (hops < runtime.get("MAX_RELAY_HOPS")) {
+      this.relayCallback({ ...msg, hops: hops + 1 }, sourceSocket);
+    }
+    return true;
+  }
+
+  handleChat(msg, sourceSocket) {
+    const { scope, sender, id, sig, hops } = msg;
+
+    if (this.isBlocked(sender)) return;
+
+    const now = Date.now();
+    const rateData = this.getChatRate(sender, now);
+
+    if (rateData.count >= CHAT_RATE_COUNT * CHAT_RATE_SLACK) {
+      // Only the sender is to blame, a relay can't know it went over our limit
+      if (sender === sourceSocket.peerId) this.penalize(sourceSocket, "rateLimit");
       return;
     }
 
@@ -175,24 +367,12 @@ class MessageHandler {
     } else if (scope === "GLOBAL") {
       if (!sig || !id) return;
 
-      const idBase = sender + msg.content + msg.timestamp;
-      const computedId = crypto
-        .createHash("sha256")
-        .update(idBase)
-        .digest("hex");
-
-      if (computedId !== id) {
-        this.diagnostics.increment("invalidSig");
-        return;
-      }
-
       if (Math.abs(now - msg.timestamp) > 60000) {
         return;
       }
 
-      const key = createPublicKey(sender);
-      if (!verifySignature(`chat:${id}`, sig, key)) {
-        this.diagnostics.increment("invalidSig");
+      if (!this.verifyGlobalChat(msg)) {
+        this.penalize(sourceSocket, "invalidSignature", hops === 0);
         return;
       }
 
@@ -204,17 +384,189 @@ class MessageHandler {
       rateData.count++;
       this.chatRateLimits.set(sender, rateData);
 
-      if (this.chatCallback) {
+      // Channels we haven't joined are still relayed to peers that want them, just not shown
+      if (this.chatCallback && this.isWanted(msg)) {
         this.chatCallback(msg);
       }
 
-      if (hops < MAX_RELAY_HOPS) {
+      if (hops < runtime.get("MAX_RELAY_HOPS")) {
         this.relayCallback({ ...msg, hops: hops + 1 }, sourceSocket);
       }
+      return true;
+    }
+    return false;
+  }
+
+  verifyGlobalChat(msg) {
+    if (computeChatId(msg) !== msg.id) {
+      this.diagnostics.increment("invalidSig");
+      return false;
+    }
+
+    try {
+      const key = createPublicKey(msg.sender);
+      if (!verifySignature(`chat:${msg.id}`, msg.sig, key)) {
+        this.diagnostics.increment("invalidSig");
+        return false;
+      }
+    } catch (e) {
+      return false;
+    }
+
+    return true;
+  }
+
+  requestHistory(socket) {
+    if (!runtime.get("ENABLE_CHAT") || !this.chatLog) return;
+
+    const since = Date.now() - HISTORY_SYNC_WINDOW;
+    const have = this.chatLog
+      .since(since, "GLOBAL")
+      .filter((m) => m.id)
+      .slice(-HISTORY_HAVE_LIMIT)
+      .map((m) => m.id.slice(0, HISTORY_ID_PREFIX));
+
+    socket.historyBudget = HISTORY_SYNC_LIMIT;
+    socket.historySince = since;
+    writeMessage(socket, { type: "HISTORY_REQUEST", since, have });
+  }
+
+  handleHistoryRequest(msg, sourceSocket) {
+    if (!runtime.get("ENABLE_CHAT") || !this.chatLog) return;
+
+    // One answer per connection per cooldown, requests are never relayed
+    const now = Date.now();
+    if (
+      sourceSocket.lastHistoryRequest &&
+      now - sourceSocket.lastHistoryRequest < HISTORY_REQUEST_COOLDOWN
+    ) {
+      return;
+    }
+    sourceSocket.lastHistoryRequest = now;
+
+    const since = Math.max(msg.since, now - HISTORY_SYNC_WINDOW);
+    const have = new Set(msg.have);
+
+    const messages = this.chatLog
+      .since(since, "GLOBAL")
+      .filter((m) => m.sig && m.id && !have.has(m.id.slice(0, HISTORY_ID_PREFIX)))
+      .filter((m) => !this.blockList || !this.blockList.has(m.sender))
+      .filter((m) => !m.channel || (sourceSocket.channels && sourceSocket.channels.has(m.channel)))
+      .slice(-HISTORY_SYNC_LIMIT);
+
+    for (const message of messages) {
+      writeMessage(sourceSocket, { type: "HISTORY_RESPONSE", message });
+    }
+  }
+
+  handleHistoryResponse(msg, sourceSocket) {
+    if (!runtime.get("ENABLE_CHAT") || !sourceSocket.historyBudget) return;
+    sourceSocket.historyBudget--;
+
+    const message = msg.message;
+    if (!validateMessage(message) || message.type !== "CHAT") return;
+    if (message.scope !== "GLOBAL" || message.target || !message.sig || !message.id) return;
+    if (message.timestamp < sourceSocket.historySince || message.timestamp > Date.now() + 60000) {
+      return;
+    }
+
+    if (this.bloomFilter.hasRelayed(message.id, "chat")) return;
+    if (this.chatLog && this.chatLog.has(message.id)) return;
+    if (this.isBlocked(message.sender)) return;
+    if (!this.isWanted(message)) return;
+
+    // Backfilled messages get the same signature check as live ones, they're just not relayed.
+    if (!this.verifyGlobalChat(message)) {
+      this.penalize(sourceSocket, "invalidSignature", false);
+      return;
+    }
+    this.bloomFilter.markRelayed(message.id, "chat");
+
+    if (this.chatCallback) {
+      const { hops, ...backfilled } = message;
+      this.chatCallback(backfilled);
+    }
+  }
+
+  handleWhisper(msg, sourceSocket) {
+    const { sender, target, id, sig, hops } = msg;
+
+    if (this.isBlocked(sender)) return;
+
+    const now = Date.now();
+    const rateData = this.getChatRate(sender, now);
+
+    if (rateData.count >= CHAT_RATE_COUNT * CHAT_RATE_SLACK) {
+      // Only the sender is to blame, a relay can't know it went over our limit
+      if (sender === sourceSocket.peerId) this.penalize(sourceSocket, "rateLimit");
+      return;
+    }
+
+    if (computeWhisperId(msg) !== id) {
+      this.diagnostics.increment("invalidSig");
+      this.penalize(sourceSocket, "invalidSignature", hops === 0);
+      return;
+    }
+
+    if (Math.abs(now - msg.timestamp) > 60000) {
+      return;
+    }
+
+    try {
+      const key = createPublicKey(sender);
+      if (!verifySignature(`whisper:${id}`, sig, key)) {
+        this.diagnostics.increment("invalidSig");
+        this.penalize(sourceSocket, "invalidSignature", hops === 0);
+        return;
+      }
+    } catch (e) {
+      return;
+    }
+
+    if (this.bloomFilter.hasRelayed(id, "chat")) {
+      return;
+    }
+    this.bloomFilter.markRelayed(id, "chat");
+
+    rateData.count++;
+    this.chatRateLimits.set(sender, rateData);
+
+    if (this.identity && target === this.identity.id) {
+      const content = decryptWhisper(msg, this.identity);
+      if (content && content.length <= 140 && this.chatCallback) {
+        this.chatCallback({
+          type: "CHAT",
+          id,
+          sender,
+          target,
+          content,
+          timestamp: msg.timestamp,
+          scope: "WHISPER",
+        });
+      }
+      return true;
     }
+
+    // Not for us: pass the ciphertext along, we can't read it anyway.
+    if (hops < runtime.get("MAX_RELAY_HOPS")) {
+      this.relayCallback({ ...msg, hops: hops + 1 }, sourceSocket);
+    }
+    return true;
   }
 }
 
+const HANDLED_TYPES = [
+  "HEARTBEAT",
+  "LEAVE",
+  "CHAT",
+  "WHISPER",
+  "CHANNELS",
+  "HISTORY_REQUEST",
+  "HISTORY_RESPONSE",
+  "NEIGHBORS",
+  "STATS",
+];
+
 const validateMessage = (msg) => {
   if (!msg || typeof msg !== "object") return false;
   if (!msg.type) return false;
@@ -223,7 +575,7 @@ const validateMessage = (msg) => {
   if (msgSize > require("../config/constants").MAX_MESSAGE_SIZE) return false;
 
   if (msg.type === "HEARTBEAT") {
-    const allowedFields = ["type", "id", "seq", "hops", "nonce", "sig"];
+    const allowedFields = ["type", "id", "seq", "hops", "nonce", "sig", "pow"];
     const fields = Object.keys(msg);
     return (
       fields.every((f) => allowedFields.includes(f)) &&
@@ -231,7 +583,8 @@ const validateMessage = (msg) => {
       typeof msg.seq === "number" &&
       typeof msg.hops === "number" &&
       msg.nonce &&
-      msg.sig
+      msg.sig &&
+      (msg.pow === undefined || (Number.isInteger(msg.pow) && msg.pow >= 0 && msg.pow <= 256))
     );
   }
 
@@ -257,10 +610,12 @@ const validateMessage = (msg) => {
       "sig",
       "hops",
       "target",
+      "channel",
     ];
     const fields = Object.keys(msg);
     return (
       fields.every((f) => allowedFields.includes(f)) &&
+      (msg.channel === undefined || (isValidChannel(msg.channel) && msg.scope === "GLOBAL")) &&
       msg.sender &&
       msg.content &&
       typeof msg.content === "string" &&
@@ -269,6 +624,104 @@ const validateMessage = (msg) => {
     );
   }
 
+  if (msg.type === "WHISPER") {
+    const allowedFields = [
+      "type",
+      "id",
+      "sender",
+      "target",
+      "timestamp",
+      "epk",
+      "iv",
+      "ciphertext",
+      "sig",
+      "hops",
+    ];
+    const fields = Object.keys(msg);
+    return (
+      fields.every((f) => allowedFields.includes(f)) &&
+      typeof msg.id === "string" &&
+      typeof msg.sender === "string" &&
+      typeof msg.target === "string" &&
+      /^[0-9a-f]+$/.test(msg.target) &&
+      typeof msg.epk === "string" &&
+      /^[0-9a-f]{64}$/.test(msg.epk) &&
+      typeof msg.iv === "string" &&
+      /^[0-9a-f]{24}$/.test(msg.iv) &&
+      typeof msg.ciphertext === "string" &&
+      msg.ciphertext.length <= 1024 &&
+      typeof msg.timestamp === "number" &&
+      typeof msg.hops === "number" &&
+      typeof msg.sig === "string"
+    );
+  }
+
+  if (msg.type === "CHANNELS") {
+    const allowedFields = ["type", "channels"];
+    const fields = Object.keys(msg);
+    return (
+      fields.every((f) => allowedFields.includes(f)) &&
+      Array.isArray(msg.channels) &&
+      msg.channels.length <= MAX_CHANNELS &&
+      msg.channels.every(isValidChannel)
+    );
+  }
+
+  if (msg.type === "HISTORY_REQUEST") {
+    const allowedFields = ["type", "since", "have"];
+    const fields = Object.keys(msg);
+    return (
+      fields.every((f) => allowedFields.includes(f)) &&
+      typeof msg.since === "number" &&
+      Array.isArray(msg.have) &&
+      msg.have.length <= HISTORY_HAVE_LIMIT &&
+      msg.have.every((h) => typeof h === "string" && /^[0-9a-f]{8}$/.test(h))
+    );
+  }
+
+  if (msg.type === "HISTORY_RESPONSE") {
+    const allowedFields = ["type", "message"];
+    const fields = Object.keys(msg);
+    return (
+      fields.every((f) => allowedFields.includes(f)) &&
+      msg.message &&
+      typeof msg.message === "object"
+    );
+  }
+
+  if (msg.type === "NEIGHBORS") {
+    const allowedFields = ["type", "id", "timestamp", "neighbors", "sig", "hops"];
+    const fields = Object.keys(msg);
+    return (
+      fields.every((f) => allowedFields.includes(f)) &&
+      typeof msg.id === "string" &&
+      typeof msg.timestamp === "number" &&
+      typeof msg.hops === "number" &&
+      typeof msg.sig === "string" &&
+      Array.isArray(msg.neighbors) &&
+      msg.neighbors.length <= MAX_NEIGHBORS &&
+      msg.neighbors.every((n) => typeof n === "string" && /^[0-9a-f]{1,200}$/.test(n)) &&
+      new Set(msg.neighbors).size === msg.neighbors.length
+    );
+  }
+
+  if (msg.type === "STATS") {
+    const allowedFields = ["type", "id", "timestamp", "hll", "peers", "direct", "sig", "hops"];
+    const fields = Object.keys(msg);
+    return (
+      fields.every((f) => allowedFields.includes(f)) &&
+      typeof msg.id === "string" &&
+      typeof msg.timestamp === "number" &&
+      typeof msg.hops === "number" &&
+      typeof msg.sig === "string" &&
+      isPackedHll(msg.hll) &&
+      Number.isSafeInteger(msg.peers) &&
+      msg.peers >= 0 &&
+      Number.isSafeInteger(msg.direct) &&
+      msg.direct >= 0
+    );
+  }
+
   return false;
 };
 
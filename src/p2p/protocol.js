@@ -0,0 +1,379 @@
+const { ENABLE_BINARY_PROTOCOL } = require("../config/constants");
+
+/**
+ * Wire protocol.
+ *
+ * Version 1 is newline-delimited JSON with no handshake. Version 2 nodes open
+ * every connection with a HELLO line advertising their version and
+ * capabilities. Old nodes drop HELLO as an unknown type, so a peer we never
+ * hear a HELLO from is treated as version 1.
+ *
+ * When both sides advertise "binary", each side sends a HELLO_ACK line and
+ * switches its outgoing stream to length-prefixed binary frames right after it.
+ *
+ * In a private swarm both sides also send an AUTH_CHALLENGE and must answer the
+ * other's with an AUTH_RESPONSE before any other message is accepted.
+ */
+const PROTOCOL_VERSION = 2;
+const CAPABILITIES = [...(ENABLE_BINARY_PROTOCOL ? ["binary"] : []), "history", "channels", "topology", "stats", "gossip"];
+const MAX_FRAME_SIZE = 64 * 1024;
+
+// Fields version 1 nodes accept. Anything else makes their validateMessage drop the message.
+const LEGACY_FIELDS = {
+  HEARTBEAT: ["type", "id", "seq", "hops", "nonce", "sig"],
+  LEAVE: ["type", "id", "hops", "sig"],
+  CHAT: ["type", "sender", "content", "timestamp", "scope", "id", "sig", "hops", "target"],
+};
+
+// Sent before we know the peer's version. Old nodes ignore them as unknown types.
+const HANDSHAKE_TYPES = ["HELLO", "HELLO_ACK", "AUTH_CHALLENGE", "AUTH_RESPONSE"];
+
+// Relay announcements and requests, see relay.js
+const GOSSIP_CONTROL_TYPES = ["IHAVE", "IWANT", "GRAFT", "PRUNE"];
+
+// Field tags for the binary codec. Append only, never renumber.
+const FIELD_TAGS = [
+  null,
+  "type",
+  "id",
+  "seq",
+  "hops",
+  "nonce",
+  "sig",
+  "sender",
+  "content",
+  "timestamp",
+  "scope",
+  "target",
+  "epk",
+  "iv",
+  "ciphertext",
+  "since",
+  "have",
+  "message",
+  "channel",
+  "channels",
+  "proof",
+  "pow",
+  "neighbors",
+  "hll",
+  "peers",
+  "direct",
+  "ids",
+];
+const TAG_BY_FIELD = new Map(FIELD_TAGS.map((name, tag) => [name, tag]));
+
+const KIND_UINT = 0;
+const KIND_FLOAT = 1;
+const KIND_STRING = 2;
+const KIND_HEX = 3;
+const KIND_TRUE = 4;
+const KIND_FALSE = 5;
+const KIND_NULL = 6;
+const KIND_JSON = 7;
+
+const HEX_PATTERN = /^(?:[0-9a-f]{2})+$/;
+
+// Field names that would reach the object's prototype instead of becoming its own fields.
+// An inherited field gets past every Object.keys allowlist and size check.
+const RESERVED_FIELDS = new Set(["__proto__", "constructor", "prototype"]);
+
+const writeVarint = (out, value) => {
+  while (value >= 0x80) {
+    out.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  out.push(value);
+};
+
+const pushBytes = (out, buf) => {
+  writeVarint(out, buf.length);
+  for (const byte of buf) out.push(byte);
+};
+
+const encodeValue = (out, value) => {
+  if (value === true) {
+    out.push(KIND_TRUE);
+  } else if (value === false) {
+    out.push(KIND_FALSE);
+  } else if (value === null) {
+    out.push(KIND_NULL);
+  } else if (typeof value === "number") {
+    if (Number.isSafeInteger(value) && value >= 0) {
+      out.push(KIND_UINT);
+      writeVarint(out, value);
+    } else {
+      out.push(KIND_FLOAT);
+      const buf = Buffer.alloc(8);
+      buf.writeDoubleBE(value);
+      for (const byte of buf) out.push(byte);
+    }
+  } else if (typeof value === "string") {
+    // Keys, signatures and hashes travel as raw bytes, half the size of their hex.
+    if (HEX_PATTERN.test(value)) {
+      out.push(KIND_HEX);
+      pushBytes(out, Buffer.from(value, "hex"));
+    } else {
+      out.push(KIND_STRING);
+      pushBytes(out, Buffer.from(value, "utf8"));
+    }
+  } else {
+    out.push(KIND_JSON);
+    pushBytes(out, Buffer.from(JSON.stringify(value), "utf8"));
+  }
+};
+
+const encodeBinary = (msg) => {
+  const out = [];
+
+  for (const [field, value] of Object.entries(msg)) {
+    if (value === undefined) continue;
+
+    const tag = TAG_BY_FIELD.get(field);
+    if (tag) {
+      writeVarint(out, tag);
+    } else {
+      writeVarint(out, 0);
+      pushBytes(out, Buffer.from(field, "utf8"));
+    }
+    encodeValue(out, value);
+  }
+
+  const frame = Buffer.alloc(4 + out.length);
+  frame.writeUInt32BE(out.length, 0);
+  Buffer.from(out).copy(frame, 4);
+  return frame;
+};
+
+const decodeBinary = (payload) => {
+  let offset = 0;
+
+  const readVarint = () => {
+    let value = 0;
+    let multiplier = 1;
+    while (true) {
+      if (offset >= payload.length) throw new Error("Truncated varint");
+      const byte = payload[offset++];
+      value += (byte & 0x7f) * multiplier;
+      if (byte < 0x80) return value;
+      multiplier *= 0x80;
+      if (multiplier > 2 ** 56) throw new Error("Varint too long");
+    }
+  };
+
+  const readBytes = () => {
+    const length = readVarint();
+    if (offset + length > payload.length) throw new Error("Truncated field");
+    const bytes = payload.subarray(offset, offset + length);
+    offset += length;
+    return bytes;
+  };
+
+  const msg = {};
+  while (offset < payload.length) {
+    const tag = readVarint();
+    const field = tag === 0 ? readBytes().toString("utf8") : FIELD_TAGS[tag];
+    if (!field) throw new Error(`Unknown field tag ${tag}`);
+    if (RESERVED_FIELDS.has(field)) throw new Error(`Reserved field name ${field}`);
+
+    const kind = payload[offset++];
+    let value;
+    switch (kind) {
+      case KIND_UINT:
+        value = readVarint();
+        break;
+      case KIND_FLOAT:
+        if (offset + 8 > payload.length) throw new Error("Truncated float");
+        value = payload.readDoubleBE(offset);
+        offset += 8;
+        break;
+      case KIND_STRING:
+        value = readBytes().toString("utf8");
+        break;
+      case KIND_HEX:
+        value = readBytes().toString("hex");
+        break;
+      case KIND_TRUE:
+        value = true;
+        break;
+      case KIND_FALSE:
+        value = false;
+        break;
+      case KIND_NULL:
+        value = null;
+        break;
+      case KIND_JSON:
+        value = JSON.parse(readBytes().toString("utf8"));
+        break;
+      default:
+        throw new Error(`Unknown field kind ${kind}`);
+    }
+    msg[field] = value;
+  }
+
+  return msg;
+};
+
+/**
+ * Splits an incoming byte stream into messages. Starts in JSON-lines mode;
+ * setMode("binary") takes effect for the very next frame, including bytes
+ * already buffered from the same chunk.
+ */
+class FrameDecoder {
+  constructor(onMessage, onInvalid = () => {}) {
+    this.onMessage = onMessage;
+    this.onInvalid = onInvalid;
+    this.mode = "json";
+    this.buffer = Buffer.alloc(0);
+  }
+
+  setMode(mode) {
+    this.mode = mode;
+  }
+
+  push(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    while (this.buffer.length) {
+      if (this.mode === "binary") {
+        if (this.buffer.length < 4) break;
+        const length = this.buffer.readUInt32BE(0);
+        if (length > MAX_FRAME_SIZE) throw new Error("Frame too large");
+        if (this.buffer.length < 4 + length) break;
+
+        const payload = this.buffer.subarray(4, 4 + length);
+        this.buffer = this.buffer.subarray(4 + length);
+
+        let msg;
+        try {
+          msg = decodeBinary(payload);
+        } catch (e) {
+          this.onInvalid(e);
+          continue;
+        }
+        this.onMessage(msg, length + 4);
+      } else {
+        const newline = this.buffer.indexOf(0x0a);
+        if (newline === -1) {
+          if (this.buffer.length > MAX_FRAME_SIZE) throw new Error("Frame too large");
+          break;
+        }
+
+        const line = this.buffer.subarray(0, newline).toString("utf8");
+        this.buffer = this.buffer.subarray(newline + 1);
+        if (!line.trim()) continue;
+
+        let msg;
+        try {
+          msg = JSON.parse(line);
+        } catch (e) {
+          this.onInvalid(e);
+          continue;
+        }
+        this.onMessage(msg, newline + 1);
+      }
+    }
+  }
+}
+
+const createHello = () => ({
+  type: "HELLO",
+  version: PROTOCOL_VERSION,
+  caps: CAPABILITIES,
+});
+
+const validateHello = (msg) => {
+  return (
+    Number.isInteger(msg.version) &&
+    msg.version >= 1 &&
+    Array.isArray(msg.caps) &&
+    msg.caps.length <= 32 &&
+    msg.caps.every((c) => typeof c === "string" && c.length <= 32)
+  );
+};
+
+// Strips a message down to what a peer of the given version understands, or null if it can't take it at all.
+const downgradeMessage = (msg, version) => {
+  if (version >= PROTOCOL_VERSION || HANDSHAKE_TYPES.includes(msg.type)) return msg;
+
+  const allowed = LEGACY_FIELDS[msg.type];
+  if (!allowed) return null;
+
+  const legacy = {};
+  for (const field of allowed) {
+    if (msg[field] !== undefined) legacy[field] = msg[field];
+  }
+  return legacy;
+};
+
+const encodeFor = (msg, codec) => {
+  return codec === "binary" ? encodeBinary(msg) : JSON.stringify(msg) + "\n";
+};
+
+/**
+ * Encodes a message for a specific socket, honouring its negotiated version and codec.
+ * Returns null when the peer can't understand the message type.
+ */
+const encodeMessage = (msg, socket) => {
+  const prepared = downgradeMessage(msg, socket.protocolVersion || 1);
+  if (!prepared) return null;
+  return encodeFor(prepared, socket.codec);
+};
+
+/**
+ * Whether a socket should get a message at all. Nothing goes to peers that haven't
+ * passed the private swarm handshake yet. Channel messages only go to peers that
+ * understand channels and advertised interest in that one. Neighbor lists only go
+ * to peers that advertised "topology", network stats to those with "stats".
+ * IHAVE and friends only go to peers with "gossip", see relay.js.
+ */
+const canDeliver = (socket, msg) => {
+  if (socket.authenticated === false) return false;
+  if (msg.type === "NEIGHBORS") {
+    return Boolean(socket.capabilities && socket.capabilities.includes("topology"));
+  }
+  if (msg.type === "STATS") {
+    return Boolean(socket.capabilities && socket.capabilities.includes("stats"));
+  }
+  if (GOSSIP_CONTROL_TYPES.includes(msg.type)) {
+    return Boolean(socket.capabilities && socket.capabilities.includes("gossip"));
+  }
+  if (!msg.channel) return true;
+  return Boolean(
+    socket.capabilities &&
+      socket.capabilities.includes("channels") &&
+      socket.channels &&
+      socket.channels.has(msg.channel)
+  );
+};
+
+// Per connection, and for the swarm the connection belongs to if it set socket.diagnostics
+const countBytesOut = (socket, bytes) => {
+  socket.bytesOut = (socket.bytesOut || 0) + bytes;
+  if (socket.diagnostics) socket.diagnostics.increment("bytesSent", bytes);
+};
+
+const writeMessage = (socket, msg) => {
+  const data = encodeMessage(msg, socket);
+  if (!data) return 0;
+  socket.write(data);
+  countBytesOut(socket, data.length);
+  return data.length;
+};
+
+module.exports = {
+  PROTOCOL_VERSION,
+  CAPABILITIES,
+  MAX_FRAME_SIZE,
+  FrameDecoder,
+  encodeBinary,
+  decodeBinary,
+  createHello,
+  validateHello,
+  downgradeMessage,
+  encodeMessage,
+  writeMessage,
+  countBytesOut,
+  canDeliver,
+  GOSSIP_CONTROL_TYPES,
+};
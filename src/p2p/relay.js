@@ -1,35 +1,341 @@
-const relayMessage = (msg, sourceSocket, swarm, diagnostics) => {
-  const data = JSON.stringify(msg) + "\n";
+const crypto = require("crypto");
+const runtime = require("../config/runtime");
+const { LRUCache } = require("../state/lru");
+const { encodeMessage, writeMessage, countBytesOut, canDeliver } = require("./protocol");
 
-  // Gossip Subsampling:
-  // We relay to a subset of peers to prevent flooding, but scale with connection count.
-  // We use a minimum of 6 or 25% of eligible peers, whichever is larger.
-  
-  const allSockets = Array.from(swarm.connections);
-  const eligible = allSockets.filter((s) => s !== sourceSocket);
-  
-  const MIN_GOSSIP_COUNT = 6;
-  const GOSSIP_FACTOR = 0.25; // Relay to 25% of peers
-  const TARGET_GOSSIP_COUNT = Math.max(MIN_GOSSIP_COUNT, Math.ceil(eligible.length * GOSSIP_FACTOR));
+// Random subsampling: a minimum of 6 or 25% of eligible peers, whichever is larger
+const MIN_GOSSIP_COUNT = 6;
+const GOSSIP_FACTOR = 0.25;
+// The lazy strategy still pushes each heartbeat to this many peers, the rest get an IHAVE
+const LAZY_EAGER_COUNT = 2;
 
-  let targets = eligible;
+// IHAVEs are batched per connection and flushed this often
+const ANNOUNCE_INTERVAL = 500;
+// IDs per control message, which keeps it well under MAX_MESSAGE_SIZE
+const MAX_IDS = 100;
+const ID_BYTES = 8;
+const IDS_PATTERN = new RegExp(`^(?:[0-9a-f]{${ID_BYTES * 2}}){1,${MAX_IDS}}$`);
+const ID_CHUNK = new RegExp(`.{${ID_BYTES * 2}}`, "g");
+// A requested message that hasn't arrived by then is asked from the next peer that announced it
+const PULL_TIMEOUT = 2000;
+// Plumtree waits this long for the eager tree to deliver an announced message before grafting
+const GRAFT_TIMEOUT = 1000;
 
-  if (eligible.length > TARGET_GOSSIP_COUNT) {
-    // Fisher-Yates shuffle (partial) to pick random peers
-    for (let i = eligible.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [eligible[i], eligible[j]] = [eligible[j], eligible[i]];
+// Relayed messages kept for answering IWANT and GRAFT
+const CACHE_SIZE = 5000;
+const CACHE_TTL = 60000;
+const SEEN_SIZE = 20000;
+const MAX_PENDING = 5000;
+// IDs announced to one connection that it may still ask for
+const MAX_ANNOUNCED = 5000;
+
+const CHAT_TYPES = ["CHAT", "WHISPER"];
+
+/**
+ * The key a relayed message is deduplicated by, the same one the bloom filter uses.
+ * null for messages that are never relayed.
+ */
+const messageKey = (msg) => {
+  switch (msg.type) {
+    case "HEARTBEAT":
+      return `${msg.id}:${msg.seq}`;
+    case "LEAVE":
+      return `${msg.id}:leave`;
+    case "CHAT":
+      return msg.scope === "GLOBAL" ? `${msg.id}:chat` : null;
+    case "WHISPER":
+      return `${msg.id}:chat`;
+    case "NEIGHBORS":
+      return `${msg.id}:neighbors:${msg.timestamp}`;
+    case "STATS":
+      return `${msg.id}:stats:${msg.timestamp}`;
+    default:
+      return null;
+  }
+};
+
+// Short ID for IHAVE and IWANT: the first 8 bytes of the key's sha256, as hex
+const messageId = (msg) => {
+  const key = messageKey(msg);
+  if (key === null) return null;
+  return crypto.createHash("sha256").update(key).digest().subarray(0, ID_BYTES).toString("hex");
+};
+
+// Fisher-Yates shuffle of a copy
+const shuffle = (sockets) => {
+  const pool = [...sockets];
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool;
+};
+
+const subsample = (sockets) => {
+  const count = Math.max(MIN_GOSSIP_COUNT, Math.ceil(sockets.length * GOSSIP_FACTOR));
+  return sockets.length > count ? shuffle(sockets).slice(0, count) : sockets;
+};
+
+// Only peers that advertised "gossip" understand IHAVE, everyone else needs the message pushed
+const canPull = (socket) => Boolean(socket.capabilities && socket.capabilities.includes("gossip"));
+
+/**
+ * Each strategy splits the connections a message may go to into `eager` ones, which
+ * get it pushed, and `lazy` ones, which only get its ID in an IHAVE and ask with IWANT
+ * if they haven't seen it.
+ */
+const STRATEGIES = {
+  random: (msg, sockets) => ({ eager: subsample(sockets), lazy: [] }),
+
+  // Chat is announced and pulled, a peer that already has a message never gets it twice
+  "push-pull": (msg, sockets) => {
+    if (!CHAT_TYPES.includes(msg.type)) return STRATEGIES.random(msg, sockets);
+    return { eager: subsample(sockets.filter((s) => !canPull(s))), lazy: sockets.filter(canPull) };
+  },
+
+  // Heartbeats are pushed to a couple of peers and announced to the others
+  lazy: (msg, sockets) => {
+    if (msg.type !== "HEARTBEAT") return STRATEGIES.random(msg, sockets);
+    const pullers = shuffle(sockets.filter(canPull));
+    return {
+      eager: [...subsample(sockets.filter((s) => !canPull(s))), ...pullers.slice(0, LAZY_EAGER_COUNT)],
+      lazy: pullers.slice(LAZY_EAGER_COUNT),
+    };
+  },
+
+  // Everything is pushed along eager links and announced along lazy ones. Links start
+  // eager; one that delivers a duplicate is pruned to lazy, one that announces something
+  // the eager links didn't deliver in time is grafted back.
+  plumtree: (msg, sockets) => ({
+    eager: sockets.filter((s) => !canPull(s) || !s.lazy),
+    lazy: sockets.filter((s) => canPull(s) && s.lazy),
+  }),
+};
+
+/**
+ * Forwards gossip for one swarm using the RELAY_STRATEGY runtime setting.
+ *
+ * Every node answers IHAVE, IWANT, GRAFT and PRUNE whatever its own strategy, so
+ * nodes with different strategies work together; the strategy only decides how this
+ * node forwards. Our own messages always go to every connection.
+ */
+class GossipRelay {
+  constructor(diagnostics, getSwarm) {
+    this.diagnostics = diagnostics;
+    this.getSwarm = getSwarm;
+    this.cache = new LRUCache(CACHE_SIZE);
+    // IDs of messages we relayed or sent, what makes a later copy a duplicate
+    this.seen = new LRUCache(SEEN_SIZE);
+    // ID -> connections that announced it, in the order we'll ask them
+    this.pending = new Map();
+    this.announceInterval = null;
+  }
+
+  start() {
+    this.announceInterval = setInterval(() => this.flushAnnouncements(), ANNOUNCE_INTERVAL);
+  }
+
+  stop() {
+    if (this.announceInterval) {
+      clearInterval(this.announceInterval);
+      this.announceInterval = null;
     }
-    targets = eligible.slice(0, TARGET_GOSSIP_COUNT);
   }
 
-  if (diagnostics) {
-    diagnostics.increment("bytesRelayed", data.length * targets.length);
+  get strategy() {
+    return runtime.get("RELAY_STRATEGY");
   }
 
-  for (const socket of targets) {
-    socket.write(data);
+  // For our own messages and ones the MessageHandler accepted, never for unchecked ones.
+  // The first copy is kept, when relayed that's the one with `hops` incremented.
+  markSeen(msg) {
+    const id = messageId(msg);
+    if (id === null) return null;
+    this.seen.set(id, true);
+    if (!this.cache.has(id)) this.cache.set(id, { msg, at: Date.now() });
+    this.pending.delete(id);
+    return id;
   }
-};
 
-module.exports = { relayMessage };
+  // Forwards a message the MessageHandler accepted, `msg.hops` already incremented
+  relay(msg, sourceSocket) {
+    const id = this.markSeen(msg);
+
+    const eligible = [...this.getSwarm().connections].filter(
+      (s) => s !== sourceSocket && canDeliver(s, msg)
+    );
+    const select = STRATEGIES[this.strategy] || STRATEGIES.random;
+    const { eager, lazy } = id === null ? STRATEGIES.random(msg, eligible) : select(msg, eligible);
+
+    // Peers differ in codec and protocol version, encode once per combination.
+    const encoded = new Map();
+    let bytes = 0;
+
+    for (const socket of eager) {
+      const key = `${socket.codec}:${socket.protocolVersion}`;
+      if (!encoded.has(key)) {
+        encoded.set(key, encodeMessage(msg, socket));
+      }
+
+      const data = encoded.get(key);
+      if (!data) continue;
+
+      socket.write(data);
+      countBytesOut(socket, data.length);
+      bytes += data.length;
+    }
+
+    for (const socket of lazy) {
+      if (!socket.pendingAnnouncements) socket.pendingAnnouncements = new Set();
+      socket.pendingAnnouncements.add(id);
+    }
+
+    this.diagnostics.increment("bytesRelayed", bytes);
+    this.diagnostics.observe("relayFanout", eager.length);
+  }
+
+  /**
+   * Looks at every message a connection sent, once the MessageHandler is done with it.
+   * An accepted one is delivered, so we stop asking for it. A rejected copy of one we
+   * already have is a duplicate, and under plumtree the link it came over is pruned,
+   * but only if it carries the signature of the copy we checked: a forged message with
+   * the same ID counts for nothing.
+   */
+  observe(msg, socket, accepted) {
+    if (accepted) {
+      this.markSeen(msg);
+      return;
+    }
+
+    const id = messageId(msg);
+    if (id === null || !this.seen.has(id)) return;
+
+    const entry = this.cache.peek(id);
+    if (!entry || !msg.sig || entry.msg.sig !== msg.sig) return;
+
+    this.diagnostics.increment("duplicatesReceived");
+    if (this.strategy === "plumtree" && canPull(socket) && !socket.lazy) {
+      socket.lazy = true;
+      this.sendControl(socket, { type: "PRUNE" });
+    }
+  }
+
+  sendControl(socket, msg) {
+    this.diagnostics.increment("gossipControlBytes", writeMessage(socket, msg));
+  }
+
+  flushAnnouncements() {
+    for (const socket of this.getSwarm().connections) {
+      if (!socket.pendingAnnouncements || !socket.pendingAnnouncements.size) continue;
+
+      const ids = [...socket.pendingAnnouncements];
+      socket.pendingAnnouncements.clear();
+
+      if (!socket.announced) socket.announced = new Set();
+      for (const id of ids) {
+        socket.announced.add(id);
+      }
+      // Sets iterate in insertion order, the oldest announcements go first
+      for (const id of socket.announced) {
+        if (socket.announced.size <= MAX_ANNOUNCED) break;
+        socket.announced.delete(id);
+      }
+
+      for (let i = 0; i < ids.length; i += MAX_IDS) {
+        this.sendControl(socket, { type: "IHAVE", ids: ids.slice(i, i + MAX_IDS).join("") });
+      }
+    }
+  }
+
+  // Returns false for a malformed control message
+  handleControl(msg, socket) {
+    if (msg.type === "PRUNE") {
+      if (Object.keys(msg).length !== 1) return false;
+      socket.lazy = true;
+      return true;
+    }
+
+    if (Object.keys(msg).length !== 2 || typeof msg.ids !== "string" || !IDS_PATTERN.test(msg.ids)) {
+      return false;
+    }
+    const ids = msg.ids.match(ID_CHUNK);
+
+    if (msg.type === "IHAVE") {
+      this.handleAnnouncement(ids, socket);
+    } else if (msg.type === "IWANT") {
+      this.serve(ids, socket);
+    } else if (msg.type === "GRAFT") {
+      socket.lazy = false;
+      this.serve(ids, socket);
+    }
+    return true;
+  }
+
+  handleAnnouncement(ids, socket) {
+    const wanted = [];
+    for (const id of ids) {
+      if (this.seen.has(id)) continue;
+
+      const entry = this.pending.get(id);
+      if (entry) {
+        if (!entry.includes(socket)) entry.push(socket);
+        continue;
+      }
+      if (this.pending.size >= MAX_PENDING) continue;
+
+      this.pending.set(id, [socket]);
+      wanted.push(id);
+    }
+    if (!wanted.length) return;
+
+    if (this.strategy !== "plumtree") {
+      this.request(wanted, socket, "IWANT");
+      return;
+    }
+
+    setTimeout(() => {
+      const missing = wanted.filter((id) => this.pending.has(id));
+      if (missing.length) this.request(missing, socket, "GRAFT");
+    }, GRAFT_TIMEOUT);
+  }
+
+  request(ids, socket, type) {
+    this.sendControl(socket, { type, ids: ids.join("") });
+
+    setTimeout(() => {
+      for (const id of ids) this.retry(id, socket);
+    }, PULL_TIMEOUT);
+  }
+
+  // Asks the next peer that announced a message when the last one didn't deliver
+  retry(id, failed) {
+    const entry = this.pending.get(id);
+    if (!entry) return;
+
+    const next = entry.filter((s) => s !== failed && !s.destroyed);
+    if (!next.length) {
+      this.pending.delete(id);
+      return;
+    }
+    this.pending.set(id, next);
+    this.request([id], next[0], "IWANT");
+  }
+
+  // Sends cached messages, but only ones we announced to that peer, and each only once
+  serve(ids, socket) {
+    const now = Date.now();
+    let bytes = 0;
+
+    for (const id of ids) {
+      if (!socket.announced || !socket.announced.delete(id)) continue;
+
+      const entry = this.cache.peek(id);
+      if (!entry || now - entry.at > CACHE_TTL || !canDeliver(socket, entry.msg)) continue;
+      bytes += writeMessage(socket, entry.msg);
+    }
+
+    this.diagnostics.increment("bytesRelayed", bytes);
+  }
+}
+
+module.exports = { GossipRelay, messageId };
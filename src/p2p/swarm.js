@@ -1,14 +1,33 @@
+const crypto = require("crypto");
 const Hyperswarm = require("hyperswarm");
-const { signMessage } = require("../core/security");
+const { signMessage, deriveAuthKey, createAuthProof, verifyAuthProof } = require("../core/security");
 const {
   TOPIC,
-  TOPIC_NAME,
-  HEARTBEAT_INTERVAL,
-  MAX_CONNECTIONS,
-  CONNECTION_ROTATION_INTERVAL,
-  ENABLE_CHAT,
+  AUTH_TIMEOUT,
+  MAX_MESSAGE_SIZE,
+  PEER_MESSAGE_LIMIT,
+  TOPOLOGY_INTERVAL,
+  STATS_INTERVAL,
 } = require("../config/constants");
+const { MAX_NEIGHBORS } = require("../state/topology");
+const { packSketch } = require("../state/network-stats");
+const runtime = require("../config/runtime");
 const { generateScreenname } = require("../utils/name-generator");
+const {
+  FrameDecoder,
+  createHello,
+  validateHello,
+  writeMessage,
+  canDeliver,
+  CAPABILITIES,
+  PROTOCOL_VERSION,
+  GOSSIP_CONTROL_TYPES,
+} = require("./protocol");
+
+// Both ends of a Noise connection see the same handshake hash
+const handshakeHashOf = (socket) => {
+  return socket.handshakeHash ? Buffer.from(socket.handshakeHash).toString("hex") : null;
+};
 
 class SwarmManager {
   constructor(
@@ -18,7 +37,11 @@ class SwarmManager {
     messageHandler,
     relayFn,
     broadcastFn,
-    chatSystemFn
+    chatSystemFn,
+    topic = TOPIC,
+    secret = null,
+    reputation = null,
+    gossip = null
   ) {
     this.identity = identity;
     this.peerManager = peerManager;
@@ -27,106 +50,323 @@ class SwarmManager {
     this.relayFn = relayFn;
     this.broadcastFn = broadcastFn;
     this.chatSystemFn = chatSystemFn;
-
-    this.swarm = new Hyperswarm();
+    this.topic = topic;
+    this.secret = secret;
+    // Derived once, scrypt is slow on purpose
+    this.authKey = secret ? deriveAuthKey(secret, topic) : null;
+    this.reputation = reputation;
+    // GossipRelay forwarding other nodes' messages, also answers IHAVE and IWANT
+    this.gossip = gossip;
+
+    // Banned Noise keys are turned away before the connection is even set up
+    this.swarm = new Hyperswarm({
+      firewall: (remotePublicKey) =>
+        Boolean(this.reputation && this.reputation.isBanned(remotePublicKey.toString("hex"))),
+    });
     this.heartbeatInterval = null;
     this.rotationInterval = null;
+    this.topologyInterval = null;
+    this.statsInterval = null;
   }
 
   async start() {
     this.swarm.on("connection", (socket) => this.handleConnection(socket));
 
-    const discovery = this.swarm.join(TOPIC);
+    const discovery = this.swarm.join(this.topic);
     await discovery.flushed();
 
     this.startHeartbeat();
     this.startRotation();
+    this.startTopology();
+    this.startStats();
+    if (this.gossip) this.gossip.start();
+
+    runtime.onChange("HEARTBEAT_INTERVAL", () => this.startHeartbeat());
+    runtime.onChange("CONNECTION_ROTATION_INTERVAL", () => this.startRotation());
+    runtime.onChange("MAX_CONNECTIONS", (max) => this.trimConnections(max));
+  }
+
+  // Drops the newest connections until we're within the limit, keeping the established ones
+  trimConnections(max) {
+    const sockets = [...this.swarm.connections].sort(
+      (a, b) => b.connectedAt - a.connectedAt
+    );
+    for (const socket of sockets.slice(0, Math.max(sockets.length - max, 0))) {
+      socket.destroy();
+    }
   }
 
   handleConnection(socket) {
-    if (this.swarm.connections.size > MAX_CONNECTIONS) {
+    if (this.swarm.connections.size > runtime.get("MAX_CONNECTIONS")) {
       socket.destroy();
       return;
     }
 
-    socket.connectedAt = Date.now();
+    if (this.reputation && this.reputation.isSocketBanned(socket)) {
+      socket.destroy();
+      return;
+    }
 
-    const sig = signMessage(
-      `seq:${this.peerManager.getSeq()}`,
-      this.identity.privateKey
-    );
-    const hello = JSON.stringify({
-      type: "HEARTBEAT",
-      id: this.identity.id,
-      seq: this.peerManager.getSeq(),
-      hops: 0,
-      nonce: this.identity.nonce,
-      sig,
-    });
-    socket.write(hello);
+    // Without a handshake hash, auth proofs wouldn't be bound to this connection and could be replayed
+    if (this.secret && !handshakeHashOf(socket)) {
+      this.diagnostics.increment("authFailures");
+      socket.destroy();
+      return;
+    }
+
+    socket.connectedAt = Date.now();
+    socket.protocolVersion = 1;
+    socket.codec = "json";
+    // Bytes written to this connection count towards this swarm's diagnostics
+    socket.diagnostics = this.diagnostics;
+    // In a private swarm the peer stays locked out until it answers our challenge
+    socket.authenticated = !this.secret;
+
+    writeMessage(socket, createHello());
+
+    if (this.secret) {
+      this.sendChallenge(socket);
+    } else {
+      this.sendInitialHeartbeat(socket);
+    }
     this.broadcastFn();
 
-    socket.buffer = "";
+    socket.decoder = new FrameDecoder(
+      (msg, size) => {
+        this.diagnostics.observe("messageSize", size);
+        if (!this.checkRate(socket)) return;
+        // validateMessage drops anything over MAX_MESSAGE_SIZE, well past it is abuse rather than framing overhead
+        if (size > MAX_MESSAGE_SIZE * 2) {
+          this.penalize(socket, "oversize");
+          return;
+        }
+        this.handleFrame(socket, msg);
+      },
+      () => this.penalize(socket, "malformed")
+    );
 
     socket.on("data", (data) => {
       this.diagnostics.increment("bytesReceived", data.length);
-      socket.buffer += data.toString();
-
-      const lines = socket.buffer.split("\n");
-
-      socket.buffer = lines.pop();
-
-      for (const msgStr of lines) {
-        if (!msgStr.trim()) continue;
-        try {
-          const msg = JSON.parse(msgStr);
-          this.messageHandler.handleMessage(msg, socket);
-        } catch (e) {}
+      socket.bytesIn = (socket.bytesIn || 0) + data.length;
+      try {
+        socket.decoder.push(data);
+      } catch (e) {
+        // Frames over MAX_FRAME_SIZE
+        this.penalize(socket, "oversize");
+        socket.destroy();
       }
     });
 
     socket.on("close", () => {
+      clearTimeout(socket.authTimer);
       if (socket.peerId && this.peerManager.hasPeer(socket.peerId)) {
         this.peerManager.removePeer(socket.peerId);
       }
+      if (socket.peerId) {
+        this.messageHandler.notify("peer.disconnected", {
+          id: socket.peerId,
+          screenname: generateScreenname(socket.peerId),
+          reason: socket.rotated ? "rotation" : "closed",
+        });
+      }
       this.broadcastFn();
     });
 
     socket.on("error", () => {});
   }
 
+  handleFrame(socket, msg) {
+    if (!msg || typeof msg !== "object") return;
+
+    if (msg.type === "HELLO") {
+      this.handleHello(socket, msg);
+    } else if (msg.type === "HELLO_ACK") {
+      // The peer switches codec right after this line
+      if (msg.codec === "binary" && CAPABILITIES.includes("binary")) {
+        socket.decoder.setMode("binary");
+      }
+    } else if (msg.type === "AUTH_CHALLENGE") {
+      this.handleChallenge(socket, msg);
+    } else if (msg.type === "AUTH_RESPONSE") {
+      this.handleAuthResponse(socket, msg);
+    } else if (socket.authenticated) {
+      // Non-members never get past this point, so their heartbeats never reach the PeerManager
+      if (GOSSIP_CONTROL_TYPES.includes(msg.type)) {
+        if (this.gossip && !this.gossip.handleControl(msg, socket)) {
+          this.penalize(socket, "invalidMessage");
+        }
+        return;
+      }
+
+      try {
+        const accepted = this.messageHandler.handleMessage(msg, socket);
+        if (this.gossip) this.gossip.observe(msg, socket, accepted);
+      } catch (e) {}
+    }
+  }
+
+  // `pow` tells peers the difficulty we currently require of them
+  createHeartbeat(seq) {
+    const sig = signMessage(`seq:${seq}`, this.identity.privateKey);
+    const heartbeat = {
+      type: "HEARTBEAT",
+      id: this.identity.id,
+      seq,
+      hops: 0,
+      nonce: this.identity.nonce,
+      sig,
+    };
+    if (this.messageHandler.powPolicy) {
+      heartbeat.pow = this.messageHandler.powPolicy.minBits;
+    }
+    return heartbeat;
+  }
+
+  // Our own messages go to every connection that can take them, whatever the relay strategy
+  sendToAll(msg) {
+    if (this.gossip) this.gossip.markSeen(msg);
+    for (const socket of this.swarm.connections) {
+      if (canDeliver(socket, msg)) writeMessage(socket, msg);
+    }
+  }
+
+  sendInitialHeartbeat(socket) {
+    writeMessage(socket, this.createHeartbeat(this.peerManager.getSeq()));
+  }
+
+  penalize(socket, reason) {
+    if (this.reputation) {
+      this.reputation.penalize(socket, reason);
+    }
+  }
+
+  // Closes connections that a new ban covers
+  dropBanned() {
+    if (!this.reputation) return;
+    for (const socket of this.swarm.connections) {
+      if (this.reputation.isSocketBanned(socket) || this.reputation.isBanned(socket.peerId)) {
+        socket.destroy();
+      }
+    }
+  }
+
+  // Drops frames beyond PEER_MESSAGE_LIMIT per 10 seconds, penalizing once per window
+  checkRate(socket) {
+    const now = Date.now();
+    if (!socket.rateWindow || now - socket.rateWindow.start > 10000) {
+      socket.rateWindow = { start: now, count: 0 };
+    }
+
+    socket.rateWindow.count++;
+    if (socket.rateWindow.count <= PEER_MESSAGE_LIMIT) return true;
+
+    if (socket.rateWindow.count === PEER_MESSAGE_LIMIT + 1) {
+      this.penalize(socket, "flood");
+    }
+    return false;
+  }
+
+  sendChallenge(socket) {
+    socket.authNonce = crypto.randomBytes(32).toString("hex");
+    writeMessage(socket, { type: "AUTH_CHALLENGE", nonce: socket.authNonce });
+
+    socket.authTimer = setTimeout(() => {
+      if (!socket.authenticated) {
+        this.diagnostics.increment("authFailures");
+        socket.destroy();
+      }
+    }, AUTH_TIMEOUT);
+  }
+
+  handleChallenge(socket, msg) {
+    if (!this.secret || socket.challengeAnswered) return;
+    if (typeof msg.nonce !== "string" || !/^[0-9a-f]{64}$/.test(msg.nonce)) return;
+    socket.challengeAnswered = true;
+
+    writeMessage(socket, {
+      type: "AUTH_RESPONSE",
+      proof: createAuthProof(this.authKey, msg.nonce, handshakeHashOf(socket), socket.isInitiator),
+    });
+  }
+
+  handleAuthResponse(socket, msg) {
+    if (!this.secret || socket.authenticated || !socket.authNonce) return;
+
+    // The peer answered from the other end of the connection, so with the opposite role
+    if (!verifyAuthProof(msg.proof, this.authKey, socket.authNonce, handshakeHashOf(socket), !socket.isInitiator)) {
+      this.diagnostics.increment("authFailures");
+      socket.destroy();
+      return;
+    }
+
+    socket.authenticated = true;
+    clearTimeout(socket.authTimer);
+
+    this.sendInitialHeartbeat(socket);
+    if (socket.helloReceived) {
+      this.startSync(socket);
+    }
+    this.broadcastFn();
+  }
+
+  handleHello(socket, msg) {
+    if (socket.helloReceived || !validateHello(msg)) return;
+    socket.helloReceived = true;
+
+    socket.protocolVersion = Math.min(msg.version, PROTOCOL_VERSION);
+    socket.capabilities = msg.caps.filter((c) => CAPABILITIES.includes(c));
+
+    if (socket.capabilities.includes("binary")) {
+      writeMessage(socket, { type: "HELLO_ACK", codec: "binary" });
+      socket.codec = "binary";
+    }
+
+    // Private swarms wait for the AUTH_RESPONSE before syncing anything
+    if (socket.authenticated) {
+      this.startSync(socket);
+    }
+  }
+
+  startSync(socket) {
+    // Before the history request, so the peer knows which channels to backfill
+    if (socket.capabilities.includes("channels")) {
+      this.messageHandler.advertiseChannels(socket);
+    }
+
+    if (socket.capabilities.includes("history")) {
+      this.messageHandler.requestHistory(socket);
+    }
+  }
+
   startHeartbeat() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+    }
+
     this.heartbeatInterval = setInterval(() => {
       const seq = this.peerManager.incrementSeq();
       this.peerManager.addOrUpdatePeer(this.identity.id, seq, null);
 
       this.messageHandler.bloomFilter.markRelayed(this.identity.id, seq);
 
-      const sig = signMessage(`seq:${seq}`, this.identity.privateKey);
-      const heartbeat =
-        JSON.stringify({
-          type: "HEARTBEAT",
-          id: this.identity.id,
-          seq,
-          hops: 0,
-          nonce: this.identity.nonce,
-          sig,
-        }) + "\n";
+      const heartbeat = this.createHeartbeat(seq);
 
-      for (const socket of this.swarm.connections) {
-        socket.write(heartbeat);
-      }
+      this.sendToAll(heartbeat);
 
       const removed = this.peerManager.cleanupStalePeers();
       if (removed > 0) {
         this.broadcastFn();
       }
-    }, HEARTBEAT_INTERVAL);
+    }, runtime.get("HEARTBEAT_INTERVAL"));
   }
 
   startRotation() {
+    if (this.rotationInterval) {
+      clearInterval(this.rotationInterval);
+    }
+
     this.rotationInterval = setInterval(() => {
-      if (this.swarm.connections.size < MAX_CONNECTIONS / 2) return;
+      if (this.swarm.connections.size < runtime.get("MAX_CONNECTIONS") / 2) return;
 
       let oldest = null;
       for (const socket of this.swarm.connections) {
@@ -136,7 +376,7 @@ class SwarmManager {
       }
 
       if (oldest) {
-        if (ENABLE_CHAT && this.chatSystemFn && oldest.peerId) {
+        if (runtime.get("ENABLE_CHAT") && this.chatSystemFn && oldest.peerId) {
           this.chatSystemFn({
             type: "SYSTEM",
             content: `Connection with Node ...${oldest.peerId.slice(
@@ -145,9 +385,82 @@ class SwarmManager {
             timestamp: Date.now(),
           });
         }
+        oldest.rotated = true;
         oldest.destroy();
       }
-    }, CONNECTION_ROTATION_INTERVAL);
+    }, runtime.get("CONNECTION_ROTATION_INTERVAL"));
+  }
+
+  // Only the primary topic keeps a topology. SHARE_TOPOLOGY is read every round so
+  // switching it in the admin settings takes effect without a restart.
+  startTopology() {
+    if (!this.messageHandler.topology) return;
+
+    this.topologyInterval = setInterval(() => {
+      this.messageHandler.topology.cleanup();
+      if (runtime.get("SHARE_TOPOLOGY")) {
+        this.announceNeighbors();
+      }
+    }, TOPOLOGY_INTERVAL);
+  }
+
+  // Peer IDs of the direct connections that have introduced themselves with a heartbeat
+  getNeighbors() {
+    const neighbors = new Set();
+    for (const socket of this.swarm.connections) {
+      if (socket.peerId && socket.authenticated) neighbors.add(socket.peerId);
+    }
+    return [...neighbors];
+  }
+
+  announceNeighbors() {
+    const timestamp = Date.now();
+    const neighbors = this.getNeighbors().slice(0, MAX_NEIGHBORS);
+    const msg = {
+      type: "NEIGHBORS",
+      id: this.identity.id,
+      timestamp,
+      neighbors,
+      sig: signMessage(`neighbors:${timestamp}:${neighbors.join(",")}`, this.identity.privateKey),
+      hops: 0,
+    };
+
+    this.messageHandler.bloomFilter.markRelayed(this.identity.id, `neighbors:${timestamp}`);
+
+    this.sendToAll(msg);
+  }
+
+  // Like the topology, only the primary topic gossips stats. SHARE_STATS is read every round.
+  startStats() {
+    if (!this.messageHandler.networkStats) return;
+
+    this.statsInterval = setInterval(() => {
+      this.messageHandler.networkStats.cleanup();
+      if (runtime.get("SHARE_STATS")) {
+        this.announceStats();
+      }
+    }, STATS_INTERVAL);
+  }
+
+  announceStats() {
+    const timestamp = Date.now();
+    const hll = packSketch(this.peerManager.uniquePeersHLL);
+    const peers = this.peerManager.size;
+    const direct = this.swarm.connections.size;
+    const msg = {
+      type: "STATS",
+      id: this.identity.id,
+      timestamp,
+      hll,
+      peers,
+      direct,
+      sig: signMessage(`stats:${timestamp}:${peers}:${direct}:${hll}`, this.identity.privateKey),
+      hops: 0,
+    };
+
+    this.messageHandler.bloomFilter.markRelayed(this.identity.id, `stats:${timestamp}`);
+
+    this.sendToAll(msg);
   }
 
   shutdown() {
@@ -155,19 +468,16 @@ class SwarmManager {
       `type:LEAVE:${this.identity.id}`,
       this.identity.privateKey
     );
-    const goodbye =
-      JSON.stringify({
-        type: "LEAVE",
-        id: this.identity.id,
-        hops: 0,
-        sig,
-      }) + "\n";
+    const goodbye = {
+      type: "LEAVE",
+      id: this.identity.id,
+      hops: 0,
+      sig,
+    };
 
     this.messageHandler.bloomFilter.markRelayed(this.identity.id, "leave");
 
-    for (const socket of this.swarm.connections) {
-      socket.write(goodbye);
-    }
+    this.sendToAll(goodbye);
 
     if (this.heartbeatInterval) {
       clearInterval(this.heartbeatInterval);
@@ -177,6 +487,18 @@ class SwarmManager {
       clearInterval(this.rotationInterval);
     }
 
+    if (this.topologyInterval) {
+      clearInterval(this.topologyInterval);
+    }
+
+    if (this.statsInterval) {
+      clearInterval(this.statsInterval);
+    }
+
+    if (this.gossip) {
+      this.gossip.stop();
+    }
+
     setTimeout(() => {
       process.exit(0);
     }, 500);
@@ -186,18 +508,37 @@ class SwarmManager {
     return this.swarm;
   }
 
+  advertiseChannels() {
+    for (const socket of this.swarm.connections) {
+      if (socket.authenticated && socket.capabilities && socket.capabilities.includes("channels")) {
+        this.messageHandler.advertiseChannels(socket);
+      }
+    }
+  }
+
   broadcastChat(msg) {
-    if (!ENABLE_CHAT) return;
+    if (!runtime.get("ENABLE_CHAT")) return;
 
     if (msg.id) {
       this.messageHandler.bloomFilter.markRelayed(msg.id, "chat");
     }
 
-    const msgStr = JSON.stringify(msg) + "\n";
-    for (const socket of this.swarm.connections) {
-      socket.write(msgStr);
-    }
+    this.sendToAll(msg);
   }
 }
 
-module.exports = { SwarmManager };
+/**
+ * Per-topic numbers for the dashboard and /api/stats. Each entry in `topics`
+ * is { name, peerManager, swarmManager }, the primary topic first.
+ */
+const summarizeTopics = (topics) => {
+  return topics.map(({ name, peerManager, swarmManager }) => ({
+    name,
+    private: Boolean(swarmManager.secret),
+    count: peerManager.size,
+    totalUnique: peerManager.totalUniquePeers,
+    direct: swarmManager.getSwarm().connections.size,
+  }));
+};
+
+module.exports = { SwarmManager, summarizeTopics };
@@ -0,0 +1,149 @@
+const path = require("path");
+const fs = require("fs");
+const { DATA_DIR } = require("../config/constants");
+const { readJson, writeJsonAtomic } = require("../utils/storage");
+const { HyperLogLog } = require("./hyperloglog");
+
+const ACTIVITY_FILE = "activity.json";
+// Version 1 held raw registers of the old 32-bit hash, they don't mix with current sketches
+const ACTIVITY_VERSION = 2;
+// 4 KB per hour dense, about 1.6% standard error. Quiet hours stay sparse and much smaller.
+const PRECISION = 12;
+const PERSIST_INTERVAL = 5 * 60 * 1000;
+
+const HOUR = 60 * 60 * 1000;
+
+// Rolling windows in hours, each counting the current partial hour as one of them
+const WINDOWS = { daily: 24, weekly: 7 * 24, monthly: 30 * 24 };
+const RETENTION_HOURS = WINDOWS.monthly;
+
+const hourOf = (time) => Math.floor(time / HOUR) * HOUR;
+
+/**
+ * Distinct active nodes over rolling windows, like DAU/WAU/MAU.
+ *
+ * Every node we see is added to the HyperLogLog of the current hour. A window's count
+ * is the union of its hourly sketches, merged by taking the larger of each register, so
+ * a node active every hour of the day still counts once. Sketches are kept for 30 days
+ * and saved to DATA_DIR, so the numbers survive restarts.
+ */
+class ActivityTracker {
+    constructor(dataDir = DATA_DIR) {
+        this.filePath = path.join(dataDir, ACTIVITY_FILE);
+        this.hours = new Map(); // hour start -> HyperLogLog
+        // Windows over the finished hours, rebuilt once an hour
+        this.merged = null;
+        this.persistInterval = null;
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        try {
+            const data = readJson(this.filePath);
+            if (data.version !== ACTIVITY_VERSION || !Array.isArray(data.hours)) return;
+
+            const oldest = hourOf(Date.now()) - (RETENTION_HOURS - 1) * HOUR;
+            for (const { start, sketch } of data.hours) {
+                if (!Number.isFinite(start) || start < oldest || typeof sketch !== "string") continue;
+
+                try {
+                    const hour = HyperLogLog.deserialize(Buffer.from(sketch, "base64"));
+                    if (hour.precision === PRECISION) this.hours.set(start, hour);
+                } catch (e) {
+                    // Skip the damaged hour, keep the rest
+                }
+            }
+        } catch (e) {
+            console.error(`Failed to load activity from ${this.filePath}: ${e.message}. Starting empty.`);
+        }
+    }
+
+    save() {
+        const hours = [...this.hours].map(([start, sketch]) => ({
+            start,
+            sketch: sketch.serialize().toString("base64"),
+        }));
+
+        try {
+            writeJsonAtomic(
+                this.filePath,
+                { version: ACTIVITY_VERSION, hours },
+                { pretty: false }
+            );
+        } catch (e) {
+            console.error(`Failed to save activity to ${this.filePath}: ${e.message}`);
+        }
+    }
+
+    add(id, now = Date.now()) {
+        const start = hourOf(now);
+        let sketch = this.hours.get(start);
+        if (!sketch) {
+            sketch = new HyperLogLog(PRECISION);
+            this.hours.set(start, sketch);
+            this.prune(now);
+        }
+        sketch.add(id);
+    }
+
+    prune(now) {
+        const oldest = hourOf(now) - (RETENTION_HOURS - 1) * HOUR;
+        for (const start of this.hours.keys()) {
+            if (start < oldest) this.hours.delete(start);
+        }
+    }
+
+    // Merges the finished hours of every window in one pass, newest first
+    mergeFinished(current) {
+        const merged = { hour: current };
+        const sketch = new HyperLogLog(PRECISION);
+        const windows = Object.entries(WINDOWS).sort((a, b) => a[1] - b[1]);
+
+        let age = 1;
+        for (const [name, length] of windows) {
+            for (; age < length; age++) {
+                const hour = this.hours.get(current - age * HOUR);
+                if (hour) sketch.merge(hour);
+            }
+            merged[name] = sketch.clone();
+        }
+        return merged;
+    }
+
+    /**
+     * Estimated distinct nodes in each window, plus `since`: the start of the oldest
+     * hour we have, so a fresh node's monthly count isn't mistaken for a full month.
+     */
+    getCounts(now = Date.now()) {
+        const current = hourOf(now);
+        if (!this.merged || this.merged.hour !== current) {
+            this.prune(now);
+            this.merged = this.mergeFinished(current);
+        }
+
+        const latest = this.hours.get(current);
+        const counts = {};
+        for (const name of Object.keys(WINDOWS)) {
+            const sketch = latest ? this.merged[name].clone().merge(latest) : this.merged[name];
+            counts[name] = sketch.count();
+        }
+
+        counts.since = this.hours.size ? Math.min(...this.hours.keys()) : null;
+        return counts;
+    }
+
+    start() {
+        this.persistInterval = setInterval(() => this.save(), PERSIST_INTERVAL);
+    }
+
+    stop() {
+        if (this.persistInterval) {
+            clearInterval(this.persistInterval);
+            this.persistInterval = null;
+        }
+        this.save();
+    }
+}
+
+module.exports = { ActivityTracker, ACTIVITY_WINDOWS: WINDOWS };
@@ -0,0 +1,332 @@
+const path = require("path");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+const {
+    DATA_DIR,
+    BLOCKLIST_SUBSCRIPTIONS,
+    BLOCKLIST_TRUSTED_KEYS,
+    BLOCKLIST_REFRESH_INTERVAL,
+} = require("../config/constants");
+const { readJson, writeJsonAtomic } = require("../utils/storage");
+const { signMessage, verifySignature, createPublicKey } = require("../core/security");
+
+const BLOCKLIST_FILE = "blocklist.json";
+const BLOCKLIST_VERSION = 1;
+const MAX_ENTRIES = 10000;
+const MAX_REASON_LENGTH = 140;
+const MAX_DOCUMENT_SIZE = 1024 * 1024;
+const FETCH_TIMEOUT = 10000;
+
+const ID_PATTERN = /^[0-9a-f]{1,200}$/;
+
+const isValidId = (id) => typeof id === "string" && ID_PATTERN.test(id);
+
+const normalizeEntries = (entries) => {
+    if (!Array.isArray(entries) || entries.length > MAX_ENTRIES) return null;
+
+    const normalized = [];
+    for (const entry of entries) {
+        if (!entry || !isValidId(entry.id)) return null;
+        const reason = typeof entry.reason === "string" ? entry.reason.slice(0, MAX_REASON_LENGTH) : "";
+        normalized.push({ id: entry.id, reason });
+    }
+    return normalized;
+};
+
+// What gets signed: everything in the document except the signature itself
+const documentDigest = ({ publisher, issuedAt, entries }) => {
+    return crypto
+        .createHash("sha256")
+        .update(JSON.stringify({ publisher, issuedAt, entries }))
+        .digest("hex");
+};
+
+/**
+ * Builds a block list document signed with this node's key, for others to import or subscribe to.
+ */
+const signBlockList = (entries, identity) => {
+    const doc = {
+        version: BLOCKLIST_VERSION,
+        publisher: identity.id,
+        issuedAt: Date.now(),
+        entries: entries.map(({ id, reason }) => ({ id, reason })),
+    };
+    doc.sig = signMessage(`blocklist:${documentDigest(doc)}`, identity.privateKey);
+    return doc;
+};
+
+/**
+ * Checks a signed block list document. Returns its normalized entries, or null if it's malformed
+ * or the signature doesn't match the publisher.
+ */
+const verifyBlockList = (doc) => {
+    if (!doc || typeof doc !== "object" || doc.version !== BLOCKLIST_VERSION) return null;
+    if (!isValidId(doc.publisher) || typeof doc.sig !== "string") return null;
+    if (!Number.isFinite(doc.issuedAt)) return null;
+
+    const entries = normalizeEntries(doc.entries);
+    if (!entries) return null;
+
+    try {
+        const key = createPublicKey(doc.publisher);
+        if (!verifySignature(`blocklist:${documentDigest(doc)}`, doc.sig, key)) return null;
+    } catch (e) {
+        return null;
+    }
+
+    return entries;
+};
+
+const fetchJson = (url) => {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith("https:") ? https : http;
+        const request = client.get(url, { timeout: FETCH_TIMEOUT }, (response) => {
+            if (response.statusCode !== 200) {
+                response.resume();
+                return reject(new Error(`HTTP ${response.statusCode}`));
+            }
+
+            let data = "";
+            response.on("data", (chunk) => {
+                data += chunk;
+                if (data.length > MAX_DOCUMENT_SIZE) {
+                    request.destroy(new Error("Block list too large"));
+                }
+            });
+            response.on("end", () => {
+                try {
+                    resolve(JSON.parse(data));
+                } catch (e) {
+                    reject(new Error("Invalid JSON"));
+                }
+            });
+        });
+
+        request.on("timeout", () => request.destroy(new Error("Timed out")));
+        request.on("error", reject);
+    });
+};
+
+/**
+ * Node-level block list. Chat and whispers from blocked IDs are dropped and never relayed.
+ *
+ * Entries are either added locally (API, imports) or come from subscriptions: URLs serving
+ * block lists signed by a trusted publisher key. Subscribed lists are replaced wholesale on
+ * every refresh, and emptied once their publisher is no longer trusted or a fetched list
+ * fails to verify. A list that can't be fetched keeps its entries. Local entries stay
+ * until removed.
+ */
+class BlockList {
+    constructor(dataDir = DATA_DIR, trustedKeys = BLOCKLIST_TRUSTED_KEYS) {
+        this.filePath = path.join(dataDir, BLOCKLIST_FILE);
+        this.trustedKeys = new Set(trustedKeys);
+        this.local = new Map();
+        this.subscriptions = new Map();
+        this.subscribedIds = new Set();
+        this.refreshInterval = null;
+        // Re-added from the environment on every start, so they can't be dropped through the API
+        this.configured = new Set(BLOCKLIST_SUBSCRIPTIONS);
+
+        for (const url of this.configured) {
+            this.subscriptions.set(url, { url, entries: [], issuedAt: 0, fetchedAt: null, error: null });
+        }
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        try {
+            const data = readJson(this.filePath);
+            if (data.version !== BLOCKLIST_VERSION) return;
+
+            for (const entry of data.local || []) {
+                if (isValidId(entry.id)) this.local.set(entry.id, entry);
+            }
+            for (const sub of data.subscriptions || []) {
+                if (typeof sub.url !== "string" || !Array.isArray(sub.entries)) continue;
+                // Saved entries only count while their publisher is still trusted
+                const trusted = this.trustedKeys.has(sub.publisher);
+                this.subscriptions.set(sub.url, { ...sub, entries: trusted ? sub.entries : [], error: null });
+            }
+            this.rebuildIndex();
+        } catch (e) {
+            console.error(`Failed to load block list from ${this.filePath}: ${e.message}. Starting empty.`);
+        }
+    }
+
+    save() {
+        try {
+            writeJsonAtomic(
+                this.filePath,
+                {
+                    version: BLOCKLIST_VERSION,
+                    local: [...this.local.values()],
+                    subscriptions: [...this.subscriptions.values()].map(({ error, ...sub }) => sub),
+                },
+                { mode: 0o600 }
+            );
+        } catch (e) {
+            console.error(`Failed to save block list to ${this.filePath}: ${e.message}`);
+        }
+    }
+
+    // Subscribed entries are looked up on every chat message, so keep them in one set
+    rebuildIndex() {
+        this.subscribedIds = new Set();
+        for (const sub of this.subscriptions.values()) {
+            for (const entry of sub.entries) this.subscribedIds.add(entry.id);
+        }
+    }
+
+    has(id) {
+        return this.local.has(id) || this.subscribedIds.has(id);
+    }
+
+    list() {
+        return {
+            local: [...this.local.values()],
+            subscriptions: [...this.subscriptions.values()].map((sub) => ({
+                url: sub.url,
+                configured: this.configured.has(sub.url),
+                publisher: sub.publisher || null,
+                issuedAt: sub.issuedAt || null,
+                fetchedAt: sub.fetchedAt,
+                error: sub.error,
+                entries: sub.entries,
+            })),
+            trustedKeys: [...this.trustedKeys],
+        };
+    }
+
+    /**
+     * Adds a local entry. Returns false if the ID is invalid or the list is full.
+     */
+    add(id, reason = "", source = "local") {
+        if (!isValidId(id)) return false;
+        if (!this.local.has(id) && this.local.size >= MAX_ENTRIES) return false;
+
+        this.local.set(id, {
+            id,
+            reason: String(reason).slice(0, MAX_REASON_LENGTH),
+            source,
+            addedAt: Date.now(),
+        });
+        this.save();
+        return true;
+    }
+
+    remove(id) {
+        const removed = this.local.delete(id);
+        if (removed) this.save();
+        return removed;
+    }
+
+    /**
+     * Merges a block list document into the local entries. Signed documents must carry a
+     * valid signature, from any publisher; the operator vouches for them by importing.
+     * Returns the number of entries added, or null if the document is invalid.
+     */
+    import(doc, ownId = null) {
+        let entries;
+        let source = "import";
+
+        if (doc && doc.sig !== undefined) {
+            entries = verifyBlockList(doc);
+            source = `import:${doc.publisher && doc.publisher.slice(-8)}`;
+        } else {
+            entries = normalizeEntries(doc && doc.entries);
+        }
+        if (!entries) return null;
+
+        let added = 0;
+        for (const { id, reason } of entries) {
+            if (id === ownId || this.local.has(id)) continue;
+            if (this.local.size >= MAX_ENTRIES) break;
+            this.local.set(id, { id, reason, source, addedAt: Date.now() });
+            added++;
+        }
+
+        if (added) this.save();
+        return added;
+    }
+
+    addSubscription(url) {
+        if (this.subscriptions.has(url)) return false;
+        this.subscriptions.set(url, { url, entries: [], issuedAt: 0, fetchedAt: null, error: null });
+        this.save();
+        return true;
+    }
+
+    isConfigured(url) {
+        return this.configured.has(url);
+    }
+
+    removeSubscription(url) {
+        const removed = this.subscriptions.delete(url);
+        if (removed) {
+            this.rebuildIndex();
+            this.save();
+        }
+        return removed;
+    }
+
+    async refreshSubscription(sub) {
+        // A publisher taken out of BLOCKLIST_TRUSTED_KEYS loses its blocks even if the fetch fails
+        if (sub.publisher && !this.trustedKeys.has(sub.publisher)) sub.entries = [];
+
+        try {
+            const doc = await fetchJson(sub.url);
+            if (!doc || !this.trustedKeys.has(doc.publisher)) {
+                sub.entries = [];
+                throw new Error("Publisher is not a trusted key");
+            }
+
+            const entries = verifyBlockList(doc);
+            if (!entries) {
+                sub.entries = [];
+                throw new Error("Invalid signature or document");
+            }
+
+            // A replayed older list must not undo newer unblocks or blocks
+            if (doc.issuedAt < (sub.issuedAt || 0)) throw new Error("Document is older than the current one");
+
+            Object.assign(sub, {
+                publisher: doc.publisher,
+                issuedAt: doc.issuedAt,
+                entries,
+                fetchedAt: Date.now(),
+                error: null,
+            });
+        } catch (e) {
+            sub.error = e.message;
+            console.error(`Failed to refresh block list ${sub.url}: ${e.message}`);
+        }
+    }
+
+    async refresh() {
+        if (!this.subscriptions.size) return;
+
+        for (const sub of this.subscriptions.values()) {
+            await this.refreshSubscription(sub);
+        }
+        this.rebuildIndex();
+        this.save();
+    }
+
+    start() {
+        this.refresh();
+        this.refreshInterval = setInterval(() => this.refresh(), BLOCKLIST_REFRESH_INTERVAL);
+    }
+
+    stop() {
+        if (this.refreshInterval) {
+            clearInterval(this.refreshInterval);
+            this.refreshInterval = null;
+        }
+        this.save();
+    }
+}
+
+module.exports = { BlockList, signBlockList, verifyBlockList };
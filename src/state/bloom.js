@@ -1,32 +1,50 @@
+const crypto = require("crypto");
+const {
+    BLOOM_FALSE_POSITIVE_RATE,
+    BLOOM_EXPECTED_RATE,
+    BLOOM_ROTATION_INTERVAL,
+} = require("../config/constants");
+
+// Each new slice of a scalable filter holds twice as many items at half the error rate
+const GROWTH_FACTOR = 2;
+const TIGHTENING_RATIO = 0.5;
+const MIN_CAPACITY = 1000;
+
+// Two 32-bit hashes of a key, from its sha256. Every index is h1 + i * h2 (Kirsch-Mitzenmacher).
+const hashKey = (item) => {
+    const digest = crypto.createHash("sha256").update(String(item)).digest();
+    return [digest.readUInt32BE(0), (digest.readUInt32BE(4) | 1) >>> 0];
+};
+
 /**
- * Simple Bloom filter for message deduplication
- * Prevents re-relaying messages we've already seen
+ * Bloom filter sized for `capacity` items at `errorRate` false positives
  */
 class BloomFilter {
-    constructor(size = 200000, hashCount = 3) {
-        this.size = size;
-        this.hashCount = hashCount;
-        this.bits = new Uint8Array(Math.ceil(size / 8));
+    constructor(capacity, errorRate) {
+        this.capacity = capacity;
+        this.errorRate = errorRate;
+        this.size = Math.ceil((-capacity * Math.log(errorRate)) / (Math.LN2 * Math.LN2));
+        this.hashCount = Math.max(1, Math.round((this.size / capacity) * Math.LN2));
+        this.bits = new Uint8Array(Math.ceil(this.size / 8));
+        this.count = 0;
+        this.setBits = 0;
     }
 
-    _hash(str, seed) {
-        let h = seed;
-        for (let i = 0; i < str.length; i++) {
-            h = (h * 31 + str.charCodeAt(i)) >>> 0;
-        }
-        return h % this.size;
-    }
-
-    add(item) {
+    _addHashes([h1, h2]) {
         for (let i = 0; i < this.hashCount; i++) {
-            const idx = this._hash(item, i * 0x9e3779b9);
-            this.bits[idx >>> 3] |= (1 << (idx & 7));
+            const idx = (h1 + i * h2) % this.size;
+            const mask = 1 << (idx & 7);
+            if ((this.bits[idx >>> 3] & mask) === 0) {
+                this.bits[idx >>> 3] |= mask;
+                this.setBits++;
+            }
         }
+        this.count++;
     }
 
-    has(item) {
+    _hasHashes([h1, h2]) {
         for (let i = 0; i < this.hashCount; i++) {
-            const idx = this._hash(item, i * 0x9e3779b9);
+            const idx = (h1 + i * h2) % this.size;
             if ((this.bits[idx >>> 3] & (1 << (idx & 7))) === 0) {
                 return false;
             }
@@ -34,45 +52,154 @@ class BloomFilter {
         return true;
     }
 
+    add(item) {
+        this._addHashes(hashKey(item));
+    }
+
+    has(item) {
+        return this._hasHashes(hashKey(item));
+    }
+
+    get isFull() {
+        return this.count >= this.capacity;
+    }
+
+    get fillRatio() {
+        return this.setBits / this.size;
+    }
+
+    // What a lookup of an unseen key hits, from the bits actually set
+    get estimatedFpr() {
+        return Math.pow(this.fillRatio, this.hashCount);
+    }
+
     clear() {
         this.bits.fill(0);
+        this.count = 0;
+        this.setBits = 0;
+    }
+}
+
+/**
+ * Scalable Bloom filter (Almeida et al.): once a slice holds its capacity, a bigger one
+ * with a tighter error rate is added. The error rates form a geometric series, so the
+ * false-positive rate of the whole filter stays under `errorRate` however far it grows.
+ */
+class ScalableBloomFilter {
+    constructor(capacity, errorRate) {
+        this.errorRate = errorRate;
+        this.filters = [new BloomFilter(capacity, errorRate * (1 - TIGHTENING_RATIO))];
+    }
+
+    _addHashes(hashes) {
+        let current = this.filters[this.filters.length - 1];
+        if (current.isFull) {
+            current = new BloomFilter(
+                current.capacity * GROWTH_FACTOR,
+                current.errorRate * TIGHTENING_RATIO
+            );
+            this.filters.push(current);
+        }
+        current._addHashes(hashes);
+    }
+
+    _hasHashes(hashes) {
+        return this.filters.some((filter) => filter._hasHashes(hashes));
+    }
+
+    add(item) {
+        this._addHashes(hashKey(item));
+    }
+
+    has(item) {
+        return this._hasHashes(hashKey(item));
+    }
+
+    get count() {
+        return this.filters.reduce((sum, filter) => sum + filter.count, 0);
+    }
+
+    get capacity() {
+        return this.filters.reduce((sum, filter) => sum + filter.capacity, 0);
+    }
+
+    get bitCount() {
+        return this.filters.reduce((sum, filter) => sum + filter.size, 0);
+    }
+
+    get fillRatio() {
+        return this.filters.reduce((sum, filter) => sum + filter.setBits, 0) / this.bitCount;
+    }
+
+    get estimatedFpr() {
+        return 1 - this.filters.reduce((miss, filter) => miss * (1 - filter.estimatedFpr), 1);
     }
 }
 
 /**
  * Time-bucketed bloom filter manager
- * Rotates every 30 seconds to prevent unbounded growth
+ * Keeps the current and previous generation, rotating every BLOOM_ROTATION_INTERVAL so
+ * old keys age out. A generation starts sized for BLOOM_EXPECTED_RATE keys per second, or
+ * for what the last one ended up holding if that was more, and grows if traffic outruns it.
+ * Both generations are checked, so each gets half of BLOOM_FALSE_POSITIVE_RATE.
  */
 class BloomFilterManager {
-    constructor() {
-        this.currentBloom = new BloomFilter();
-        this.previousBloom = new BloomFilter();
-        this.rotationInterval = null;
+    constructor(
+        errorRate = BLOOM_FALSE_POSITIVE_RATE,
+        expectedRate = BLOOM_EXPECTED_RATE,
+        rotationInterval = BLOOM_ROTATION_INTERVAL
+    ) {
+        this.errorRate = errorRate;
+        this.rotationInterval = rotationInterval;
+        this.expectedCapacity = Math.max(Math.ceil((expectedRate * rotationInterval) / 1000), MIN_CAPACITY);
+        this.currentBloom = this._createGeneration(0);
+        this.previousBloom = this._createGeneration(0);
+        this.rotationTimer = null;
+    }
+
+    _createGeneration(lastCount) {
+        return new ScalableBloomFilter(Math.max(this.expectedCapacity, lastCount), this.errorRate / 2);
     }
 
     start() {
-        this.rotationInterval = setInterval(() => {
-            this.previousBloom = this.currentBloom;
-            this.currentBloom = new BloomFilter();
-        }, 30000);
+        this.rotationTimer = setInterval(() => this.rotate(), this.rotationInterval);
     }
 
     stop() {
-        if (this.rotationInterval) {
-            clearInterval(this.rotationInterval);
-            this.rotationInterval = null;
+        if (this.rotationTimer) {
+            clearInterval(this.rotationTimer);
+            this.rotationTimer = null;
         }
     }
 
+    rotate() {
+        this.previousBloom = this.currentBloom;
+        this.currentBloom = this._createGeneration(this.previousBloom.count);
+    }
+
     hasRelayed(id, seq) {
-        const key = `${id}:${seq}`;
-        return this.currentBloom.has(key) || this.previousBloom.has(key);
+        const hashes = hashKey(`${id}:${seq}`);
+        return this.currentBloom._hasHashes(hashes) || this.previousBloom._hasHashes(hashes);
     }
 
     markRelayed(id, seq) {
-        const key = `${id}:${seq}`;
-        this.currentBloom.add(key);
+        this.currentBloom._addHashes(hashKey(`${id}:${seq}`));
+    }
+
+    // Fill and error figures for diagnostics. `estimatedFpr` covers a lookup against both generations.
+    getStats() {
+        const current = this.currentBloom;
+        const previous = this.previousBloom;
+        return {
+            targetFpr: this.errorRate,
+            estimatedFpr: 1 - (1 - current.estimatedFpr) * (1 - previous.estimatedFpr),
+            fillRatio: current.fillRatio,
+            items: current.count,
+            capacity: current.capacity,
+            filters: current.filters.length,
+            bytes: Math.ceil((current.bitCount + previous.bitCount) / 8),
+        };
     }
 }
 
-module.exports = { BloomFilter, BloomFilterManager };
+module.exports = { BloomFilter, ScalableBloomFilter, BloomFilterManager };
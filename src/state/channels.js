@@ -0,0 +1,83 @@
+const path = require("path");
+const fs = require("fs");
+const { DATA_DIR } = require("../config/constants");
+const { readJson, writeJsonAtomic } = require("../utils/storage");
+
+const CHANNELS_FILE = "channels.json";
+const CHANNELS_VERSION = 1;
+const MAX_CHANNELS = 16;
+const CHANNEL_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+const isValidChannel = (name) => typeof name === "string" && CHANNEL_PATTERN.test(name);
+
+/**
+ * Chat channels this node has joined. Channel messages are only shown when joined,
+ * and peers only forward a channel to connections that advertised interest in it.
+ * Membership is node-wide, every dashboard on the node sees the same channels.
+ */
+class ChannelManager {
+    constructor(dataDir = DATA_DIR) {
+        this.filePath = path.join(dataDir, CHANNELS_FILE);
+        this.joined = new Set();
+        this.listeners = [];
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        try {
+            const data = readJson(this.filePath);
+            if (data.version !== CHANNELS_VERSION || !Array.isArray(data.channels)) return;
+
+            for (const name of data.channels.slice(0, MAX_CHANNELS)) {
+                if (isValidChannel(name)) this.joined.add(name);
+            }
+        } catch (e) {
+            console.error(`Failed to load channels from ${this.filePath}: ${e.message}. Starting with none.`);
+        }
+    }
+
+    save() {
+        try {
+            writeJsonAtomic(this.filePath, { version: CHANNELS_VERSION, channels: this.list() });
+        } catch (e) {
+            console.error(`Failed to save channels to ${this.filePath}: ${e.message}`);
+        }
+    }
+
+    has(name) {
+        return this.joined.has(name);
+    }
+
+    list() {
+        return [...this.joined];
+    }
+
+    get isFull() {
+        return this.joined.size >= MAX_CHANNELS;
+    }
+
+    join(name) {
+        if (!isValidChannel(name) || this.joined.has(name) || this.isFull) return false;
+        this.joined.add(name);
+        this.changed();
+        return true;
+    }
+
+    leave(name) {
+        if (!this.joined.delete(name)) return false;
+        this.changed();
+        return true;
+    }
+
+    onChange(fn) {
+        this.listeners.push(fn);
+    }
+
+    changed() {
+        this.save();
+        for (const fn of this.listeners) fn(this.list());
+    }
+}
+
+module.exports = { ChannelManager, isValidChannel, MAX_CHANNELS };
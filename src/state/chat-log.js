@@ -0,0 +1,136 @@
+const path = require("path");
+const fs = require("fs");
+const { DATA_DIR, CHAT_HISTORY_SIZE } = require("../config/constants");
+const { readJson, writeJsonAtomic } = require("../utils/storage");
+
+const CHAT_LOG_FILE = "chat-history.json";
+const CHAT_LOG_VERSION = 1;
+const SAVE_DELAY = 5000;
+
+/**
+ * Bounded log of chat messages this node has displayed.
+ * Every entry gets a monotonically increasing cursor so clients can page backwards.
+ * Whispers are stored decrypted, so the file is only readable by the node's user.
+ */
+class ChatLog {
+    constructor(capacity = CHAT_HISTORY_SIZE, dataDir = DATA_DIR) {
+        this.capacity = capacity;
+        this.filePath = path.join(dataDir, CHAT_LOG_FILE);
+        this.entries = [];
+        this.ids = new Set();
+        this.nextCursor = 1;
+        this.saveTimeout = null;
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        try {
+            const data = readJson(this.filePath);
+            if (data.version !== CHAT_LOG_VERSION || !Array.isArray(data.entries)) return;
+
+            for (const entry of data.entries.slice(-this.capacity)) {
+                if (!Number.isInteger(entry.cursor) || !entry.message) continue;
+                this.entries.push(entry);
+                if (entry.message.id) this.ids.add(entry.message.id);
+            }
+            const last = this.entries[this.entries.length - 1];
+            this.nextCursor = Math.max(data.nextCursor || 1, last ? last.cursor + 1 : 1);
+        } catch (e) {
+            console.error(`Failed to load chat history from ${this.filePath}: ${e.message}. Starting empty.`);
+        }
+    }
+
+    save() {
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = null;
+        }
+
+        try {
+            writeJsonAtomic(
+                this.filePath,
+                { version: CHAT_LOG_VERSION, nextCursor: this.nextCursor, entries: this.entries },
+                { mode: 0o600, pretty: false }
+            );
+        } catch (e) {
+            console.error(`Failed to save chat history to ${this.filePath}: ${e.message}`);
+        }
+    }
+
+    scheduleSave() {
+        if (this.saveTimeout) return;
+        this.saveTimeout = setTimeout(() => this.save(), SAVE_DELAY);
+    }
+
+    has(id) {
+        return this.ids.has(id);
+    }
+
+    append(message) {
+        if (message.id && this.ids.has(message.id)) return false;
+
+        const { hops, ...stored } = message;
+        this.entries.push({ cursor: this.nextCursor++, message: stored });
+        if (message.id) this.ids.add(message.id);
+
+        while (this.entries.length > this.capacity) {
+            const removed = this.entries.shift();
+            if (removed.message.id) this.ids.delete(removed.message.id);
+        }
+
+        this.scheduleSave();
+        return true;
+    }
+
+    since(timestamp, scope = null) {
+        return this.entries
+            .map((e) => e.message)
+            .filter((m) => m.timestamp >= timestamp && (!scope || getScope(m) === scope));
+    }
+
+    getRecent(limit, includeWhispers = true) {
+        const messages = this.entries.map((e) => e.message);
+        return (includeWhispers ? messages : messages.filter((m) => getScope(m) !== "WHISPER")).slice(-limit);
+    }
+
+    /**
+     * Returns up to `limit` messages older than `before` (a cursor), oldest first,
+     * plus the cursor to pass as `before` for the next page (null when exhausted).
+     * Whispers are left out of unscoped pages when includeWhispers is false.
+     */
+    page({ before = Infinity, limit = 50, scope = null, channel, includeWhispers = true } = {}) {
+        const wanted = (message) => {
+            if (channel !== undefined && (message.channel || null) !== channel) return false;
+            const messageScope = getScope(message);
+            if (scope) return messageScope === scope;
+            return includeWhispers || messageScope !== "WHISPER";
+        };
+        const matches = [];
+        let i = this.entries.length - 1;
+
+        for (; i >= 0 && matches.length < limit; i--) {
+            const entry = this.entries[i];
+            if (entry.cursor >= before) continue;
+            if (!wanted(entry.message)) continue;
+            matches.push(entry);
+        }
+
+        const hasMore = this.entries
+            .slice(0, i + 1)
+            .some((e) => e.cursor < before && wanted(e.message));
+
+        matches.reverse();
+        return {
+            messages: matches.map((e) => ({ cursor: e.cursor, ...e.message })),
+            nextCursor: hasMore && matches.length ? matches[0].cursor : null,
+        };
+    }
+}
+
+const getScope = (message) => {
+    if (message.scope === "WHISPER" || message.target) return "WHISPER";
+    return message.scope === "LOCAL" ? "LOCAL" : "GLOBAL";
+};
+
+module.exports = { ChatLog, CHAT_LOG_SCOPES: ["GLOBAL", "LOCAL", "WHISPER"] };
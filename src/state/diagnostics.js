@@ -1,5 +1,27 @@
 const { DIAGNOSTICS_INTERVAL } = require("../config/constants");
 
+/**
+ * Cumulative histogram with fixed upper bounds, Prometheus style
+ */
+class Histogram {
+    constructor(buckets) {
+        this.buckets = buckets;
+        this.counts = new Array(buckets.length).fill(0);
+        this.sum = 0;
+        this.count = 0;
+    }
+
+    observe(value) {
+        this.sum += value;
+        this.count++;
+        for (let i = 0; i < this.buckets.length; i++) {
+            if (value <= this.buckets[i]) {
+                this.counts[i]++;
+            }
+        }
+    }
+}
+
 class DiagnosticsManager {
     constructor() {
         this.stats = {
@@ -11,20 +33,61 @@ class DiagnosticsManager {
             newPeersAdded: 0,
             bytesReceived: 0,
             bytesRelayed: 0,
+            bytesSent: 0,
             leaveMessages: 0,
+            blockedMessages: 0,
+            authFailures: 0,
+            peersBanned: 0,
+            duplicatesReceived: 0,
+            gossipControlBytes: 0,
         };
 
+        // Same counters, never reset. Scrapers compute their own rates.
+        this.totals = { ...this.stats };
+
+        this.histograms = {
+            messageSize: new Histogram([64, 128, 256, 512, 1024, 2048, 4096, 16384]),
+            relayFanout: new Histogram([0, 1, 2, 4, 6, 8, 12, 16, 32]),
+        };
+
+        // name -> function returning live figures of another component, e.g. the relay dedup filter
+        this.sources = {};
+
         this.interval = null;
     }
 
     increment(key, amount = 1) {
         if (this.stats.hasOwnProperty(key)) {
             this.stats[key] += amount;
+            this.totals[key] += amount;
         }
     }
 
+    observe(key, value) {
+        if (this.histograms.hasOwnProperty(key)) {
+            this.histograms[key].observe(value);
+        }
+    }
+
+    // Reported next to the counters under `name`, never reset
+    addSource(name, getStats) {
+        this.sources[name] = getStats;
+    }
+
     getStats() {
-        return { ...this.stats };
+        const stats = { ...this.stats };
+        for (const [name, getStats] of Object.entries(this.sources)) {
+            stats[name] = getStats();
+        }
+        return stats;
+    }
+
+    getTotals() {
+        return { ...this.totals };
+    }
+
+    getHistograms() {
+        return this.histograms;
     }
 
     reset() {
@@ -45,4 +108,4 @@ class DiagnosticsManager {
     }
 }
 
-module.exports = { DiagnosticsManager };
+module.exports = { DiagnosticsManager, Histogram };
@@ -0,0 +1,69 @@
+const fs = require("fs");
+const { GEOIP_DB, GEOIP_PRECISION } = require("../config/constants");
+const { MaxMindReader } = require("../utils/mmdb");
+const { LRUCache } = require("./lru");
+
+const CACHE_SIZE = 10000;
+
+const round = (value, precision) => {
+    return precision === null ? value : Number(value.toFixed(precision));
+};
+
+/**
+ * Server-side IP geolocation from a local MaxMind-format City database
+ * (GeoLite2-City, DB-IP City Lite, ...). Nothing leaves the node.
+ *
+ * Locations are city-level at best. With GEOIP_PRECISION set, coordinates are
+ * rounded to that many decimals on top (1 is about 11 km, 0 about 110 km).
+ * Lookups are cached, misses included, since peers keep the same IP.
+ */
+class GeoIP {
+    constructor(dbPath = GEOIP_DB, precision = GEOIP_PRECISION) {
+        this.dbPath = dbPath;
+        this.precision = precision;
+        this.reader = null;
+        this.cache = new LRUCache(CACHE_SIZE);
+    }
+
+    load() {
+        if (!fs.existsSync(this.dbPath)) return;
+
+        try {
+            this.reader = MaxMindReader.open(this.dbPath);
+            console.log(`GeoIP: loaded ${this.reader.metadata.database_type} from ${this.dbPath}`);
+        } catch (e) {
+            console.error(`Failed to load GeoIP database from ${this.dbPath}: ${e.message}. The map will stay empty.`);
+        }
+    }
+
+    get enabled() {
+        return Boolean(this.reader);
+    }
+
+    // { lat, lon, city, country, countryCode } or null for unknown and private addresses
+    lookup(ip) {
+        if (!this.reader || !ip) return null;
+        if (this.cache.has(ip)) return this.cache.get(ip);
+
+        let location = null;
+        try {
+            const record = this.reader.get(ip);
+            if (record && record.location && typeof record.location.latitude === "number") {
+                location = {
+                    lat: round(record.location.latitude, this.precision),
+                    lon: round(record.location.longitude, this.precision),
+                    city: (record.city && record.city.names && record.city.names.en) || null,
+                    country: (record.country && record.country.names && record.country.names.en) || null,
+                    countryCode: (record.country && record.country.iso_code) || null,
+                };
+            }
+        } catch (e) {
+            // A corrupt record shouldn't take the map down, treat it as unknown
+        }
+
+        this.cache.set(ip, location);
+        return location;
+    }
+}
+
+module.exports = { GeoIP };
@@ -0,0 +1,182 @@
+const path = require("path");
+const fs = require("fs");
+const {
+    DATA_DIR,
+    HISTORY_SAMPLE_INTERVAL,
+    HISTORY_PERSIST_INTERVAL,
+} = require("../config/constants");
+const { readJson, writeJsonAtomic } = require("../utils/storage");
+
+const HISTORY_FILE = "history.json";
+const HISTORY_VERSION = 1;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Rollup tiers, finest first. Every sample lands in all of them;
+ * each tier keeps [start, count, sum, min, max] buckets for its retention window.
+ */
+const TIERS = [
+    { name: "minute", resolution: MINUTE, retention: 2 * DAY },
+    { name: "hour", resolution: HOUR, retention: 90 * DAY },
+    { name: "day", resolution: DAY, retention: 5 * 365 * DAY },
+];
+
+const METRICS = ["peers", "direct", "unique", "bytesIn", "bytesOut"];
+
+const MAX_POINTS = 1000;
+
+/**
+ * Time-series store for node stats with downsampling.
+ * Lives in memory, flushed to DATA_DIR periodically and on shutdown.
+ */
+class HistoryStore {
+    constructor(dataDir = DATA_DIR) {
+        this.filePath = path.join(dataDir, HISTORY_FILE);
+        this.tiers = {};
+        for (const tier of TIERS) {
+            this.tiers[tier.name] = {};
+            for (const metric of METRICS) {
+                this.tiers[tier.name][metric] = [];
+            }
+        }
+        this.sampleInterval = null;
+        this.persistInterval = null;
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        try {
+            const data = readJson(this.filePath);
+            if (data.version !== HISTORY_VERSION) return;
+
+            for (const tier of TIERS) {
+                for (const metric of METRICS) {
+                    const buckets = data.tiers?.[tier.name]?.[metric];
+                    if (Array.isArray(buckets)) {
+                        this.tiers[tier.name][metric] = buckets.filter(
+                            (b) => Array.isArray(b) && b.length === 5 && b.every(Number.isFinite)
+                        );
+                    }
+                }
+            }
+        } catch (e) {
+            console.error(`Failed to load history from ${this.filePath}: ${e.message}. Starting empty.`);
+        }
+    }
+
+    save() {
+        try {
+            writeJsonAtomic(
+                this.filePath,
+                { version: HISTORY_VERSION, tiers: this.tiers },
+                { pretty: false }
+            );
+        } catch (e) {
+            console.error(`Failed to save history to ${this.filePath}: ${e.message}`);
+        }
+    }
+
+    record(sample, now = Date.now()) {
+        for (const tier of TIERS) {
+            const start = Math.floor(now / tier.resolution) * tier.resolution;
+
+            for (const metric of METRICS) {
+                const value = sample[metric];
+                if (!Number.isFinite(value)) continue;
+
+                const buckets = this.tiers[tier.name][metric];
+                const last = buckets[buckets.length - 1];
+
+                if (last && last[0] === start) {
+                    last[1]++;
+                    last[2] += value;
+                    last[3] = Math.min(last[3], value);
+                    last[4] = Math.max(last[4], value);
+                } else {
+                    buckets.push([start, 1, value, value, value]);
+                }
+
+                while (buckets.length && buckets[0][0] < now - tier.retention) {
+                    buckets.shift();
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns points of { t, avg, min, max } between from and to (ms).
+     * Reads the coarsest tier that still covers `from` at `step` resolution
+     * (the finest covering tier without a step), capped at MAX_POINTS points.
+     */
+    query(metric, from, to, step) {
+        const now = Date.now();
+        const candidates = TIERS.filter((t) => from >= now - t.retention);
+        const usable = candidates.filter((t) => step && t.resolution <= step);
+        const tier = usable.length
+            ? usable[usable.length - 1]
+            : candidates[0] || TIERS[TIERS.length - 1];
+
+        const minStep = Math.max(tier.resolution, Math.ceil((to - from) / MAX_POINTS));
+        const effectiveStep = Math.ceil(Math.max(step || 0, minStep) / tier.resolution) * tier.resolution;
+
+        const points = [];
+        let current = null;
+
+        for (const [start, count, sum, min, max] of this.tiers[tier.name][metric]) {
+            if (start < from || start > to) continue;
+
+            const t = Math.floor(start / effectiveStep) * effectiveStep;
+            if (!current || current.t !== t) {
+                current = { t, count: 0, sum: 0, min, max };
+                points.push(current);
+            }
+            current.count += count;
+            current.sum += sum;
+            current.min = Math.min(current.min, min);
+            current.max = Math.max(current.max, max);
+        }
+
+        return {
+            metric,
+            tier: tier.name,
+            step: effectiveStep,
+            points: points.map((p) => ({
+                t: p.t,
+                avg: p.sum / p.count,
+                min: p.min,
+                max: p.max,
+            })),
+        };
+    }
+
+    /**
+     * Starts sampling. getSample returns the current value of every metric in METRICS.
+     */
+    start(getSample) {
+        this.sampleInterval = setInterval(() => {
+            this.record(getSample());
+        }, HISTORY_SAMPLE_INTERVAL);
+
+        this.persistInterval = setInterval(() => {
+            this.save();
+        }, HISTORY_PERSIST_INTERVAL);
+    }
+
+    stop() {
+        if (this.sampleInterval) {
+            clearInterval(this.sampleInterval);
+            this.sampleInterval = null;
+        }
+        if (this.persistInterval) {
+            clearInterval(this.persistInterval);
+            this.persistInterval = null;
+        }
+        this.save();
+    }
+}
+
+module.exports = { HistoryStore, HISTORY_METRICS: METRICS };
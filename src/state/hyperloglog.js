@@ -1,8 +1,56 @@
+const crypto = require("crypto");
+
+const MIN_PRECISION = 4;
+const MAX_PRECISION = 18;
+const DEFAULT_PRECISION = 14;
+
+// Serialized form: "HL", format version, precision, encoding, then the registers
+const MAGIC = Buffer.from("HL");
+const FORMAT_VERSION = 1;
+const HEADER_SIZE = 5;
+const ENCODING_DENSE = 0;
+const ENCODING_SPARSE = 1;
+
+// A sparse Map entry costs tens of bytes, a dense register one. Past m / 32 entries dense is smaller.
+const SPARSE_FRACTION = 32;
+
+const writeVarint = (out, value) => {
+    while (value >= 0x80) {
+        out.push((value & 0x7f) | 0x80);
+        value >>>= 7;
+    }
+    out.push(value);
+};
+
+const invalid = () => new Error("Invalid HyperLogLog data");
+
+/**
+ * HyperLogLog cardinality sketch.
+ *
+ * Items are hashed to 64 bits (the first 8 bytes of their sha256). The top `precision`
+ * bits pick one of m = 2^precision registers, which keeps the longest run of leading
+ * zeros (+1) seen in the remaining bits. The standard error is 1.04 / sqrt(m): about 3.3%
+ * at precision 10, 0.8% at 14. With 64-bit hashes collisions only matter near 2^64 items,
+ * so unlike 32-bit sketches no large-range correction is needed; small counts use linear
+ * counting.
+ *
+ * Small sketches stay sparse (only non-zero registers, in a Map) and switch to a dense
+ * byte per register once that is smaller. Sketches of the same precision merge by taking
+ * the larger of each register; a sketch can also be reduced to a lower precision so it
+ * merges with coarser ones.
+ */
 class HyperLogLog {
-    constructor(precision = 10) {
+    constructor(precision = DEFAULT_PRECISION) {
+        if (!Number.isInteger(precision) || precision < MIN_PRECISION || precision > MAX_PRECISION) {
+            throw new RangeError(`HyperLogLog precision must be an integer from ${MIN_PRECISION} to ${MAX_PRECISION}`);
+        }
+
         this.precision = precision;
         this.registerCount = 1 << precision;
-        this.registers = new Uint8Array(this.registerCount);
+        this.maxRank = 64 - precision + 1;
+        this.sparseLimit = Math.floor(this.registerCount / SPARSE_FRACTION);
+        this.sparse = this.sparseLimit > 0 ? new Map() : null;
+        this.registers = this.sparse ? null : new Uint8Array(this.registerCount);
         this.alphaMM = this._getAlpha() * this.registerCount * this.registerCount;
     }
 
@@ -15,44 +63,78 @@ class HyperLogLog {
         }
     }
 
-    _hash(str) {
-        let h = 0x811c9dc5;
-        for (let i = 0; i < str.length; i++) {
-            h ^= str.charCodeAt(i);
-            h = (h * 0x01000193) >>> 0;
-        }
-        return h;
+    // Register index and rank of an item, from the top 64 bits of its sha256
+    _hash(item) {
+        const digest = crypto.createHash("sha256").update(String(item)).digest();
+        const high = digest.readUInt32BE(0);
+        const low = digest.readUInt32BE(4);
+
+        const index = high >>> (32 - this.precision);
+        // The 32 - precision bits of `high` left after the index, moved to the top
+        const rest = (high << this.precision) >>> 0;
+        const rank = rest !== 0
+            ? Math.clz32(rest) + 1
+            : 32 - this.precision + Math.clz32(low) + 1;
+
+        return [index, rank];
     }
 
-    _countLeadingZeros(value, maxBits) {
-        if (value === 0) return maxBits;
-        let count = 0;
-        while ((value & (1 << (maxBits - 1 - count))) === 0 && count < maxBits) {
-            count++;
+    _get(index) {
+        return this.sparse ? this.sparse.get(index) || 0 : this.registers[index];
+    }
+
+    _set(index, rank) {
+        if (rank <= this._get(index)) return;
+
+        if (!this.sparse) {
+            this.registers[index] = rank;
+            return;
         }
-        return count;
+
+        this.sparse.set(index, rank);
+        if (this.sparse.size > this.sparseLimit) this._toDense();
     }
 
-    add(item) {
-        const hash = this._hash(item);
-        const registerIndex = hash >>> (32 - this.precision);
-        const remainingBits = hash << this.precision;
-        const leadingZeros = this._countLeadingZeros(remainingBits, 32 - this.precision) + 1;
+    _toDense() {
+        this.registers = new Uint8Array(this.registerCount);
+        for (const [index, rank] of this.sparse) {
+            this.registers[index] = rank;
+        }
+        this.sparse = null;
+    }
 
-        if (leadingZeros > this.registers[registerIndex]) {
-            this.registers[registerIndex] = leadingZeros;
+    // Yields [index, rank] for every non-zero register
+    *_entries() {
+        if (this.sparse) {
+            yield* this.sparse;
+            return;
         }
+        for (let i = 0; i < this.registerCount; i++) {
+            if (this.registers[i]) yield [i, this.registers[i]];
+        }
+    }
+
+    get isSparse() {
+        return this.sparse !== null;
+    }
+
+    add(item) {
+        const [index, rank] = this._hash(item);
+        this._set(index, rank);
     }
 
     count() {
         let harmonicSum = 0;
-        let zeroRegisters = 0;
+        let nonZero = 0;
 
-        for (let i = 0; i < this.registerCount; i++) {
-            harmonicSum += Math.pow(2, -this.registers[i]);
-            if (this.registers[i] === 0) zeroRegisters++;
+        for (const [, rank] of this._entries()) {
+            harmonicSum += Math.pow(2, -rank);
+            nonZero++;
         }
 
+        const zeroRegisters = this.registerCount - nonZero;
+        harmonicSum += zeroRegisters;
+
         let estimate = this.alphaMM / harmonicSum;
 
         if (estimate <= 2.5 * this.registerCount && zeroRegisters > 0) {
@@ -61,6 +143,142 @@ class HyperLogLog {
 
         return Math.round(estimate);
     }
+
+    /**
+     * Folds another sketch of the same precision into this one, after which this one
+     * estimates the union of both. Use reduce() first for sketches of higher precision.
+     */
+    merge(other) {
+        if (other.precision !== this.precision) {
+            throw new Error(`Cannot merge a precision ${other.precision} HyperLogLog into precision ${this.precision}`);
+        }
+        for (const [index, rank] of other._entries()) {
+            this._set(index, rank);
+        }
+        return this;
+    }
+
+    /**
+     * A copy at a lower precision, as if every item had been added to a sketch of that
+     * precision in the first place. Index bits that drop out move into the rank.
+     */
+    reduce(precision) {
+        if (precision > this.precision) {
+            throw new RangeError("Can only reduce a HyperLogLog to a lower precision");
+        }
+
+        const reduced = new HyperLogLog(precision);
+        const shift = this.precision - precision;
+        const mask = (1 << shift) - 1;
+
+        for (const [index, rank] of this._entries()) {
+            const dropped = index & mask;
+            const newRank = dropped !== 0 ? Math.clz32(dropped) - (32 - shift) + 1 : rank + shift;
+            reduced._set(index >>> shift, newRank);
+        }
+        return reduced;
+    }
+
+    clone() {
+        return new HyperLogLog(this.precision).merge(this);
+    }
+
+    // Every register as one byte, zeros included
+    getRegisters() {
+        const registers = new Uint8Array(this.registerCount);
+        for (const [index, rank] of this._entries()) {
+            registers[index] = rank;
+        }
+        return registers;
+    }
+
+    static fromRegisters(precision, registers) {
+        const sketch = new HyperLogLog(precision);
+        if (registers.length !== sketch.registerCount) throw invalid();
+
+        for (let i = 0; i < registers.length; i++) {
+            if (registers[i] > sketch.maxRank) throw invalid();
+            if (registers[i]) sketch._set(i, registers[i]);
+        }
+        return sketch;
+    }
+
+    /**
+     * Binary form, stable across versions:
+     *
+     *   "HL" | version (1) | precision | encoding | registers
+     *
+     * Dense encoding (0) is one byte per register. Sparse encoding (1) is a varint entry
+     * count, then per non-zero register in index order the varint gap to the previous
+     * index (the first one from 0) and a rank byte. The smaller of the two is written.
+     */
+    serialize() {
+        const entries = [...this._entries()].sort((a, b) => a[0] - b[0]);
+
+        const sparse = [];
+        writeVarint(sparse, entries.length);
+        let previous = 0;
+        for (const [index, rank] of entries) {
+            writeVarint(sparse, index - previous);
+            sparse.push(rank);
+            previous = index;
+        }
+
+        const useSparse = sparse.length < this.registerCount;
+        const header = Buffer.alloc(HEADER_SIZE);
+        MAGIC.copy(header, 0);
+        header[2] = FORMAT_VERSION;
+        header[3] = this.precision;
+        header[4] = useSparse ? ENCODING_SPARSE : ENCODING_DENSE;
+
+        return Buffer.concat([header, useSparse ? Buffer.from(sparse) : Buffer.from(this.getRegisters())]);
+    }
+
+    // Throws on anything serialize() couldn't have produced
+    static deserialize(buffer) {
+        if (!Buffer.isBuffer(buffer) || buffer.length < HEADER_SIZE) throw invalid();
+        if (!buffer.subarray(0, 2).equals(MAGIC) || buffer[2] !== FORMAT_VERSION) throw invalid();
+
+        const precision = buffer[3];
+        if (precision < MIN_PRECISION || precision > MAX_PRECISION) throw invalid();
+
+        const body = buffer.subarray(HEADER_SIZE);
+        if (buffer[4] === ENCODING_DENSE) {
+            return HyperLogLog.fromRegisters(precision, body);
+        }
+        if (buffer[4] !== ENCODING_SPARSE) throw invalid();
+
+        const sketch = new HyperLogLog(precision);
+        let offset = 0;
+        const readVarint = () => {
+            let value = 0;
+            for (let shift = 0; shift < 35; shift += 7) {
+                if (offset >= body.length) throw invalid();
+                const byte = body[offset++];
+                value += (byte & 0x7f) * Math.pow(2, shift);
+                if (byte < 0x80) return value;
+            }
+            throw invalid();
+        };
+
+        const count = readVarint();
+        if (count > sketch.registerCount) throw invalid();
+
+        let index = 0;
+        for (let i = 0; i < count; i++) {
+            const gap = readVarint();
+            if (i > 0 && gap === 0) throw invalid();
+            index += gap;
+            if (index >= sketch.registerCount || offset >= body.length) throw invalid();
+
+            const rank = body[offset++];
+            if (rank === 0 || rank > sketch.maxRank) throw invalid();
+            sketch._set(index, rank);
+        }
+        if (offset !== body.length) throw invalid();
+
+        return sketch;
+    }
 }
 
-module.exports = { HyperLogLog };
+module.exports = { HyperLogLog, MIN_PRECISION, MAX_PRECISION, DEFAULT_PRECISION };
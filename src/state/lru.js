@@ -28,6 +28,11 @@ class LRUCache {
         }
     }
 
+    // Reads without touching recency, for inspection that shouldn't keep entries alive
+    peek(key) {
+        return this.cache.get(key);
+    }
+
     has(key) {
         return this.cache.has(key);
     }
@@ -0,0 +1,202 @@
+const { STATS_INTERVAL } = require("../config/constants");
+const { LRUCache } = require("./lru");
+const { HyperLogLog } = require("./hyperloglog");
+
+// Gossiped sketches are reduced to a fixed precision so nodes with any HLL_PRECISION can merge them
+const STATS_PRECISION = 10;
+const REGISTER_COUNT = 1 << STATS_PRECISION;
+// Five bits each. A register only goes past 31 after some 2^31 items, so capping it there costs nothing.
+const REGISTER_BITS = 5;
+const MAX_REGISTER = (1 << REGISTER_BITS) - 1;
+const PACKED_SIZE = Math.ceil((REGISTER_COUNT * REGISTER_BITS) / 8);
+const PACKED_HLL_PATTERN = new RegExp(`^[0-9a-f]{${PACKED_SIZE * 2}}$`);
+
+const MAX_REPORTERS = 5000;
+// Like topology reports, three missed rounds and the node is gone or stopped sharing
+const REPORT_TTL = STATS_INTERVAL * 3;
+// Standard error of a HyperLogLog estimate is 1.04 / sqrt(m), bounds are ±1.96 of it (95%)
+const STANDARD_ERROR = 1.04 / Math.sqrt(REGISTER_COUNT);
+const CONFIDENCE_Z = 1.96;
+// A reporter claiming ten times what the others see is lying or broken. A single sketch with
+// every register at 31 would otherwise push the merged estimate to some 2^31.
+const OUTLIER_FACTOR = 10;
+
+// A sketch's registers at STATS_PRECISION as hex, five bits each, most significant bit first
+const packSketch = (sketch) => {
+    const registers = sketch.reduce(STATS_PRECISION).getRegisters();
+    const packed = Buffer.alloc(PACKED_SIZE);
+    let bit = 0;
+    for (const register of registers) {
+        const value = Math.min(register, MAX_REGISTER);
+        for (let i = REGISTER_BITS - 1; i >= 0; i--, bit++) {
+            if ((value >> i) & 1) packed[bit >> 3] |= 0x80 >> (bit & 7);
+        }
+    }
+    return packed.toString("hex");
+};
+
+const unpackSketch = (hex) => {
+    const packed = Buffer.from(hex, "hex");
+    const registers = new Uint8Array(REGISTER_COUNT);
+    let bit = 0;
+    for (let r = 0; r < REGISTER_COUNT; r++) {
+        let value = 0;
+        for (let i = 0; i < REGISTER_BITS; i++, bit++) {
+            value = (value << 1) | ((packed[bit >> 3] >> (7 - (bit & 7))) & 1);
+        }
+        registers[r] = value;
+    }
+    return HyperLogLog.fromRegisters(STATS_PRECISION, registers);
+};
+
+const isPackedHll = (value) => typeof value === "string" && PACKED_HLL_PATTERN.test(value);
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+};
+
+// Median of a sorted list with the value at `skip` left out
+const medianWithout = (sorted, skip) => {
+    const at = (k) => sorted[k < skip ? k : k + 1];
+    const length = sorted.length - 1;
+    const mid = length >> 1;
+    return length % 2 ? at(mid) : Math.round((at(mid - 1) + at(mid)) / 2);
+};
+
+/**
+ * Swarm-wide statistics assembled from STATS gossip.
+ *
+ * Every node announces its unique-peer HyperLogLog, reduced to STATS_PRECISION, and
+ * its own peer and connection counts. HyperLogLog sketches merge by taking the larger
+ * of each register, so the union of all reports plus our own sketch estimates how many
+ * distinct nodes the whole network has seen, not just the part of it we heard from
+ * directly.
+ *
+ * Since a max-merge lets the loudest report win, a report only joins the union while
+ * its own estimate stays within OUTLIER_FACTOR of the median of everyone else's, ours
+ * included, and while adding it keeps the union itself within OUTLIER_FACTOR of the
+ * median. Rejected reports are kept, and join again once they look plausible.
+ */
+class NetworkStatsStore {
+    constructor() {
+        this.reports = new LRUCache(MAX_REPORTERS);
+        // Union of all reports, rebuilt only after they change. Dashboards ask for it on every update.
+        this.remote = null;
+    }
+
+    // Keeps a report if it is newer than the one we have. Returns false for stale or replayed ones.
+    update(id, timestamp, { hll, peers, direct }) {
+        const stored = this.reports.peek(id);
+        if (stored && timestamp <= stored.timestamp) return false;
+
+        const sketch = unpackSketch(hll);
+        this.reports.set(id, {
+            timestamp,
+            sketch,
+            estimate: sketch.count(),
+            peers,
+            direct,
+            receivedAt: Date.now(),
+        });
+        this.remote = null;
+        return true;
+    }
+
+    get size() {
+        return this.reports.size;
+    }
+
+    cleanup() {
+        const now = Date.now();
+        for (const [id, report] of this.reports.entries()) {
+            if (now - report.receivedAt > REPORT_TTL) {
+                this.reports.delete(id);
+                this.remote = null;
+            }
+        }
+    }
+
+    // Union of the plausible reports, judged against each other and our own sketch
+    mergeReports(own) {
+        const ownEstimate = own.count();
+        const reports = [...this.reports.entries()].map(([, report]) => report);
+        const sorted = [ownEstimate, ...reports.map((report) => report.estimate)].sort((a, b) => a - b);
+
+        let rejected = 0;
+        const plausible = [];
+        for (const report of reports) {
+            const others = medianWithout(sorted, sorted.indexOf(report.estimate));
+            if (report.estimate > Math.max(others, 1) * OUTLIER_FACTOR) {
+                rejected++;
+            } else {
+                plausible.push(report);
+            }
+        }
+
+        // Sketches that each look fine can still blow up together, say two that set
+        // complementary halves of the registers to 31. Merge from the smallest up and
+        // leave out any report that takes the union past OUTLIER_FACTOR times the median.
+        const limit = Math.max(median(sorted), 1) * OUTLIER_FACTOR;
+        let sketch = own.clone();
+        const peerCounts = [];
+        const estimates = [];
+        for (const report of plausible.sort((a, b) => a.estimate - b.estimate)) {
+            const merged = sketch.clone().merge(report.sketch);
+            if (merged.count() > limit) {
+                rejected++;
+                continue;
+            }
+            sketch = merged;
+            peerCounts.push(report.peers);
+            estimates.push(report.estimate);
+        }
+        return { ownEstimate, sketch, peerCounts, estimates, rejected };
+    }
+
+    // The merged network estimate next to this node's own view, `direct` being our connection count
+    getSummary(peerManager, direct) {
+        this.cleanup();
+
+        const own = peerManager.uniquePeersHLL.reduce(STATS_PRECISION);
+        const ownEstimate = own.count();
+        if (!this.remote || this.remote.ownEstimate !== ownEstimate) this.remote = this.mergeReports(own);
+
+        // Our own sketch is part of the union already
+        const peerCounts = [peerManager.size, ...this.remote.peerCounts];
+        const estimates = [ownEstimate, ...this.remote.estimates];
+
+        const estimate = this.remote.sketch.count();
+        const margin = estimate * STANDARD_ERROR * CONFIDENCE_Z;
+
+        return {
+            reporters: this.reports.size - this.remote.rejected,
+            rejected: this.remote.rejected,
+            unique: {
+                estimate,
+                low: Math.max(Math.floor(estimate - margin), 0),
+                high: Math.ceil(estimate + margin),
+                confidence: 0.95,
+            },
+            // What each node's own sketch estimates on its own, before the union
+            spread: {
+                min: Math.min(...estimates),
+                median: median(estimates),
+                max: Math.max(...estimates),
+            },
+            peers: {
+                min: Math.min(...peerCounts),
+                median: median(peerCounts),
+                max: Math.max(...peerCounts),
+            },
+            view: {
+                unique: peerManager.totalUniquePeers,
+                peers: peerManager.size,
+                direct,
+            },
+        };
+    }
+}
+
+module.exports = { NetworkStatsStore, packSketch, isPackedHll };
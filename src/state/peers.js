@@ -1,15 +1,18 @@
-const { MAX_PEERS, PEER_TIMEOUT } = require("../config/constants");
+const { MAX_PEERS, HLL_PRECISION } = require("../config/constants");
+const runtime = require("../config/runtime");
 const { LRUCache } = require("./lru");
 const { HyperLogLog } = require("./hyperloglog");
 
 class PeerManager {
-    constructor() {
+    // `activity` is an optional ActivityTracker that sees every heartbeat we accept
+    constructor(activity = null) {
         this.seenPeers = new LRUCache(MAX_PEERS);
-        this.uniquePeersHLL = new HyperLogLog(10);
+        this.uniquePeersHLL = new HyperLogLog(HLL_PRECISION);
+        this.activity = activity;
         this.mySeq = 0;
     }
 
-    addOrUpdatePeer(id, seq, ip = null) {
+    addOrUpdatePeer(id, seq, ip = null, hops = null) {
         const stored = this.seenPeers.get(id);
         
         // If we have a stored peer, only update if the new sequence is higher
@@ -21,11 +24,15 @@ class PeerManager {
 
         // Track in HyperLogLog for total unique estimation
         this.uniquePeersHLL.add(id);
+        if (this.activity) this.activity.add(id);
 
+        const now = Date.now();
         this.seenPeers.set(id, {
             seq,
-            lastSeen: Date.now(),
+            firstSeen: stored ? stored.firstSeen : now,
+            lastSeen: now,
             ip: ip || (stored ? stored.ip : null),
+            hops: hops !== null ? hops : stored ? stored.hops : null,
         });
 
         return wasNew;
@@ -40,6 +47,15 @@ class PeerManager {
         return this.seenPeers.get(id);
     }
 
+    // Same as getPeer, without refreshing its place in the LRU
+    peekPeer(id) {
+        return this.seenPeers.peek(id);
+    }
+
+    *entries() {
+        yield* this.seenPeers.entries();
+    }
+
     removePeer(id) {
         return this.seenPeers.delete(id);
     }
@@ -50,10 +66,11 @@ class PeerManager {
 
     cleanupStalePeers() {
         const now = Date.now();
+        const timeout = runtime.get("PEER_TIMEOUT");
         let removed = 0;
 
         for (const [id, data] of this.seenPeers.entries()) {
-            if (now - data.lastSeen > PEER_TIMEOUT) {
+            if (now - data.lastSeen > timeout) {
                 this.seenPeers.delete(id);
                 removed++;
             } else {
@@ -0,0 +1,120 @@
+const {
+    DATA_DIR,
+    POW_BITS,
+    MIN_POW_BITS,
+    MAX_POW_BITS,
+    POW_ADJUST_INTERVAL,
+    POW_NEW_PEER_THRESHOLD,
+} = require("../config/constants");
+const { powBits, verifyPoW } = require("../core/security");
+const { upgradeNonce } = require("../core/identity");
+const { LRUCache } = require("./lru");
+
+// Calm intervals in a row before the minimum steps back down
+const CALM_INTERVALS_TO_LOWER = 10;
+// IDs whose work we already accepted, held to MIN_POW_BITS however high the bar goes
+const MAX_KNOWN_IDS = 10000;
+
+/**
+ * Adaptive proof-of-work difficulty.
+ *
+ * Every POW_ADJUST_INTERVAL the policy looks at how many new peers arrived. A spike
+ * raises the minimum difficulty we accept by one bit, up to MAX_POW_BITS; a long calm
+ * stretch lowers it again, down to MIN_POW_BITS. Invalid PoW doesn't count: it costs
+ * nothing to send, so anyone could use it to push the bar up.
+ *
+ * The raised minimum only applies to IDs we haven't accepted before. Only direct peers
+ * hear our `pow` and mine a stronger nonce, so holding nodes further away to it would
+ * drop every one of them still on MIN_POW_BITS.
+ */
+class PowPolicy {
+    constructor(identity, diagnostics, dataDir = DATA_DIR) {
+        this.identity = identity;
+        this.diagnostics = diagnostics;
+        this.dataDir = dataDir;
+        this.minBits = MIN_POW_BITS;
+        this.calmIntervals = 0;
+        this.lastTotals = null;
+        this.upgrading = null;
+        this.interval = null;
+        this.known = new LRUCache(MAX_KNOWN_IDS);
+    }
+
+    get ownBits() {
+        return powBits(this.identity.id, this.identity.nonce);
+    }
+
+    accepts(id, nonce) {
+        if (this.known.has(id)) return verifyPoW(id, nonce, MIN_POW_BITS);
+        if (!verifyPoW(id, nonce, this.minBits)) return false;
+        this.known.set(id, true);
+        return true;
+    }
+
+    adjust() {
+        const totals = this.diagnostics.getTotals();
+        const last = this.lastTotals || totals;
+        this.lastTotals = totals;
+
+        const newPeers = totals.newPeersAdded - last.newPeersAdded;
+
+        if (newPeers > POW_NEW_PEER_THRESHOLD) {
+            this.calmIntervals = 0;
+            if (this.minBits < MAX_POW_BITS) {
+                this.minBits++;
+                console.warn(
+                    `PoW: ${newPeers} new peers in the last interval, requiring ${this.minBits} bits of new ones`
+                );
+            }
+        } else if (this.minBits > MIN_POW_BITS && ++this.calmIntervals >= CALM_INTERVALS_TO_LOWER) {
+            this.calmIntervals = 0;
+            this.minBits--;
+            console.log(`PoW: network is calm, requiring ${this.minBits} bits`);
+        }
+
+        // Our own nonce has to pass the bar we set for everyone else
+        this.ensureOwnBits(this.minBits);
+    }
+
+    /**
+     * A direct peer advertised the minimum it accepts. Requests beyond MAX_POW_BITS are
+     * capped so a lying peer can't make us mine forever.
+     */
+    observeDemand(bits) {
+        if (!Number.isInteger(bits)) return;
+        this.ensureOwnBits(Math.min(bits, MAX_POW_BITS));
+    }
+
+    ensureOwnBits(bits) {
+        if (this.upgrading || this.ownBits >= bits) return;
+
+        const target = Math.max(bits, POW_BITS);
+        console.log(`PoW: upgrading our nonce to ${target} bits`);
+        this.upgrading = upgradeNonce(this.identity, target, this.dataDir).then(() => {
+            console.log(`PoW: nonce upgraded to ${this.ownBits} bits`);
+            this.upgrading = null;
+        });
+    }
+
+    getStats() {
+        return {
+            minBits: this.minBits,
+            ownBits: this.ownBits,
+            upgrading: Boolean(this.upgrading),
+        };
+    }
+
+    start() {
+        this.lastTotals = this.diagnostics.getTotals();
+        this.interval = setInterval(() => this.adjust(), POW_ADJUST_INTERVAL);
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+}
+
+module.exports = { PowPolicy };
@@ -0,0 +1,262 @@
+const path = require("path");
+const fs = require("fs");
+const { DATA_DIR, BAN_DURATION } = require("../config/constants");
+const { readJson, writeJsonAtomic } = require("../utils/storage");
+const { getSocketIp, getSocketKey } = require("../utils/socket");
+
+const BANS_FILE = "bans.json";
+const BANS_VERSION = 1;
+
+// Points per violation. Scores halve every SCORE_HALF_LIFE, so only sustained abuse adds up.
+const PENALTIES = {
+    invalidSignature: 20,
+    invalidPoW: 10,
+    duplicateSeq: 5,
+    invalidMessage: 5,
+    malformed: 10,
+    oversize: 10,
+    rateLimit: 2,
+    flood: 20,
+};
+// What a peer gets for relaying someone else's bad message. It should have checked, but
+// honest nodes on other versions or difficulty settings can slip one through.
+const RELAYED_PENALTY = 1;
+
+const DISCONNECT_SCORE = 50;
+const BAN_SCORE = 100;
+const SCORE_HALF_LIFE = 10 * 60 * 1000;
+const MAX_BAN_DURATION = 24 * 60 * 60 * 1000;
+// How long an expired ban is remembered so a repeat offender gets a longer one
+const STRIKE_MEMORY = 7 * 24 * 60 * 60 * 1000;
+const MAX_TRACKED_PEERS = 10000;
+const CLEANUP_INTERVAL = 60000;
+
+// What identifies the other end of a connection itself: the Noise key its handshake proved.
+// Not its IP, since a NAT or a shared host puts many nodes behind one. Not the peer ID of
+// its heartbeats either: hops isn't signed, so any connection can replay someone else's
+// heartbeat as its own and would get that peer banned along with it.
+const identify = (socket) => {
+    const key = getSocketKey(socket);
+    return key ? [["key", key]] : [];
+};
+
+const decay = (entry, now) => {
+    if (!entry) return 0;
+    return entry.score * Math.pow(0.5, (now - entry.updatedAt) / SCORE_HALF_LIFE);
+};
+
+/**
+ * Per-connection and per-peer reputation.
+ *
+ * Protocol violations add points to the connection they arrived on and to the Noise key
+ * behind it. Those scores outlive the connection, so reconnecting with the same key doesn't
+ * wipe the slate. A connection over DISCONNECT_SCORE is dropped; over BAN_SCORE its key is
+ * banned for BAN_DURATION, doubling with every repeat offence. Peer IDs and IPs are only
+ * banned by hand. Bans survive restarts.
+ */
+class ReputationManager {
+    constructor(diagnostics, dataDir = DATA_DIR) {
+        this.diagnostics = diagnostics;
+        this.filePath = path.join(dataDir, BANS_FILE);
+        this.bans = new Map();
+        this.scores = new Map();
+        this.interval = null;
+        this.banListeners = [];
+    }
+
+    // fn(bans) runs once per ban decision, with every ID, key or IP it covered
+    onBan(fn) {
+        this.banListeners.push(fn);
+    }
+
+    notifyBan(bans) {
+        for (const fn of this.banListeners) {
+            try {
+                fn(bans);
+            } catch (e) {
+                console.error(`Ban listener failed: ${e.message}`);
+            }
+        }
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        try {
+            const data = readJson(this.filePath);
+            if (data.version !== BANS_VERSION || !Array.isArray(data.bans)) return;
+
+            for (const ban of data.bans) {
+                // Older versions also auto-banned IPs and peer IDs, those bans are dropped
+                if (ban.source === "auto" && ban.kind !== "key") continue;
+                if (typeof ban.value === "string" && Number.isFinite(ban.until)) {
+                    this.bans.set(ban.value, ban);
+                }
+            }
+        } catch (e) {
+            console.error(`Failed to load bans from ${this.filePath}: ${e.message}. Starting empty.`);
+        }
+    }
+
+    save() {
+        try {
+            writeJsonAtomic(this.filePath, { version: BANS_VERSION, bans: [...this.bans.values()] }, { mode: 0o600 });
+        } catch (e) {
+            console.error(`Failed to save bans to ${this.filePath}: ${e.message}`);
+        }
+    }
+
+    isBanned(value) {
+        const ban = value && this.bans.get(value);
+        return Boolean(ban && ban.until > Date.now());
+    }
+
+    isSocketBanned(socket) {
+        return this.isBanned(getSocketKey(socket)) || this.isBanned(getSocketIp(socket));
+    }
+
+    /**
+     * Records a violation on a connection. `direct` is false when the socket only relayed
+     * the offending message. Returns true if the connection was dropped.
+     */
+    penalize(socket, reason, direct = true) {
+        if (!socket || socket.destroyed) return false;
+
+        const points = direct ? PENALTIES[reason] || 0 : RELAYED_PENALTY;
+        if (!points) return false;
+
+        const now = Date.now();
+        socket.reputation = { score: decay(socket.reputation, now) + points, updatedAt: now };
+        let score = socket.reputation.score;
+
+        for (const [kind, value] of identify(socket)) {
+            const entry = this.scores.get(value);
+            const total = decay(entry, now) + points;
+            // Re-insert so the map stays ordered by last violation and the oldest go first
+            this.scores.delete(value);
+            this.scores.set(value, { kind, score: total, updatedAt: now, lastReason: reason });
+            score = Math.max(score, total);
+        }
+        while (this.scores.size > MAX_TRACKED_PEERS) {
+            this.scores.delete(this.scores.keys().next().value);
+        }
+
+        if (score >= BAN_SCORE) {
+            this.banSocket(socket, `Score ${Math.round(score)}, last violation: ${reason}`);
+            socket.destroy();
+            return true;
+        }
+
+        if (score >= DISCONNECT_SCORE) {
+            socket.destroy();
+            return true;
+        }
+        return false;
+    }
+
+    banSocket(socket, reason) {
+        const bans = identify(socket).map(([kind, value]) => this.addBan(kind, value, reason, "auto"));
+        this.save();
+        this.diagnostics.increment("peersBanned");
+        this.notifyBan(bans);
+    }
+
+    /**
+     * Bans a peer ID, Noise key or IP. Without a duration the ban lasts BAN_DURATION,
+     * doubled for every earlier ban of the same value still remembered.
+     */
+    ban(kind, value, reason = "", source = "manual", duration = null) {
+        const ban = this.addBan(kind, value, reason, source, duration);
+        this.save();
+        this.notifyBan([ban]);
+        return ban;
+    }
+
+    addBan(kind, value, reason, source, duration = null) {
+        const now = Date.now();
+        const previous = this.bans.get(value);
+        const strikes = previous ? previous.strikes + 1 : 1;
+        const length = duration || Math.min(BAN_DURATION * Math.pow(2, strikes - 1), MAX_BAN_DURATION);
+
+        const ban = {
+            kind,
+            value,
+            reason: String(reason).slice(0, 140),
+            source,
+            strikes,
+            createdAt: now,
+            until: Math.max(now + length, previous ? previous.until : 0),
+        };
+        this.bans.set(value, ban);
+        this.scores.delete(value);
+        return ban;
+    }
+
+    unban(value) {
+        const ban = this.bans.get(value);
+        if (!ban || ban.until <= Date.now()) return false;
+
+        // Keep the strike count, just end the ban now
+        ban.until = Date.now();
+        this.save();
+        return true;
+    }
+
+    listBans() {
+        const now = Date.now();
+        return [...this.bans.values()]
+            .filter((ban) => ban.until > now)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    // Keys with points against them that aren't banned yet, worst first
+    listScores(limit = 50) {
+        const now = Date.now();
+        const scores = [];
+        for (const [value, entry] of this.scores) {
+            const score = decay(entry, now);
+            if (score >= 1) {
+                scores.push({ kind: entry.kind, value, score: Math.round(score), lastReason: entry.lastReason });
+            }
+        }
+        return scores.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+
+    get activeBans() {
+        const now = Date.now();
+        let count = 0;
+        for (const ban of this.bans.values()) {
+            if (ban.until > now) count++;
+        }
+        return count;
+    }
+
+    cleanup() {
+        const now = Date.now();
+        let removed = 0;
+        for (const [value, ban] of this.bans) {
+            if (now - ban.until > STRIKE_MEMORY) {
+                this.bans.delete(value);
+                removed++;
+            }
+        }
+        for (const [value, entry] of this.scores) {
+            if (decay(entry, now) < 1) this.scores.delete(value);
+        }
+        if (removed) this.save();
+    }
+
+    start() {
+        this.interval = setInterval(() => this.cleanup(), CLEANUP_INTERVAL);
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+        this.save();
+    }
+}
+
+module.exports = { ReputationManager, PENALTIES, DISCONNECT_SCORE, BAN_SCORE };
@@ -0,0 +1,109 @@
+const { TOPOLOGY_INTERVAL } = require("../config/constants");
+const { LRUCache } = require("./lru");
+const { generateScreenname } = require("../utils/name-generator");
+
+// Most neighbors one NEIGHBORS message may list. Sixteen DER-encoded IDs keep it under MAX_MESSAGE_SIZE.
+const MAX_NEIGHBORS = 16;
+const MAX_REPORTERS = 5000;
+// A report missing three rounds in a row is stale, the node is gone or stopped sharing
+const REPORT_TTL = TOPOLOGY_INTERVAL * 3;
+const DEFAULT_GRAPH_LIMIT = 500;
+
+/**
+ * Partial network topology assembled from NEIGHBORS gossip.
+ *
+ * Nodes that opt in with SHARE_TOPOLOGY announce the peer IDs they are directly
+ * connected to. Every report we accept is kept until REPORT_TTL; the graph is the
+ * union of those reports and our own direct connections, so it only ever shows
+ * the part of the network whose nodes chose to share.
+ */
+class TopologyStore {
+    constructor() {
+        this.reports = new LRUCache(MAX_REPORTERS);
+    }
+
+    // Keeps a report if it is newer than the one we have. Returns false for stale or replayed ones.
+    update(id, timestamp, neighbors) {
+        const stored = this.reports.peek(id);
+        if (stored && timestamp <= stored.timestamp) return false;
+
+        this.reports.set(id, { timestamp, neighbors, receivedAt: Date.now() });
+        return true;
+    }
+
+    get size() {
+        return this.reports.size;
+    }
+
+    cleanup() {
+        const now = Date.now();
+        for (const [id, report] of this.reports.entries()) {
+            if (now - report.receivedAt > REPORT_TTL) this.reports.delete(id);
+        }
+    }
+
+    /**
+     * Nodes and undirected edges, walked breadth-first from `selfId` so the nearest part
+     * of the network survives the `limit`. Nodes that can't be reached from us are added
+     * last. `hops` is the distance from us in the known graph, null when unreachable.
+     */
+    getGraph(selfId, localNeighbors, limit = DEFAULT_GRAPH_LIMIT) {
+        this.cleanup();
+
+        const adjacency = new Map();
+        const link = (a, b) => {
+            if (a === b) return;
+            if (!adjacency.has(a)) adjacency.set(a, new Set());
+            if (!adjacency.has(b)) adjacency.set(b, new Set());
+            adjacency.get(a).add(b);
+            adjacency.get(b).add(a);
+        };
+
+        adjacency.set(selfId, new Set());
+        for (const neighbor of localNeighbors) link(selfId, neighbor);
+        for (const [id, report] of this.reports.entries()) {
+            for (const neighbor of report.neighbors) link(id, neighbor);
+        }
+
+        const hops = new Map([[selfId, 0]]);
+        const queue = [selfId];
+        while (queue.length && hops.size < limit) {
+            const id = queue.shift();
+            for (const neighbor of adjacency.get(id)) {
+                if (hops.has(neighbor) || hops.size >= limit) continue;
+                hops.set(neighbor, hops.get(id) + 1);
+                queue.push(neighbor);
+            }
+        }
+
+        const included = new Set(hops.keys());
+        for (const id of adjacency.keys()) {
+            if (included.size >= limit) break;
+            included.add(id);
+        }
+
+        const direct = new Set(localNeighbors);
+        const nodes = [...included].map((id) => ({
+            id,
+            screenname: generateScreenname(id),
+            self: id === selfId,
+            direct: direct.has(id),
+            reported: id === selfId || this.reports.has(id),
+            hops: hops.has(id) ? hops.get(id) : null,
+        }));
+
+        const edges = [];
+        for (const [id, neighbors] of adjacency) {
+            if (!included.has(id)) continue;
+            for (const neighbor of neighbors) {
+                if (id < neighbor && included.has(neighbor)) {
+                    edges.push({ source: id, target: neighbor });
+                }
+            }
+        }
+
+        return { nodes, edges, reporters: this.reports.size, truncated: included.size < adjacency.size };
+    }
+}
+
+module.exports = { TopologyStore, MAX_NEIGHBORS };
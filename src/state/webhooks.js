@@ -0,0 +1,422 @@
+const path = require("path");
+const fs = require("fs");
+const net = require("net");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+const { DATA_DIR, WEBHOOK_ALLOW_PRIVATE } = require("../config/constants");
+const { readJson, writeJsonAtomic } = require("../utils/storage");
+const { ipToBytes } = require("../utils/mmdb");
+
+const WEBHOOKS_FILE = "webhooks.json";
+const WEBHOOKS_VERSION = 1;
+const MAX_WEBHOOKS = 20;
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY = 5000;
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+const REQUEST_TIMEOUT = 5000;
+const MAX_RESPONSE_SIZE = 64 * 1024;
+const DELIVERY_LOG_SIZE = 100;
+
+const WEBHOOK_FORMATS = ["json", "slack", "discord"];
+const WEBHOOK_EVENTS = [
+    "peer.connected",
+    "peer.disconnected",
+    "peers.threshold",
+    "chat.mention",
+    "peer.banned",
+];
+
+// Loopback, link-local, private and reserved ranges. Webhooks don't get to reach them
+// unless WEBHOOK_ALLOW_PRIVATE is set, or one could be aimed into the node's own network.
+const PRIVATE_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+    ["0.0.0.0", 8],
+    ["10.0.0.0", 8],
+    ["100.64.0.0", 10],
+    ["127.0.0.0", 8],
+    ["169.254.0.0", 16],
+    ["172.16.0.0", 12],
+    ["192.0.0.0", 24],
+    ["192.168.0.0", 16],
+    ["198.18.0.0", 15],
+    ["224.0.0.0", 3],
+]) {
+    PRIVATE_RANGES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+    ["::", 127],
+    ["64:ff9b::", 96],
+    ["fc00::", 7],
+    ["fe80::", 10],
+    ["ff00::", 8],
+]) {
+    PRIVATE_RANGES.addSubnet(network, prefix, "ipv6");
+}
+
+// IPv4-mapped IPv6 addresses are checked as the IPv4 address they stand for
+const isPrivateAddress = (ip) => {
+    const bytes = ipToBytes(ip);
+    if (!bytes) return true;
+    return bytes.length === 4
+        ? PRIVATE_RANGES.check(bytes.join("."), "ipv4")
+        : PRIVATE_RANGES.check(ip, "ipv6");
+};
+
+/**
+ * dns.lookup for webhook requests that refuses private addresses. The check runs on
+ * the addresses actually connected to, so a name that later resolves somewhere else
+ * doesn't get around it.
+ */
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err);
+
+        const addresses = Array.isArray(address) ? address.map((entry) => entry.address) : [address];
+        if (addresses.some(isPrivateAddress)) {
+            return callback(new Error(`${hostname} resolves to a private address`));
+        }
+        callback(null, address, family);
+    });
+};
+
+/**
+ * Why a webhook may not be sent to this URL, or null if it may. Looks the host up,
+ * so registering a webhook fails early; deliveries are checked again on every request.
+ */
+const checkDestination = async (url) => {
+    if (WEBHOOK_ALLOW_PRIVATE) return null;
+
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "");
+    let addresses;
+    try {
+        addresses = net.isIP(hostname)
+            ? [hostname]
+            : (await dns.promises.lookup(hostname, { all: true })).map((entry) => entry.address);
+    } catch (e) {
+        return `Cannot resolve ${hostname}`;
+    }
+
+    if (addresses.some(isPrivateAddress)) {
+        return "Private, loopback and link-local destinations need WEBHOOK_ALLOW_PRIVATE=true";
+    }
+    return null;
+};
+
+const shortId = (id) => `...${String(id).slice(-8)}`;
+
+// One line for chat apps, the JSON format carries the details
+const describeEvent = (event, data) => {
+    switch (event) {
+        case "peer.connected":
+            return `Connection established with Node [${data.screenname}]`;
+        case "peer.disconnected":
+            return data.reason === "rotation"
+                ? `Connection with Node [${data.screenname}] severed (Rotation)`
+                : `Node [${data.screenname}] disconnected`;
+        case "peers.threshold":
+            return `Swarm size ${data.direction === "above" ? "reached" : "dropped below"} ${data.threshold} (now ${data.count})`;
+        case "chat.mention":
+            return `[${data.screenname}] mentioned you: ${data.content}`;
+        case "peer.banned": {
+            const target = data.screenname
+                ? `Node [${data.screenname}]`
+                : data.bans.map((ban) => `${ban.kind} ${shortId(ban.value)}`).join(", ");
+            return `${data.source === "auto" ? "Auto-banned" : "Banned"} ${target}: ${data.reason}`;
+        }
+        case "test":
+            return "Test delivery from Hypermind";
+        default:
+            return event;
+    }
+};
+
+// Slack treats &, < and > as markup in message text
+const escapeSlack = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+const buildPayload = (format, event, timestamp, node, data) => {
+    const summary = `${node.screenname}: ${describeEvent(event, data)}`;
+    if (format === "slack") {
+        return { text: escapeSlack(summary) };
+    }
+    if (format === "discord") {
+        // Peer-chosen text ends up in there, don't let it ping anyone
+        return { username: "Hypermind", content: summary.slice(0, 2000), allowed_mentions: { parse: [] } };
+    }
+    return { event, timestamp, node, data };
+};
+
+/**
+ * Hex HMAC-SHA256 over `${timestamp}.${body}`, sent as `X-Hypermind-Signature: sha256=<hex>`.
+ * Including the timestamp lets receivers reject replays of old deliveries.
+ */
+const signPayload = (secret, timestamp, body) => {
+    return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+};
+
+const postJson = (url, body, headers) => {
+    return new Promise((resolve, reject) => {
+        // IP literals skip the lookup, those are checked here
+        const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "");
+        if (!WEBHOOK_ALLOW_PRIVATE && net.isIP(hostname) && isPrivateAddress(hostname)) {
+            reject(new Error(`${hostname} is a private address`));
+            return;
+        }
+
+        const client = url.startsWith("https:") ? https : http;
+        const request = client.request(
+            url,
+            {
+                method: "POST",
+                timeout: REQUEST_TIMEOUT,
+                lookup: WEBHOOK_ALLOW_PRIVATE ? undefined : publicLookup,
+                headers: {
+                    "Content-Type": "application/json",
+                    "Content-Length": Buffer.byteLength(body),
+                    "User-Agent": "Hypermind-Webhooks",
+                    ...headers,
+                },
+            },
+            (response) => {
+                let size = 0;
+                response.on("data", (chunk) => {
+                    size += chunk.length;
+                    if (size > MAX_RESPONSE_SIZE) request.destroy(new Error("Response too large"));
+                });
+                response.on("end", () => {
+                    resolve({ status: response.statusCode, retryAfter: response.headers["retry-after"] });
+                });
+            }
+        );
+
+        request.on("timeout", () => request.destroy(new Error("Timed out")));
+        request.on("error", reject);
+        request.end(body);
+    });
+};
+
+// Network errors, throttling and server errors are worth another try, anything else won't change
+const isRetryable = (status) => status === null || status === 408 || status === 429 || status >= 500;
+
+const retryDelay = (attempt, retryAfter) => {
+    const seconds = parseInt(retryAfter);
+    if (Number.isFinite(seconds) && seconds >= 0) {
+        return Math.min(seconds * 1000, MAX_RETRY_DELAY);
+    }
+    return Math.min(RETRY_BASE_DELAY * Math.pow(2, attempt - 1), MAX_RETRY_DELAY);
+};
+
+/**
+ * Outbound webhooks for network events.
+ *
+ * Each webhook subscribes to some of WEBHOOK_EVENTS and gets a POST per event, as
+ * generic JSON or as a Slack or Discord compatible message. Every delivery is signed
+ * with the webhook's secret. Failed deliveries are retried with exponential backoff,
+ * up to MAX_ATTEMPTS; nothing is queued across restarts.
+ */
+class WebhookManager {
+    constructor(identity, dataDir = DATA_DIR) {
+        this.identity = identity;
+        this.filePath = path.join(dataDir, WEBHOOKS_FILE);
+        this.hooks = new Map();
+        this.deliveries = [];
+        this.retryTimers = new Set();
+        this.lastPeerCount = null;
+        this.stopped = false;
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        try {
+            const data = readJson(this.filePath);
+            if (data.version !== WEBHOOKS_VERSION || !Array.isArray(data.webhooks)) return;
+
+            for (const hook of data.webhooks) {
+                if (typeof hook.id === "string" && typeof hook.url === "string" && typeof hook.secret === "string") {
+                    this.hooks.set(hook.id, hook);
+                }
+            }
+        } catch (e) {
+            console.error(`Failed to load webhooks from ${this.filePath}: ${e.message}. Starting empty.`);
+        }
+    }
+
+    // The file holds the signing secrets
+    save() {
+        try {
+            writeJsonAtomic(this.filePath, { version: WEBHOOKS_VERSION, webhooks: [...this.hooks.values()] }, { mode: 0o600 });
+        } catch (e) {
+            console.error(`Failed to save webhooks to ${this.filePath}: ${e.message}`);
+        }
+    }
+
+    // Without the secrets, those are only shown once when a webhook is added
+    list() {
+        return [...this.hooks.values()].map(({ secret, ...hook }) => ({ ...hook, hasSecret: Boolean(secret) }));
+    }
+
+    get size() {
+        return this.hooks.size;
+    }
+
+    /**
+     * Adds a webhook. Returns it including its secret, generated when none is given,
+     * or null when the limit is reached.
+     */
+    add({ url, format = "json", events, secret = null, threshold = null }) {
+        if (this.hooks.size >= MAX_WEBHOOKS) return null;
+
+        const hook = {
+            id: crypto.randomBytes(8).toString("hex"),
+            url,
+            format,
+            events,
+            secret: secret || crypto.randomBytes(32).toString("hex"),
+            threshold,
+            createdAt: Date.now(),
+            lastDeliveryAt: null,
+            lastStatus: null,
+            lastError: null,
+        };
+        this.hooks.set(hook.id, hook);
+        this.save();
+        return hook;
+    }
+
+    remove(id) {
+        const removed = this.hooks.delete(id);
+        if (removed) this.save();
+        return removed;
+    }
+
+    recentDeliveries(limit = 20) {
+        return this.deliveries.slice(-limit).reverse();
+    }
+
+    emit(event, data = {}) {
+        if (this.stopped) return;
+        for (const hook of this.hooks.values()) {
+            if (hook.events.includes(event)) {
+                this.deliver(hook, event, data);
+            }
+        }
+    }
+
+    /**
+     * Fires peers.threshold for every webhook whose threshold the peer count just crossed,
+     * going up or down. The first count after start only sets the baseline.
+     */
+    observePeerCount(count) {
+        const previous = this.lastPeerCount;
+        this.lastPeerCount = count;
+        if (this.stopped || previous === null || previous === count) return;
+
+        for (const hook of this.hooks.values()) {
+            if (!hook.events.includes("peers.threshold") || !hook.threshold) continue;
+
+            const { threshold } = hook;
+            if (previous < threshold && count >= threshold) {
+                this.deliver(hook, "peers.threshold", { threshold, count, direction: "above" });
+            } else if (previous >= threshold && count < threshold) {
+                this.deliver(hook, "peers.threshold", { threshold, count, direction: "below" });
+            }
+        }
+    }
+
+    // Sends a test event right away and reports how the first attempt went
+    test(id) {
+        const hook = this.hooks.get(id);
+        if (!hook) return null;
+        return this.deliver(hook, "test", { message: "Webhook configured" });
+    }
+
+    /**
+     * Delivers one event to one webhook. Resolves with the first attempt's outcome,
+     * retries carry on in the background.
+     */
+    deliver(hook, event, data) {
+        const timestamp = Date.now();
+        const node = { id: this.identity.id, screenname: this.identity.screenname };
+        const body = JSON.stringify(buildPayload(hook.format, event, timestamp, node, data));
+        const delivery = {
+            id: crypto.randomBytes(8).toString("hex"),
+            webhook: hook.id,
+            event,
+            timestamp,
+        };
+        const headers = {
+            "X-Hypermind-Event": event,
+            "X-Hypermind-Delivery": delivery.id,
+            "X-Hypermind-Timestamp": String(timestamp),
+            "X-Hypermind-Signature": `sha256=${signPayload(hook.secret, timestamp, body)}`,
+        };
+
+        return this.attempt(hook, delivery, body, headers, 1);
+    }
+
+    async attempt(hook, delivery, body, headers, attempt) {
+        let status = null;
+        let error = null;
+        let retryAfter;
+
+        try {
+            ({ status, retryAfter } = await postJson(hook.url, body, headers));
+            if (status < 200 || status >= 300) error = `HTTP ${status}`;
+        } catch (e) {
+            error = e.message;
+        }
+
+        const willRetry = error !== null && isRetryable(status) && attempt < MAX_ATTEMPTS && this.hooks.has(hook.id);
+        const result = { ...delivery, attempt, status, error, willRetry };
+        this.record(hook, result);
+
+        if (willRetry) {
+            const timer = setTimeout(() => {
+                this.retryTimers.delete(timer);
+                this.attempt(hook, delivery, body, headers, attempt + 1);
+            }, retryDelay(attempt, retryAfter));
+            this.retryTimers.add(timer);
+        }
+
+        return result;
+    }
+
+    record(hook, result) {
+        this.deliveries.push(result);
+        if (this.deliveries.length > DELIVERY_LOG_SIZE) this.deliveries.shift();
+
+        hook.lastDeliveryAt = result.timestamp;
+        hook.lastStatus = result.status;
+        hook.lastError = result.error;
+        if (result.error) {
+            console.error(`Webhook ${hook.id} ${result.event} attempt ${result.attempt} failed: ${result.error}`);
+        }
+    }
+
+    // Closing connections on shutdown shouldn't page anyone
+    stop() {
+        this.stopped = true;
+        for (const timer of this.retryTimers) clearTimeout(timer);
+        this.retryTimers.clear();
+        this.save();
+    }
+}
+
+// Whether a chat message addresses us as "@screenname", case-insensitive
+const mentions = (content, screenname) => {
+    if (typeof content !== "string") return false;
+    const escaped = screenname.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return new RegExp(`@${escaped}(?!\\w)`, "i").test(content);
+};
+
+module.exports = {
+    WebhookManager,
+    WEBHOOK_EVENTS,
+    WEBHOOK_FORMATS,
+    MAX_WEBHOOKS,
+    checkDestination,
+    signPayload,
+    mentions,
+};
@@ -0,0 +1,241 @@
+const fs = require("fs");
+const net = require("net");
+
+/**
+ * Minimal reader for MaxMind DB (.mmdb) files, the format of GeoLite2, GeoIP2
+ * and DB-IP databases. Only lookups, no writing. Format reference:
+ * https://maxmind.github.io/MaxMind-DB/
+ *
+ * The whole file is read into memory. The search tree is a binary trie over the
+ * address bits; its leaves point into the data section, which holds the records
+ * in a compact typed encoding.
+ */
+const METADATA_MARKER = Buffer.from("abcdef4d61784d696e642e636f6d", "hex");
+const DATA_SECTION_SEPARATOR = 16;
+
+const parseIPv4 = (ip) => ip.split(".").map(Number);
+
+const parseIPv6 = (ip) => {
+    // Embedded IPv4 tail, as in ::ffff:1.2.3.4
+    let tail = [];
+    const lastColon = ip.lastIndexOf(":");
+    if (ip.includes(".", lastColon)) {
+        const v4 = parseIPv4(ip.slice(lastColon + 1));
+        tail = [(v4[0] << 8) | v4[1], (v4[2] << 8) | v4[3]];
+        ip = ip.slice(0, lastColon + 1) + "0:0";
+    }
+
+    const [head, rest] = ip.split("::");
+    const toGroups = (part) => (part ? part.split(":").map((g) => parseInt(g, 16)) : []);
+    let groups = toGroups(head);
+    if (rest !== undefined) {
+        const end = toGroups(rest);
+        groups = [...groups, ...new Array(8 - groups.length - end.length).fill(0), ...end];
+    }
+    if (tail.length) groups.splice(6, 2, ...tail);
+
+    const bytes = [];
+    for (const group of groups) bytes.push(group >> 8, group & 0xff);
+    return bytes;
+};
+
+// Address bytes, with IPv4-mapped IPv6 addresses turned back into IPv4
+const ipToBytes = (ip) => {
+    const version = net.isIP(ip);
+    if (version === 4) return parseIPv4(ip);
+    if (version !== 6) return null;
+
+    const bytes = parseIPv6(ip);
+    const mapped = bytes.slice(0, 10).every((b) => b === 0) && bytes[10] === 0xff && bytes[11] === 0xff;
+    return mapped ? bytes.slice(12) : bytes;
+};
+
+class Decoder {
+    constructor(buffer, base) {
+        this.buffer = buffer;
+        this.base = base;
+    }
+
+    readUInt(offset, size) {
+        let value = 0;
+        for (let i = 0; i < size; i++) {
+            value = value * 256 + this.buffer[offset + i];
+        }
+        return value;
+    }
+
+    // Returns [value, offset just past it]
+    decode(offset) {
+        const ctrl = this.buffer[offset++];
+        let type = ctrl >> 5;
+
+        if (type === 1) {
+            const [pointer, next] = this.decodePointer(ctrl, offset);
+            return [this.decode(pointer)[0], next];
+        }
+
+        if (type === 0) {
+            type = 7 + this.buffer[offset++];
+        }
+
+        let size = ctrl & 0x1f;
+        if (size === 29) {
+            size = 29 + this.buffer[offset++];
+        } else if (size === 30) {
+            size = 285 + this.readUInt(offset, 2);
+            offset += 2;
+        } else if (size === 31) {
+            size = 65821 + this.readUInt(offset, 3);
+            offset += 3;
+        }
+
+        return this.decodeValue(type, size, offset);
+    }
+
+    decodePointer(ctrl, offset) {
+        const sizeBits = (ctrl >> 3) & 0x3;
+        const high = ctrl & 0x7;
+
+        let pointer;
+        if (sizeBits === 0) {
+            pointer = high * 256 + this.buffer[offset];
+        } else if (sizeBits === 1) {
+            pointer = high * 65536 + this.readUInt(offset, 2) + 2048;
+        } else if (sizeBits === 2) {
+            pointer = high * 16777216 + this.readUInt(offset, 3) + 526336;
+        } else {
+            pointer = this.readUInt(offset, 4);
+        }
+
+        return [this.base + pointer, offset + sizeBits + 1];
+    }
+
+    decodeValue(type, size, offset) {
+        switch (type) {
+            case 2: // utf8 string
+                return [this.buffer.toString("utf8", offset, offset + size), offset + size];
+            case 3: // double
+                return [this.buffer.readDoubleBE(offset), offset + 8];
+            case 4: // bytes
+                return [this.buffer.subarray(offset, offset + size), offset + size];
+            case 5: // uint16
+            case 6: // uint32
+                return [this.readUInt(offset, size), offset + size];
+            case 7: { // map
+                const map = {};
+                for (let i = 0; i < size; i++) {
+                    const [key, afterKey] = this.decode(offset);
+                    const [value, afterValue] = this.decode(afterKey);
+                    map[key] = value;
+                    offset = afterValue;
+                }
+                return [map, offset];
+            }
+            case 8: { // int32
+                const padded = Buffer.alloc(4);
+                this.buffer.copy(padded, 4 - size, offset, offset + size);
+                return [padded.readInt32BE(0), offset + size];
+            }
+            case 9: // uint64
+            case 10: { // uint128
+                let value = 0n;
+                for (let i = 0; i < size; i++) {
+                    value = (value << 8n) | BigInt(this.buffer[offset + i]);
+                }
+                return [value, offset + size];
+            }
+            case 11: { // array
+                const array = [];
+                for (let i = 0; i < size; i++) {
+                    const [value, next] = this.decode(offset);
+                    array.push(value);
+                    offset = next;
+                }
+                return [array, offset];
+            }
+            case 14: // boolean, the value is the size
+                return [size !== 0, offset];
+            case 15: // float
+                return [this.buffer.readFloatBE(offset), offset + 4];
+            default:
+                throw new Error(`Unsupported MaxMind DB data type ${type}`);
+        }
+    }
+}
+
+class MaxMindReader {
+    constructor(buffer) {
+        const markerAt = buffer.lastIndexOf(METADATA_MARKER);
+        if (markerAt === -1) throw new Error("Not a MaxMind DB file");
+
+        const metadataStart = markerAt + METADATA_MARKER.length;
+        this.metadata = new Decoder(buffer, metadataStart).decode(metadataStart)[0];
+
+        const { node_count: nodeCount, record_size: recordSize, ip_version: ipVersion } = this.metadata;
+        if (![24, 28, 32].includes(recordSize)) {
+            throw new Error(`Unsupported MaxMind DB record size ${recordSize}`);
+        }
+
+        this.buffer = buffer;
+        this.nodeCount = nodeCount;
+        this.recordSize = recordSize;
+        this.nodeBytes = recordSize / 4;
+        this.ipVersion = ipVersion;
+
+        const treeSize = this.nodeBytes * nodeCount;
+        this.decoder = new Decoder(buffer, treeSize + DATA_SECTION_SEPARATOR);
+
+        // IPv4 lives under ::/96 in an IPv6 tree, walk those 96 zero bits once
+        this.ipv4Start = 0;
+        if (ipVersion === 6) {
+            let node = 0;
+            for (let i = 0; i < 96 && node < nodeCount; i++) {
+                node = this.readRecord(node, 0);
+            }
+            this.ipv4Start = node;
+        }
+    }
+
+    static open(filePath) {
+        return new MaxMindReader(fs.readFileSync(filePath));
+    }
+
+    readRecord(node, bit) {
+        const offset = node * this.nodeBytes;
+        const buffer = this.buffer;
+
+        if (this.recordSize === 24) {
+            const at = offset + bit * 3;
+            return (buffer[at] << 16) | (buffer[at + 1] << 8) | buffer[at + 2];
+        }
+        if (this.recordSize === 28) {
+            if (bit === 0) {
+                return ((buffer[offset + 3] & 0xf0) << 20) | (buffer[offset] << 16) | (buffer[offset + 1] << 8) | buffer[offset + 2];
+            }
+            return ((buffer[offset + 3] & 0x0f) << 24) | (buffer[offset + 4] << 16) | (buffer[offset + 5] << 8) | buffer[offset + 6];
+        }
+        return buffer.readUInt32BE(offset + bit * 4);
+    }
+
+    // The record for an address, or null when the database has nothing for it
+    get(ip) {
+        const bytes = ipToBytes(ip);
+        if (!bytes) return null;
+        if (bytes.length === 16 && this.ipVersion === 4) return null;
+
+        let node = bytes.length === 4 ? this.ipv4Start : 0;
+        const bitCount = bytes.length * 8;
+
+        for (let i = 0; i < bitCount && node < this.nodeCount; i++) {
+            const bit = (bytes[i >> 3] >> (7 - (i & 7))) & 1;
+            node = this.readRecord(node, bit);
+        }
+
+        if (node <= this.nodeCount) return null;
+
+        const offset = node - this.nodeCount - DATA_SECTION_SEPARATOR;
+        return this.decoder.decode(this.decoder.base + offset)[0];
+    }
+}
+
+module.exports = { MaxMindReader, ipToBytes };
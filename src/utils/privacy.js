@@ -0,0 +1,50 @@
+const runtime = require("../config/runtime");
+const { ipToBytes } = require("./mmdb");
+
+/**
+ * How much of our peers' addresses the dashboard and API show (PEER_PRIVACY):
+ *
+ *   full     raw IPs
+ *   masked   IPv4 /24 and IPv6 /48 networks, enough to tell providers apart but not hosts
+ *   country  no IPs, only the country from the GeoIP database
+ *   none     nothing about where peers are
+ *
+ * Anything that hands peer addresses to a browser goes through here. Operator-only
+ * views that need the real address to act on it, like the ban list, don't.
+ */
+
+const maskIp = (ip) => {
+    const bytes = ipToBytes(ip);
+    if (!bytes) return null;
+    if (bytes.length === 4) return `${bytes.slice(0, 3).join(".")}.0/24`;
+
+    const groups = [];
+    for (let i = 0; i < 6; i += 2) groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+    return `${groups.join(":")}::/48`;
+};
+
+// A single address as the current level allows it, null when it may not be shown
+const displayIp = (ip) => {
+    if (!ip) return null;
+    const level = runtime.get("PEER_PRIVACY");
+    if (level === "full") return ip;
+    if (level === "masked") return maskIp(ip);
+    return null;
+};
+
+// The `peers` list of stats and SSE updates, from PeerManager.getPeersWithIps()
+const exposePeers = (peers, geoip) => {
+    const level = runtime.get("PEER_PRIVACY");
+    if (level === "none") return [];
+
+    if (level === "country") {
+        return peers.map(({ id, ip }) => {
+            const location = geoip ? geoip.lookup(ip) : null;
+            return { id, country: location ? location.countryCode : null };
+        });
+    }
+
+    return peers.map(({ id, ip }) => ({ id, ip: displayIp(ip) }));
+};
+
+module.exports = { maskIp, displayIp, exposePeers };
@@ -0,0 +1,16 @@
+/**
+ * Best-effort remote IP of a swarm connection. Hyperswarm wraps the raw
+ * UDX stream, so the address lives in different places depending on version.
+ */
+const getSocketIp = (socket) => {
+    if (socket.remoteAddress) return socket.remoteAddress;
+    if (socket.rawStream && socket.rawStream.remoteHost) return socket.rawStream.remoteHost;
+    if (socket.rawStream && socket.rawStream.remoteAddress) return socket.rawStream.remoteAddress;
+    return null;
+};
+
+const getSocketKey = (socket) => {
+    return socket.remotePublicKey ? Buffer.from(socket.remotePublicKey).toString("hex") : null;
+};
+
+module.exports = { getSocketIp, getSocketKey };
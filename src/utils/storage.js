@@ -0,0 +1,25 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Small helpers for the JSON files we keep in DATA_DIR.
+ * Writes go through a temp file + rename so a crash never leaves half a file behind.
+ */
+const ensureDir = (dir) => {
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+};
+
+const readJson = (filePath) => {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+};
+
+const writeJsonAtomic = (filePath, data, { mode = 0o644, pretty = true } = {}) => {
+    ensureDir(path.dirname(filePath));
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    const json = pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data);
+    fs.writeFileSync(tmpPath, json, { mode });
+    fs.chmodSync(tmpPath, mode);
+    fs.renameSync(tmpPath, filePath);
+};
+
+module.exports = { ensureDir, readJson, writeJsonAtomic };
@@ -0,0 +1,239 @@
+const crypto = require("crypto");
+const {
+    OPERATOR_PASSWORD,
+    OPERATOR_TOKEN,
+    VIEWER_PASSWORD,
+    PUBLIC_DASHBOARD,
+    SESSION_TTL,
+} = require("../config/constants");
+const { LRUCache } = require("../state/lru");
+
+const SESSION_COOKIE = "hypermind_session";
+const LOGIN_ATTEMPT_WINDOW = 60 * 1000;
+const LOGIN_ATTEMPT_LIMIT = 5;
+// Caps on what logins, good or bad, can make us remember. The oldest entries go first.
+const MAX_SESSIONS = 1000;
+const MAX_LOGIN_ADDRESSES = 10000;
+const CLEANUP_INTERVAL = 60 * 1000;
+
+// Ordered from least to most privileged
+const ROLES = ["viewer", "operator"];
+
+const hasRole = (role, required) => {
+    return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+};
+
+// Hash both sides first so the comparison doesn't leak the secret's length
+const safeEqual = (a, b) => {
+    if (typeof a !== "string" || typeof b !== "string" || !b) return false;
+    const ha = crypto.createHash("sha256").update(a).digest();
+    const hb = crypto.createHash("sha256").update(b).digest();
+    return crypto.timingSafeEqual(ha, hb);
+};
+
+const parseCookies = (header) => {
+    const cookies = {};
+    if (!header) return cookies;
+
+    for (const part of header.split(";")) {
+        const eq = part.indexOf("=");
+        if (eq === -1) continue;
+        const name = part.slice(0, eq).trim();
+        const value = part.slice(eq + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (e) {
+            // Malformed cookie values are ignored
+        }
+    }
+    return cookies;
+};
+
+/**
+ * Optional operator authentication.
+ *
+ * Auth is off unless OPERATOR_PASSWORD or OPERATOR_TOKEN is set. While it's off the
+ * dashboard is open to everyone, but operator-only endpoints refuse every request (see
+ * requireRole). With auth on, the browser logs in for a session cookie and API clients
+ * send OPERATOR_TOKEN as a bearer token. Anonymous visitors get the viewer role while
+ * PUBLIC_DASHBOARD is on, nothing otherwise.
+ *
+ * Sessions are kept in memory, so restarting the node logs everyone out. Expired
+ * sessions and login attempts are swept every minute.
+ */
+class AuthManager {
+    constructor() {
+        this.enabled = Boolean(OPERATOR_PASSWORD || OPERATOR_TOKEN);
+        this.sessions = new LRUCache(MAX_SESSIONS);
+        this.loginAttempts = new LRUCache(MAX_LOGIN_ADDRESSES);
+        // Unref'd so it never keeps the process alive on its own
+        this.cleanupInterval = setInterval(() => this.cleanup(), CLEANUP_INTERVAL);
+        this.cleanupInterval.unref();
+
+        if (!this.enabled && !PUBLIC_DASHBOARD) {
+            console.warn(
+                "PUBLIC_DASHBOARD=false has no effect without OPERATOR_PASSWORD or OPERATOR_TOKEN."
+            );
+        }
+    }
+
+    /**
+     * Returns the password's role, or null if it matches none.
+     */
+    checkPassword(password) {
+        if (safeEqual(password, OPERATOR_PASSWORD)) return "operator";
+        if (safeEqual(password, VIEWER_PASSWORD)) return "viewer";
+        return null;
+    }
+
+    /**
+     * Counts a login attempt from this address. Returns false once it has
+     * used up its attempts for the current window.
+     */
+    allowLoginAttempt(address) {
+        const now = Date.now();
+        const attempts = (this.loginAttempts.get(address) || []).filter(
+            (time) => now - time < LOGIN_ATTEMPT_WINDOW
+        );
+
+        if (attempts.length >= LOGIN_ATTEMPT_LIMIT) {
+            this.loginAttempts.set(address, attempts);
+            return false;
+        }
+
+        attempts.push(now);
+        this.loginAttempts.set(address, attempts);
+        return true;
+    }
+
+    cleanup() {
+        const now = Date.now();
+        for (const [token, session] of this.sessions.entries()) {
+            if (session.expires < now) this.sessions.delete(token);
+        }
+        for (const [address, attempts] of this.loginAttempts.entries()) {
+            if (attempts.every((time) => now - time >= LOGIN_ATTEMPT_WINDOW)) {
+                this.loginAttempts.delete(address);
+            }
+        }
+    }
+
+    createSession(role) {
+        const token = crypto.randomBytes(32).toString("hex");
+        this.sessions.set(token, { role, expires: Date.now() + SESSION_TTL });
+        return token;
+    }
+
+    destroySession(req) {
+        const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        if (token) this.sessions.delete(token);
+    }
+
+    getSession(token) {
+        const session = this.sessions.get(token);
+        if (!session) return null;
+
+        if (session.expires < Date.now()) {
+            this.sessions.delete(token);
+            return null;
+        }
+        return session;
+    }
+
+    hasSession(req) {
+        const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        return Boolean(token && this.getSession(token));
+    }
+
+    /**
+     * Resolves the role of a request: "operator", "viewer", or null for no access.
+     */
+    getRole(req) {
+        if (!this.enabled) return "operator";
+
+        const header = req.headers.authorization;
+        if (header && header.startsWith("Bearer ")) {
+            return safeEqual(header.slice(7).trim(), OPERATOR_TOKEN) ? "operator" : null;
+        }
+
+        const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        const session = token && this.getSession(token);
+        if (session) return session.role;
+
+        return PUBLIC_DASHBOARD ? "viewer" : null;
+    }
+
+    /**
+     * Short label for audit logs: which credential made the request, never the secret itself.
+     */
+    describe(req) {
+        if (!this.enabled) return "unauthenticated";
+
+        const header = req.headers.authorization;
+        if (header && header.startsWith("Bearer ")) return "token";
+
+        const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        const session = token && this.getSession(token);
+        if (session) {
+            const label = crypto.createHash("sha256").update(token).digest("hex").slice(0, 8);
+            return `${session.role} session ${label}`;
+        }
+        return "anonymous";
+    }
+
+    setSessionCookie(req, res, token) {
+        const attributes = [
+            `${SESSION_COOKIE}=${token}`,
+            "Path=/",
+            "HttpOnly",
+            "SameSite=Strict",
+            `Max-Age=${Math.floor(SESSION_TTL / 1000)}`,
+        ];
+        if (req.secure) attributes.push("Secure");
+        res.setHeader("Set-Cookie", attributes.join("; "));
+    }
+
+    clearSessionCookie(res) {
+        res.setHeader(
+            "Set-Cookie",
+            `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`
+        );
+    }
+
+    /**
+     * Middleware that rejects requests below the given role and stores the
+     * resolved role on req.role for the handler.
+     *
+     * Operator routes fail closed while auth is off: nobody can prove they are the
+     * operator then. `allowWithoutAuth` keeps a route open in that case, which only
+     * chat needs: sending worked before auth existed, and joining or leaving a
+     * channel is part of chatting.
+     */
+    requireRole(required, { allowWithoutAuth = false } = {}) {
+        return (req, res, next) => {
+            if (!this.enabled && required === "operator" && !allowWithoutAuth) {
+                return res.status(403).json({
+                    error: "Set OPERATOR_PASSWORD or OPERATOR_TOKEN to use this endpoint",
+                });
+            }
+
+            const role = this.getRole(req);
+
+            if (role && hasRole(role, required)) {
+                req.role = role;
+                return next();
+            }
+
+            if (!role) {
+                if (req.method === "GET" && req.accepts(["json", "html"]) === "html") {
+                    return res.redirect("/login");
+                }
+                return res.status(401).json({ error: "Authentication required" });
+            }
+
+            return res.status(403).json({ error: "Operator access required" });
+        };
+    }
+}
+
+module.exports = { AuthManager, hasRole, ROLES };
@@ -11,6 +11,15 @@ const { setupGitHubRoutes } = require("./routes/github");
 const { setupUtilityRoutes } = require("./routes/utility");
 const { setupPageRoutes } = require("./routes/page");
 const { setupSSERoutes } = require("./routes/sse");
+const { setupMetricsRoutes } = require("./routes/metrics");
+const { setupHistoryRoutes } = require("./routes/history");
+const { setupAuthRoutes } = require("./routes/auth");
+const { setupAdminRoutes } = require("./routes/admin");
+const { setupBlockListRoutes } = require("./routes/blocklist");
+const { setupPeerRoutes } = require("./routes/peers");
+const { setupTopologyRoutes } = require("./routes/topology");
+const { setupWebhookRoutes } = require("./routes/webhooks");
+const { AuthManager } = require("./auth");
 
 const setupRoutes = (
   app,
@@ -18,10 +27,24 @@ const setupRoutes = (
   peerManager,
   swarm,
   sseManager,
-  diagnostics
+  diagnostics,
+  historyStore,
+  chatLog,
+  blockList,
+  channels,
+  topics,
+  powPolicy,
+  reputation,
+  topology,
+  geoip,
+  webhooks,
+  networkStats,
+  activity
 ) => {
   app.use(express.json());
 
+  const auth = new AuthManager();
+
   const utilityDeps = {
     adjectives: require("../config/constants").ADJECTIVES,
     nouns: require("../config/constants").NOUNS,
@@ -33,6 +56,7 @@ const setupRoutes = (
     identity,
     peerManager,
     swarm,
+    auth,
   };
 
   const sseDeps = {
@@ -41,6 +65,13 @@ const setupRoutes = (
     swarm,
     sseManager,
     diagnostics,
+    chatLog,
+    channels,
+    topics,
+    geoip,
+    networkStats,
+    activity,
+    auth,
   };
 
   const statsDeps = {
@@ -48,23 +79,91 @@ const setupRoutes = (
     peerManager,
     swarm,
     diagnostics,
+    topics,
+    powPolicy,
+    geoip,
+    networkStats,
+    activity,
+    auth,
+  };
+
+  const metricsDeps = {
+    peerManager,
+    swarm,
+    sseManager,
+    diagnostics,
+    powPolicy,
+    reputation,
+    networkStats,
+    activity,
+    auth,
+  };
+
+  const historyDeps = {
+    historyStore,
+    auth,
   };
 
   const chatDeps = {
     identity,
     swarm,
     sseManager,
+    chatLog,
+    channels,
+    auth,
+  };
+
+  const authDeps = {
+    auth,
+  };
+
+  const blockListDeps = {
+    identity,
+    blockList,
+    auth,
+  };
+
+  const peerDeps = {
+    identity,
+    reputation,
+    topics,
+    geoip,
+    auth,
+  };
+
+  const topologyDeps = {
+    identity,
+    swarm,
+    topology,
+    auth,
+  };
+
+  const webhookDeps = {
+    webhooks,
+    auth,
+  };
+
+  const adminDeps = {
+    auth,
   };
 
   const githubDeps = {
     repo: require("../config/constants").GITHUB_REPO,
   };
 
+  setupAuthRoutes(app, authDeps);
   setupUtilityRoutes(app, utilityDeps);
   setupPageRoutes(app, pageDeps);
   setupSSERoutes(app, sseDeps);
   setupStatsRoutes(app, statsDeps);
+  setupMetricsRoutes(app, metricsDeps);
+  setupHistoryRoutes(app, historyDeps);
   setupChatRoutes(app, chatDeps);
+  setupAdminRoutes(app, adminDeps);
+  setupBlockListRoutes(app, blockListDeps);
+  setupPeerRoutes(app, peerDeps);
+  setupTopologyRoutes(app, topologyDeps);
+  setupWebhookRoutes(app, webhookDeps);
   setupGitHubRoutes(app, githubDeps);
 
   app.use(express.static(path.join(__dirname, "../../public")));
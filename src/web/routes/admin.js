@@ -0,0 +1,30 @@
+const runtime = require("../../config/runtime");
+
+const setupAdminRoutes = (router, dependencies) => {
+    const { auth } = dependencies;
+
+    router.get("/api/admin/config", auth.requireRole("operator"), (req, res) => {
+        res.json({ settings: runtime.getAll() });
+    });
+
+    router.patch("/api/admin/config", auth.requireRole("operator"), (req, res) => {
+        const errors = runtime.validate(req.body);
+        if (errors.length) {
+            return res.status(400).json({ error: "Invalid settings", details: errors });
+        }
+
+        const changes = runtime.update(req.body, auth.describe(req), req.ip);
+        res.json({ success: true, changes, settings: runtime.getAll() });
+    });
+
+    router.get("/api/admin/audit", auth.requireRole("operator"), (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+        if (limit < 1) {
+            return res.status(400).json({ error: "Invalid limit" });
+        }
+
+        res.json({ entries: runtime.getAudit(limit) });
+    });
+};
+
+module.exports = { setupAdminRoutes };
@@ -0,0 +1,47 @@
+const path = require("path");
+
+const setupAuthRoutes = (router, dependencies) => {
+    const { auth } = dependencies;
+
+    router.get("/login", (req, res) => {
+        if (!auth.enabled) {
+            return res.redirect("/");
+        }
+        res.sendFile(path.join(__dirname, "../../../public/login.html"));
+    });
+
+    router.get("/api/auth/session", (req, res) => {
+        res.json({
+            authEnabled: auth.enabled,
+            role: auth.getRole(req),
+            loggedIn: auth.hasSession(req),
+        });
+    });
+
+    router.post("/api/auth/login", (req, res) => {
+        if (!auth.enabled) {
+            return res.status(400).json({ error: "Authentication disabled" });
+        }
+
+        if (!auth.allowLoginAttempt(req.ip)) {
+            return res.status(429).json({ error: "Too many login attempts, try again later" });
+        }
+
+        const { password } = req.body || {};
+        const role = auth.checkPassword(password);
+        if (!role) {
+            return res.status(401).json({ error: "Invalid password" });
+        }
+
+        auth.setSessionCookie(req, res, auth.createSession(role));
+        res.json({ success: true, role });
+    });
+
+    router.post("/api/auth/logout", (req, res) => {
+        auth.destroySession(req);
+        auth.clearSessionCookie(res);
+        res.json({ success: true });
+    });
+};
+
+module.exports = { setupAuthRoutes };
@@ -0,0 +1,76 @@
+const { signBlockList } = require("../../state/blocklist");
+
+const isHttpUrl = (value) => {
+    if (typeof value !== "string" || value.length > 2048) return false;
+    try {
+        const url = new URL(value);
+        return url.protocol === "http:" || url.protocol === "https:";
+    } catch (e) {
+        return false;
+    }
+};
+
+const setupBlockListRoutes = (router, dependencies) => {
+    const { identity, blockList, auth } = dependencies;
+
+    router.get("/api/blocklist", auth.requireRole("operator"), (req, res) => {
+        res.json(blockList.list());
+    });
+
+    // Signed so other operators can import it or subscribe to this URL
+    router.get("/api/blocklist/export", auth.requireRole("viewer"), (req, res) => {
+        res.json(signBlockList(blockList.list().local, identity));
+    });
+
+    router.post("/api/blocklist/import", auth.requireRole("operator"), (req, res) => {
+        const added = blockList.import(req.body, identity.id);
+        if (added === null) {
+            return res.status(400).json({ error: "Invalid block list or signature" });
+        }
+        res.json({ success: true, added });
+    });
+
+    router.post("/api/blocklist/subscriptions", auth.requireRole("operator"), (req, res) => {
+        const { url } = req.body || {};
+        if (!isHttpUrl(url)) {
+            return res.status(400).json({ error: "Invalid URL" });
+        }
+
+        if (!blockList.addSubscription(url)) {
+            return res.status(409).json({ error: "Already subscribed" });
+        }
+        blockList.refresh();
+        res.json({ success: true });
+    });
+
+    router.delete("/api/blocklist/subscriptions", auth.requireRole("operator"), (req, res) => {
+        if (blockList.isConfigured(req.query.url)) {
+            return res.status(409).json({ error: "Set in BLOCKLIST_SUBSCRIPTIONS, remove it there" });
+        }
+        if (!blockList.removeSubscription(req.query.url)) {
+            return res.status(404).json({ error: "Not subscribed" });
+        }
+        res.json({ success: true });
+    });
+
+    router.post("/api/blocklist", auth.requireRole("operator"), (req, res) => {
+        const { id, reason = "" } = req.body || {};
+        if (typeof id !== "string" || id === identity.id || typeof reason !== "string") {
+            return res.status(400).json({ error: "Invalid id" });
+        }
+
+        if (!blockList.add(id, reason)) {
+            return res.status(400).json({ error: "Invalid id or block list full" });
+        }
+        res.json({ success: true });
+    });
+
+    router.delete("/api/blocklist/:id", auth.requireRole("operator"), (req, res) => {
+        if (!blockList.remove(req.params.id)) {
+            return res.status(404).json({ error: "Not blocked" });
+        }
+        res.json({ success: true });
+    });
+};
+
+module.exports = { setupBlockListRoutes, isHttpUrl };
@@ -1,29 +1,79 @@
-const crypto = require("crypto");
-const { signMessage } = require("../../core/security");
-const { ENABLE_CHAT, CHAT_RATE_LIMIT } = require("../../config/constants");
+const {
+    signMessage,
+    createPublicKey,
+    encryptWhisper,
+    computeWhisperId,
+    computeChatId,
+} = require("../../core/security");
+const runtime = require("../../config/runtime");
+const { CHAT_LOG_SCOPES } = require("../../state/chat-log");
+const { isValidChannel } = require("../../state/channels");
 
 const setupChatRoutes = (router, dependencies) => {
-    const { identity, swarm, sseManager } = dependencies;
+    const { identity, swarm, sseManager, chatLog, channels, auth } = dependencies;
     let chatHistory = [];
 
-    router.post("/api/chat", (req, res) => {
-        if (!ENABLE_CHAT) {
+    const sendWhisper = (content, target, res) => {
+        if (typeof target !== "string" || !/^[0-9a-f]+$/.test(target)) {
+            return res.status(400).json({ error: "Invalid target" });
+        }
+
+        let encrypted;
+        try {
+            createPublicKey(target);
+            encrypted = encryptWhisper(content, target);
+        } catch (e) {
+            return res.status(400).json({ error: "Invalid target" });
+        }
+
+        const msg = {
+            type: "WHISPER",
+            sender: identity.id,
+            target,
+            timestamp: Date.now(),
+            ...encrypted,
+            hops: 0,
+        };
+        msg.id = computeWhisperId(msg);
+        msg.sig = signMessage(`whisper:${msg.id}`, identity.privateKey);
+
+        swarm.broadcastChat(msg);
+
+        // Only the plaintext echo for our own dashboard, the swarm gets ciphertext.
+        const echo = {
+            type: "CHAT",
+            id: msg.id,
+            sender: identity.id,
+            target,
+            content,
+            timestamp: msg.timestamp,
+            scope: "WHISPER",
+        };
+        chatLog.append(echo);
+        sseManager.broadcast(echo, "operator");
+
+        res.json({ success: true });
+    };
+
+    router.post("/api/chat", auth.requireRole("operator", { allowWithoutAuth: true }), (req, res) => {
+        if (!runtime.get("ENABLE_CHAT")) {
             return res.status(403).json({ error: "Chat disabled" });
         }
 
         const now = Date.now();
-        chatHistory = chatHistory.filter((time) => now - time < CHAT_RATE_LIMIT);
+        const rateLimit = runtime.get("CHAT_RATE_LIMIT");
+        chatHistory = chatHistory.filter((time) => now - time < rateLimit);
 
         if (chatHistory.length >= 5) {
             return res.status(429).json({
-                error: `Rate limit exceeded: Max 5 messages per ${CHAT_RATE_LIMIT / 1000
+                error: `Rate limit exceeded: Max 5 messages per ${rateLimit / 1000
                     } seconds`,
             });
         }
 
         chatHistory.push(now);
 
-        const { content, scope = "GLOBAL", target } = req.body;
+        const { content, scope = "GLOBAL", target, channel } = req.body;
         if (!content || typeof content !== "string" || content.length > 140) {
             return res.status(400).json({ error: "Invalid content" });
         }
@@ -32,30 +82,102 @@ const setupChatRoutes = (router, dependencies) => {
             return res.status(400).json({ error: "Invalid scope" });
         }
 
-        const timestamp = Date.now();
-        const idBase = identity.id + content + timestamp;
-        const msgId = crypto.createHash("sha256").update(idBase).digest("hex");
+        if (target) {
+            return sendWhisper(content, target, res);
+        }
+
+        if (channel !== undefined && channel !== null) {
+            if (scope !== "GLOBAL" || !isValidChannel(channel)) {
+                return res.status(400).json({ error: "Invalid channel" });
+            }
+            if (!channels.has(channel)) {
+                return res.status(400).json({ error: `Join #${channel} first` });
+            }
+        }
 
         const msg = {
             type: "CHAT",
-            id: msgId,
             sender: identity.id,
             content: content,
-            timestamp: timestamp,
+            timestamp: Date.now(),
             scope: scope,
-            target: target,
             hops: 0,
         };
+        if (channel) msg.channel = channel;
+        const msgId = computeChatId(msg);
+        msg.id = msgId;
 
         if (scope === "GLOBAL") {
             msg.sig = signMessage(`chat:${msgId}`, identity.privateKey);
         }
 
         swarm.broadcastChat(msg);
+        chatLog.append(msg);
         sseManager.broadcast(msg);
 
         res.json({ success: true });
     });
+
+    router.get("/api/chat/history", auth.requireRole("viewer"), (req, res) => {
+        if (!runtime.get("ENABLE_CHAT")) {
+            return res.status(403).json({ error: "Chat disabled" });
+        }
+
+        const { scope } = req.query;
+        if (scope && !CHAT_LOG_SCOPES.includes(scope)) {
+            return res.status(400).json({
+                error: `Invalid scope, expected one of: ${CHAT_LOG_SCOPES.join(", ")}`,
+            });
+        }
+
+        // Whispers are decrypted plaintext, only the operator gets to read them
+        const includeWhispers = req.role === "operator";
+        if (scope === "WHISPER" && !includeWhispers) {
+            return res.status(403).json({ error: "Operator access required" });
+        }
+
+        const before = req.query.before ? parseInt(req.query.before) : Infinity;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        if (Number.isNaN(before) || limit < 1) {
+            return res.status(400).json({ error: "Invalid cursor" });
+        }
+
+        const { channel } = req.query;
+        if (channel !== undefined && !isValidChannel(channel)) {
+            return res.status(400).json({ error: "Invalid channel" });
+        }
+
+        res.json(chatLog.page({ before, limit, scope, channel, includeWhispers }));
+    });
+
+    router.get("/api/chat/channels", auth.requireRole("viewer"), (req, res) => {
+        res.json({ channels: channels.list() });
+    });
+
+    router.post("/api/chat/channels", auth.requireRole("operator", { allowWithoutAuth: true }), (req, res) => {
+        const { channel } = req.body || {};
+        if (!isValidChannel(channel)) {
+            return res.status(400).json({
+                error: "Invalid channel: 1-32 lowercase letters, digits, - or _",
+            });
+        }
+        if (channels.has(channel)) {
+            return res.json({ success: true, channels: channels.list() });
+        }
+        if (channels.isFull) {
+            return res.status(400).json({ error: "Too many channels" });
+        }
+
+        channels.join(channel);
+        res.json({ success: true, channels: channels.list() });
+    });
+
+    router.delete("/api/chat/channels/:channel", auth.requireRole("operator", { allowWithoutAuth: true }), (req, res) => {
+        if (!channels.leave(req.params.channel)) {
+            return res.status(404).json({ error: "Not in that channel" });
+        }
+        res.json({ success: true, channels: channels.list() });
+    });
 };
 
 module.exports = { setupChatRoutes };
@@ -0,0 +1,37 @@
+const { ENABLE_HISTORY } = require("../../config/constants");
+const { HISTORY_METRICS } = require("../../state/history");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const setupHistoryRoutes = (router, dependencies) => {
+    const { historyStore, auth } = dependencies;
+
+    router.get("/api/history", auth.requireRole("viewer"), (req, res) => {
+        if (!ENABLE_HISTORY) {
+            return res.status(403).json({ error: "History disabled" });
+        }
+
+        const { metric } = req.query;
+        if (!HISTORY_METRICS.includes(metric)) {
+            return res.status(400).json({
+                error: `Invalid metric, expected one of: ${HISTORY_METRICS.join(", ")}`,
+            });
+        }
+
+        const to = req.query.to ? parseInt(req.query.to) : Date.now();
+        const from = req.query.from ? parseInt(req.query.from) : to - DAY;
+        const step = req.query.step ? parseInt(req.query.step) : null;
+
+        if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) {
+            return res.status(400).json({ error: "Invalid time range" });
+        }
+
+        if (step !== null && (!Number.isFinite(step) || step <= 0)) {
+            return res.status(400).json({ error: "Invalid step" });
+        }
+
+        res.json({ from, to, ...historyStore.query(metric, from, to, step) });
+    });
+};
+
+module.exports = { setupHistoryRoutes };
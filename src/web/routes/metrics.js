@@ -0,0 +1,103 @@
+const { VERSION } = require("../../config/constants");
+const runtime = require("../../config/runtime");
+
+// Diagnostics key -> [metric name, help]. Keys without an entry are not exported.
+const COUNTERS = {
+    heartbeatsReceived: ["heartbeats_received_total", "Heartbeat messages received"],
+    heartbeatsRelayed: ["heartbeats_relayed_total", "Heartbeat messages relayed to other peers"],
+    invalidPoW: ["invalid_pow_total", "Messages rejected for invalid proof-of-work"],
+    duplicateSeq: ["duplicate_seq_total", "Heartbeats dropped for a duplicate or old sequence number"],
+    invalidSig: ["invalid_signature_total", "Messages rejected for an invalid signature"],
+    newPeersAdded: ["new_peers_added_total", "Previously unknown peers added"],
+    bytesReceived: ["received_bytes_total", "Bytes received from direct connections"],
+    bytesRelayed: ["relayed_bytes_total", "Bytes sent while relaying messages"],
+    bytesSent: ["sent_bytes_total", "Bytes sent to direct connections, relayed or our own"],
+    leaveMessages: ["leave_messages_total", "LEAVE messages received"],
+    blockedMessages: ["blocked_messages_total", "Chat messages dropped because the sender is on the block list"],
+    authFailures: ["auth_failures_total", "Private swarm connections dropped for a wrong or missing handshake proof"],
+    peersBanned: ["peers_banned_total", "Connections banned for a bad reputation score"],
+    duplicatesReceived: ["duplicate_messages_total", "Relayed messages received again after we had already relayed or sent them"],
+    gossipControlBytes: ["gossip_control_bytes_total", "Bytes sent in IHAVE, IWANT, GRAFT and PRUNE messages"],
+};
+
+const HISTOGRAMS = {
+    messageSize: ["message_size_bytes", "Size of received messages on the wire"],
+    relayFanout: ["relay_fanout", "Number of peers each relayed message was sent to"],
+};
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+const formatMetrics = ({ totals, histograms, gauges }) => {
+    const lines = [];
+
+    for (const [key, value] of Object.entries(totals)) {
+        if (!COUNTERS[key]) continue;
+        const [suffix, help] = COUNTERS[key];
+        const name = `hypermind_${suffix}`;
+        lines.push(`# HELP ${name} ${help}`);
+        lines.push(`# TYPE ${name} counter`);
+        lines.push(`${name} ${value}`);
+    }
+
+    for (const [name, { help, value }] of Object.entries(gauges)) {
+        lines.push(`# HELP hypermind_${name} ${help}`);
+        lines.push(`# TYPE hypermind_${name} gauge`);
+        lines.push(`hypermind_${name} ${value}`);
+    }
+
+    for (const [key, histogram] of Object.entries(histograms)) {
+        if (!HISTOGRAMS[key]) continue;
+        const [suffix, help] = HISTOGRAMS[key];
+        const name = `hypermind_${suffix}`;
+        lines.push(`# HELP ${name} ${help}`);
+        lines.push(`# TYPE ${name} histogram`);
+        histogram.buckets.forEach((bound, i) => {
+            lines.push(`${name}_bucket{le="${bound}"} ${histogram.counts[i]}`);
+        });
+        lines.push(`${name}_bucket{le="+Inf"} ${histogram.count}`);
+        lines.push(`${name}_sum ${histogram.sum}`);
+        lines.push(`${name}_count ${histogram.count}`);
+    }
+
+    lines.push("# HELP hypermind_info Node build information and relay strategy");
+    lines.push("# TYPE hypermind_info gauge");
+    lines.push(`hypermind_info{version="${escapeLabel(VERSION)}",relay_strategy="${escapeLabel(runtime.get("RELAY_STRATEGY"))}"} 1`);
+
+    return lines.join("\n") + "\n";
+};
+
+const setupMetricsRoutes = (router, dependencies) => {
+    const { peerManager, swarm, sseManager, diagnostics, powPolicy, reputation, networkStats, activity, auth } = dependencies;
+
+    router.get("/metrics", auth.requireRole("viewer"), (req, res) => {
+        const network = networkStats.getSummary(peerManager, swarm.getSwarm().connections.size);
+        const active = activity.getCounts();
+        const { bloom } = diagnostics.getStats();
+        const body = formatMetrics({
+            totals: diagnostics.getTotals(),
+            histograms: diagnostics.getHistograms(),
+            gauges: {
+                peers: { help: "Active peers seen within PEER_TIMEOUT", value: peerManager.size },
+                direct_connections: { help: "Direct swarm connections", value: swarm.getSwarm().connections.size },
+                unique_peers_estimate: { help: "HyperLogLog estimate of unique peers seen", value: peerManager.totalUniquePeers },
+                network_unique_estimate: { help: "Unique peers seen by the whole network, merged from gossiped sketches", value: network.unique.estimate },
+                active_peers_daily: { help: "Distinct peers seen in the last 24 hours", value: active.daily },
+                active_peers_weekly: { help: "Distinct peers seen in the last 7 days", value: active.weekly },
+                active_peers_monthly: { help: "Distinct peers seen in the last 30 days", value: active.monthly },
+                network_reporters: { help: "Nodes whose stats reports are merged into the network estimate", value: network.reporters },
+                sse_clients: { help: "Connected dashboard (SSE) clients", value: sseManager.size },
+                pow_min_bits: { help: "Proof-of-work difficulty currently required of peers", value: powPolicy.minBits },
+                pow_own_bits: { help: "Proof-of-work difficulty of this node's nonce", value: powPolicy.ownBits },
+                active_bans: { help: "Peer IDs, keys and IPs currently banned", value: reputation.activeBans },
+                bloom_fill_ratio: { help: "Share of bits set in the current relay dedup filter", value: bloom.fillRatio },
+                bloom_estimated_fpr: { help: "Estimated chance the relay dedup filter mistakes a new message for a seen one", value: bloom.estimatedFpr },
+                bloom_filters: { help: "Slices the current relay dedup filter has grown to", value: bloom.filters },
+            },
+        });
+
+        res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+        res.send(body);
+    });
+};
+
+module.exports = { setupMetricsRoutes };
@@ -1,9 +1,10 @@
-const { ENABLE_MAP, ENABLE_THEMES, VISUAL_LIMIT, VERSION } = require("../../config/constants");
+const { VERSION } = require("../../config/constants");
+const runtime = require("../../config/runtime");
 
 const setupPageRoutes = (router, dependencies) => {
-    const { htmlTemplate, identity, peerManager, swarm } = dependencies;
+    const { htmlTemplate, identity, peerManager, swarm, auth } = dependencies;
 
-    router.get("/", (req, res) => {
+    router.get("/", auth.requireRole("viewer"), (req, res) => {
         const count = peerManager.size;
         const directPeers = swarm.getSwarm().connections.size;
         const totalUnique = peerManager.totalUniquePeers;
@@ -14,9 +15,9 @@ const setupPageRoutes = (router, dependencies) => {
             .replace(/\{\{FULL_ID\}\}/g, identity.id)
             .replace(/\{\{DIRECT\}\}/g, directPeers)
             .replace(/\{\{TOTAL_UNIQUE\}\}/g, totalUnique)
-            .replace(/\{\{MAP_CLASS\}\}/g, ENABLE_MAP ? "" : "hidden")
-            .replace(/\{\{THEMES_CLASS\}\}/g, ENABLE_THEMES ? "" : "hidden")
-            .replace(/\{\{VISUAL_LIMIT\}\}/g, VISUAL_LIMIT)
+            .replace(/\{\{MAP_CLASS\}\}/g, runtime.get("ENABLE_MAP") ? "" : "hidden")
+            .replace(/\{\{THEMES_CLASS\}\}/g, runtime.get("ENABLE_THEMES") ? "" : "hidden")
+            .replace(/\{\{VISUAL_LIMIT\}\}/g, runtime.get("VISUAL_LIMIT"))
             .replace(/\{\{VERSION\}\}/g, VERSION);
 
         res.send(html);
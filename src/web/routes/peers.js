@@ -0,0 +1,217 @@
+const net = require("net");
+const runtime = require("../../config/runtime");
+const { generateScreenname } = require("../../utils/name-generator");
+const { displayIp } = require("../../utils/privacy");
+
+const MAX_MANUAL_BAN = 30 * 24 * 60 * 60 * 1000;
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+const SORT_FIELDS = [
+    "screenname",
+    "firstSeen",
+    "lastSeen",
+    "seq",
+    "hops",
+    "direct",
+    "connectionAge",
+    "bytesIn",
+    "bytesOut",
+];
+
+// Direct connections by the peer ID they announced
+const directSockets = (swarmManager) => {
+    const sockets = new Map();
+    for (const socket of swarmManager.getSwarm().connections) {
+        if (socket.peerId) sockets.set(socket.peerId, socket);
+    }
+    return sockets;
+};
+
+const describePeer = (id, data, socket, identity, now) => {
+    const self = id === identity.id;
+    return {
+        id,
+        screenname: self ? identity.screenname : generateScreenname(id),
+        self,
+        firstSeen: data.firstSeen,
+        lastSeen: data.lastSeen,
+        seq: data.seq,
+        hops: data.hops,
+        direct: Boolean(socket),
+        ip: displayIp(data.ip),
+        connectedAt: socket ? socket.connectedAt : null,
+        connectionAge: socket ? now - socket.connectedAt : null,
+        bytesIn: socket ? socket.bytesIn || 0 : null,
+        bytesOut: socket ? socket.bytesOut || 0 : null,
+    };
+};
+
+// Per-country peer counts, placed at the rounded mean of their locations
+const summarizeCountries = (locations) => {
+    const countries = new Map();
+    for (const location of locations) {
+        if (!location.countryCode) continue;
+        const entry = countries.get(location.countryCode) || {
+            countryCode: location.countryCode,
+            country: location.country,
+            count: 0,
+            lat: 0,
+            lon: 0,
+        };
+        entry.count++;
+        entry.lat += location.lat;
+        entry.lon += location.lon;
+        countries.set(location.countryCode, entry);
+    }
+
+    return [...countries.values()].map((entry) => ({
+        ...entry,
+        lat: Math.round(entry.lat / entry.count),
+        lon: Math.round(entry.lon / entry.count),
+    }));
+};
+
+// Nulls (not connected, unknown distance) always sort last
+const compareBy = (field, direction) => (a, b) => {
+    const x = a[field];
+    const y = b[field];
+    if (x === y) return 0;
+    if (x === null || x === undefined) return 1;
+    if (y === null || y === undefined) return -1;
+    if (typeof x === "string") return x.localeCompare(y) * direction;
+    return (x < y ? -1 : 1) * direction;
+};
+
+// Noise keys are 32 bytes, node IDs are longer DER-encoded keys
+const banKind = (value) => {
+    if (typeof value !== "string" || value.length > 200) return null;
+    if (net.isIP(value)) return "ip";
+    if (/^[0-9a-f]{64}$/.test(value)) return "key";
+    if (/^[0-9a-f]+$/.test(value)) return "id";
+    return null;
+};
+
+const setupPeerRoutes = (router, dependencies) => {
+    const { identity, reputation, topics, geoip, auth } = dependencies;
+
+    // ?topic=name picks a joined topic, the primary one otherwise
+    const resolveTopic = (req, res) => {
+        if (req.query.topic === undefined) return topics[0];
+        const topic = topics.find((t) => t.name === req.query.topic);
+        if (!topic) res.status(404).json({ error: "Unknown topic" });
+        return topic;
+    };
+
+    router.get("/api/peers/bans", auth.requireRole("operator"), (req, res) => {
+        res.json({
+            bans: reputation.listBans(),
+            scores: reputation.listScores(),
+        });
+    });
+
+    router.post("/api/peers/bans", auth.requireRole("operator"), (req, res) => {
+        const { value, reason = "", duration } = req.body || {};
+        const kind = banKind(value);
+        if (!kind || typeof reason !== "string") {
+            return res.status(400).json({ error: "Expected a peer ID, Noise key or IP" });
+        }
+        if (duration !== undefined && (!Number.isInteger(duration) || duration < 1000 || duration > MAX_MANUAL_BAN)) {
+            return res.status(400).json({ error: "Invalid duration" });
+        }
+
+        const ban = reputation.ban(kind, value, reason, "manual", duration || null);
+        for (const { swarmManager } of topics) {
+            swarmManager.dropBanned();
+        }
+        res.json({ success: true, ban });
+    });
+
+    router.delete("/api/peers/bans/:value", auth.requireRole("operator"), (req, res) => {
+        if (!reputation.unban(req.params.value)) {
+            return res.status(404).json({ error: "Not banned" });
+        }
+        res.json({ success: true });
+    });
+
+    router.get("/api/peers", auth.requireRole("viewer"), (req, res) => {
+        const topic = resolveTopic(req, res);
+        if (!topic) return;
+
+        const sort = SORT_FIELDS.includes(req.query.sort) ? req.query.sort : "lastSeen";
+        const direction = req.query.order === "asc" ? 1 : -1;
+        const limit = Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const query = typeof req.query.q === "string" ? req.query.q.trim().toLowerCase() : "";
+
+        const now = Date.now();
+        const sockets = directSockets(topic.swarmManager);
+        let peers = [];
+        for (const [id, data] of topic.peerManager.entries()) {
+            const peer = describePeer(id, data, sockets.get(id), identity, now);
+            if (query && !peer.id.includes(query) && !peer.screenname.toLowerCase().includes(query)) {
+                continue;
+            }
+            peers.push(peer);
+        }
+
+        peers.sort(compareBy(sort, direction));
+        res.json({
+            total: peers.length,
+            offset,
+            limit,
+            peers: peers.slice(offset, offset + limit),
+        });
+    });
+
+    // Coarse locations from the local GeoIP database. Peer IPs never leave the node.
+    // With PEER_PRIVACY "country" only per-country counts go out, with "none" nothing.
+    router.get("/api/peers/geo", auth.requireRole("viewer"), (req, res) => {
+        if (!runtime.get("ENABLE_MAP")) {
+            return res.status(403).json({ error: "Map disabled" });
+        }
+
+        const topic = resolveTopic(req, res);
+        if (!topic) return;
+
+        const privacy = runtime.get("PEER_PRIVACY");
+        if (privacy === "none") {
+            return res.json({ enabled: geoip.enabled, privacy, self: null, peers: [], countries: [] });
+        }
+
+        const peers = [];
+        for (const { id, ip } of topic.peerManager.getPeersWithIps()) {
+            const location = geoip.lookup(ip);
+            if (location) peers.push({ id, screenname: generateScreenname(id), ...location });
+        }
+
+        // The DHT learns our public address from the nodes it talks to
+        const dht = topic.swarmManager.getSwarm().dht;
+        let self = geoip.lookup(dht && dht.host);
+        if (self && privacy === "country") {
+            self = { ...self, lat: Math.round(self.lat), lon: Math.round(self.lon), city: null };
+        }
+
+        res.json({
+            enabled: geoip.enabled,
+            privacy,
+            self,
+            peers: privacy === "country" ? [] : peers,
+            countries: summarizeCountries(peers),
+        });
+    });
+
+    router.get("/api/peers/:id", auth.requireRole("viewer"), (req, res) => {
+        const topic = resolveTopic(req, res);
+        if (!topic) return;
+
+        const data = topic.peerManager.peekPeer(req.params.id);
+        if (!data) {
+            return res.status(404).json({ error: "Unknown peer" });
+        }
+
+        const socket = directSockets(topic.swarmManager).get(req.params.id);
+        res.json(describePeer(req.params.id, data, socket, identity, Date.now()));
+    });
+};
+
+module.exports = { setupPeerRoutes };
@@ -1,15 +1,17 @@
-const { ENABLE_CHAT, ENABLE_MAP } = require("../../config/constants");
+const runtime = require("../../config/runtime");
+const { summarizeTopics } = require("../../p2p/swarm");
+const { exposePeers } = require("../../utils/privacy");
 
 const setupSSERoutes = (router, dependencies) => {
-    const { identity, peerManager, swarm, sseManager, diagnostics } = dependencies;
+    const { identity, peerManager, swarm, sseManager, diagnostics, chatLog, channels, topics, geoip, networkStats, activity, auth } = dependencies;
 
-    router.get("/events", (req, res) => {
+    router.get("/events", auth.requireRole("viewer"), (req, res) => {
         res.setHeader("Content-Type", "text/event-stream");
         res.setHeader("Cache-Control", "no-cache");
         res.setHeader("Connection", "keep-alive");
         res.flushHeaders();
 
-        sseManager.addClient(res);
+        sseManager.addClient(res, req.role);
 
         const data = JSON.stringify({
             count: peerManager.size,
@@ -18,12 +20,26 @@ const setupSSERoutes = (router, dependencies) => {
             id: identity.id,
             screenname: identity.screenname,
             diagnostics: diagnostics.getStats(),
-            chatEnabled: ENABLE_CHAT,
-            mapEnabled: ENABLE_MAP,
-            peers: peerManager.getPeersWithIps(),
+            chatEnabled: runtime.get("ENABLE_CHAT"),
+            mapEnabled: runtime.get("ENABLE_MAP"),
+            peers: exposePeers(peerManager.getPeersWithIps(), geoip),
+            authEnabled: auth.enabled,
+            role: req.role,
+            loggedIn: auth.hasSession(req),
+            channels: channels.list(),
+            topics: summarizeTopics(topics),
+            network: networkStats.getSummary(peerManager, swarm.getSwarm().connections.size),
+            active: activity.getCounts(),
         });
         res.write(`data: ${data}\n\n`);
 
+        // Backfill so a freshly opened dashboard isn't an empty terminal
+        if (runtime.get("ENABLE_CHAT")) {
+            for (const msg of chatLog.getRecent(runtime.get("CHAT_REPLAY_COUNT"), req.role === "operator")) {
+                res.write(`data: ${JSON.stringify({ ...msg, replay: true })}\n\n`);
+            }
+        }
+
         req.on("close", () => {
             sseManager.removeClient(res);
         });
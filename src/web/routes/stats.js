@@ -1,18 +1,39 @@
-const { ENABLE_CHAT } = require("../../config/constants");
+const runtime = require("../../config/runtime");
+const { summarizeTopics } = require("../../p2p/swarm");
+const { exposePeers } = require("../../utils/privacy");
 
 const setupStatsRoutes = (router, dependencies) => {
-    const { peerManager, swarm, diagnostics } = dependencies;
+    const { peerManager, swarm, diagnostics, topics, powPolicy, geoip, networkStats, activity, auth } = dependencies;
+
+    router.get("/api/stats", auth.requireRole("viewer"), (req, res) => {
+        // ?topic=name reports the counts of one joined topic instead of the primary
+        let topicPeers = peerManager;
+        let topicSwarm = swarm;
+        let topicDiagnostics = diagnostics;
+        if (req.query.topic !== undefined) {
+            const topic = topics.find((t) => t.name === req.query.topic);
+            if (!topic) {
+                return res.status(404).json({ error: "Unknown topic" });
+            }
+            topicPeers = topic.peerManager;
+            topicSwarm = topic.swarmManager;
+            topicDiagnostics = topic.diagnostics;
+        }
 
-    router.get("/api/stats", (req, res) => {
         res.json({
-            count: peerManager.size,
-            totalUnique: peerManager.totalUniquePeers,
-            direct: swarm.getSwarm().connections.size,
+            count: topicPeers.size,
+            totalUnique: topicPeers.totalUniquePeers,
+            direct: topicSwarm.getSwarm().connections.size,
             id: dependencies.identity.id,
             screenname: dependencies.identity.screenname,
-            diagnostics: diagnostics.getStats(),
-            chatEnabled: ENABLE_CHAT,
-            peers: peerManager.getPeersWithIps(),
+            diagnostics: topicDiagnostics.getStats(),
+            chatEnabled: runtime.get("ENABLE_CHAT"),
+            peers: exposePeers(topicPeers.getPeersWithIps(), geoip),
+            topics: summarizeTopics(topics),
+            pow: powPolicy.getStats(),
+            // Network estimate and active windows are always about the primary topic
+            network: networkStats.getSummary(peerManager, swarm.getSwarm().connections.size),
+            active: activity.getCounts(),
         });
     });
 };
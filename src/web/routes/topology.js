@@ -0,0 +1,23 @@
+const runtime = require("../../config/runtime");
+
+const MAX_GRAPH_NODES = 2000;
+
+const setupTopologyRoutes = (router, dependencies) => {
+    const { identity, swarm, topology, auth } = dependencies;
+
+    router.get("/api/topology", auth.requireRole("viewer"), (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit) || 500, MAX_GRAPH_NODES);
+        const graph = topology.getGraph(identity.id, swarm.getNeighbors(), limit);
+
+        for (const node of graph.nodes) {
+            if (node.self) node.screenname = identity.screenname;
+        }
+
+        res.json({
+            sharing: runtime.get("SHARE_TOPOLOGY"),
+            ...graph,
+        });
+    });
+};
+
+module.exports = { setupTopologyRoutes };
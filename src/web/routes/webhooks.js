@@ -0,0 +1,76 @@
+const { WEBHOOK_EVENTS, WEBHOOK_FORMATS, checkDestination } = require("../../state/webhooks");
+const { isHttpUrl } = require("./blocklist");
+
+const MAX_SECRET_LENGTH = 256;
+
+const setupWebhookRoutes = (router, dependencies) => {
+    const { webhooks, auth } = dependencies;
+
+    router.get("/api/webhooks", auth.requireRole("operator"), (req, res) => {
+        res.json({
+            webhooks: webhooks.list(),
+            deliveries: webhooks.recentDeliveries(),
+            events: WEBHOOK_EVENTS,
+            formats: WEBHOOK_FORMATS,
+        });
+    });
+
+    router.post("/api/webhooks", auth.requireRole("operator"), async (req, res) => {
+        const { url, format = "json", events, secret, threshold } = req.body || {};
+        if (!isHttpUrl(url)) {
+            return res.status(400).json({ error: "Invalid URL" });
+        }
+        if (!WEBHOOK_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${WEBHOOK_FORMATS.join(", ")}` });
+        }
+        if (
+            !Array.isArray(events) ||
+            !events.length ||
+            !events.every((event) => WEBHOOK_EVENTS.includes(event))
+        ) {
+            return res.status(400).json({ error: `events must be a list of: ${WEBHOOK_EVENTS.join(", ")}` });
+        }
+        if (secret !== undefined && (typeof secret !== "string" || !secret || secret.length > MAX_SECRET_LENGTH)) {
+            return res.status(400).json({ error: "Invalid secret" });
+        }
+        if (events.includes("peers.threshold") && (!Number.isInteger(threshold) || threshold < 1)) {
+            return res.status(400).json({ error: "peers.threshold needs a positive integer threshold" });
+        }
+
+        const refused = await checkDestination(url);
+        if (refused) {
+            return res.status(400).json({ error: refused });
+        }
+
+        const hook = webhooks.add({
+            url,
+            format,
+            events: [...new Set(events)],
+            secret,
+            threshold: events.includes("peers.threshold") ? threshold : null,
+        });
+        if (!hook) {
+            return res.status(409).json({ error: "Too many webhooks" });
+        }
+
+        // The only time the secret is shown
+        res.json({ success: true, webhook: hook });
+    });
+
+    router.delete("/api/webhooks/:id", auth.requireRole("operator"), (req, res) => {
+        if (!webhooks.remove(req.params.id)) {
+            return res.status(404).json({ error: "Unknown webhook" });
+        }
+        res.json({ success: true });
+    });
+
+    router.post("/api/webhooks/:id/test", auth.requireRole("operator"), async (req, res) => {
+        const result = await webhooks.test(req.params.id);
+        if (!result) {
+            return res.status(404).json({ error: "Unknown webhook" });
+        }
+        res.json({ success: !result.error, delivery: result });
+    });
+};
+
+module.exports = { setupWebhookRoutes };
@@ -1,13 +1,15 @@
 const { BROADCAST_THROTTLE } = require("../config/constants");
+const { hasRole } = require("./auth");
 
 class SSEManager {
     constructor() {
-        this.clients = new Set();
+        // res -> role of the client that opened the stream
+        this.clients = new Map();
         this.lastBroadcast = 0;
     }
 
-    addClient(res) {
-        this.clients.add(res);
+    addClient(res, role = "operator") {
+        this.clients.set(res, role);
     }
 
     removeClient(res) {
@@ -22,9 +24,13 @@ class SSEManager {
         this.broadcast(data);
     }
 
-    broadcast(data) {
+    /**
+     * Sends data to every client with at least the given role.
+     */
+    broadcast(data, role = "viewer") {
         const message = JSON.stringify(data);
-        for (const client of this.clients) {
+        for (const [client, clientRole] of this.clients) {
+            if (!hasRole(clientRole, role)) continue;
             client.write(`data: ${message}\n\n`);
         }
     }
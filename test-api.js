@@ -1,4 +1,19 @@
 const http = require("http");
+const crypto = require("crypto");
+
+// The node's OPERATOR_TOKEN, if it has one. Without it, operator endpoints must refuse.
+const TOKEN = process.env.OPERATOR_TOKEN;
+
+const headersFor = (body) => ({
+    ...(body ? { "Content-Type": "application/json" } : {}),
+    ...(TOKEN ? { Authorization: `Bearer ${TOKEN}` } : {}),
+});
+
+// Validates an operator-only response: the real check with a token, a refusal without
+const operatorOnly = (validate) => (data) => {
+    const json = JSON.parse(data);
+    return TOKEN ? validate(json) : json.error !== undefined;
+};
 
 const test = (method, path, body = null, validate, timeout = 5000) => {
     return new Promise((resolve) => {
@@ -7,7 +22,7 @@ const test = (method, path, body = null, validate, timeout = 5000) => {
             port: 3000,
             path,
             method,
-            headers: body ? { "Content-Type": "application/json" } : {},
+            headers: headersFor(body),
         };
 
         let resolved = false;
@@ -64,18 +79,115 @@ const test = (method, path, body = null, validate, timeout = 5000) => {
     });
 };
 
+const request = (method, path, body = null) => {
+    return new Promise((resolve, reject) => {
+        const req = http.request(
+            { hostname: "localhost", port: 3000, path, method, headers: headersFor(body) },
+            (res) => {
+                let data = "";
+                res.on("data", (chunk) => (data += chunk));
+                res.on("end", () => resolve(JSON.parse(data)));
+            }
+        );
+        req.on("error", reject);
+        if (body) req.write(JSON.stringify(body));
+        req.end();
+    });
+};
+
+// Registers a webhook pointing at a local stand-in receiver, fires a test delivery and checks its signature
+const testWebhooks = async () => {
+    if (!TOKEN) {
+        const refused = await request("POST", "/api/webhooks", { url: "http://127.0.0.1/hook", events: ["peer.connected"] })
+            .then((json) => json.error !== undefined, () => false);
+        console.log(`${refused ? "✓" : "✗"} POST /api/webhooks without auth`);
+        return refused;
+    }
+
+    const received = [];
+    const receiver = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+            received.push({ headers: req.headers, body });
+            res.end();
+        });
+    });
+    await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+
+    let valid = false;
+    try {
+        const secret = "test-secret";
+        const created = await request("POST", "/api/webhooks", {
+            url: `http://127.0.0.1:${receiver.address().port}/hook`,
+            events: ["peer.connected"],
+            secret,
+        });
+        const result = await request("POST", `/api/webhooks/${created.webhook.id}/test`);
+        await request("DELETE", `/api/webhooks/${created.webhook.id}`);
+
+        const delivery = received[0];
+        const signature = crypto
+            .createHmac("sha256", secret)
+            .update(`${delivery.headers["x-hypermind-timestamp"]}.${delivery.body}`)
+            .digest("hex");
+        valid = result.success === true &&
+            delivery.headers["x-hypermind-signature"] === `sha256=${signature}` &&
+            JSON.parse(delivery.body).event === "test";
+    } catch (e) {
+        valid = false;
+    }
+
+    receiver.close();
+    console.log(`${valid ? "✓" : "✗"} POST /api/webhooks/:id/test`);
+    return valid;
+};
+
 (async () => {
     console.log("Testing API endpoints...\n");
 
     const results = await Promise.all([
         test("GET", "/api/stats", null, (data) => {
             const json = JSON.parse(data);
-            return json.count !== undefined && json.id && json.screenname && json.diagnostics;
+            return json.count !== undefined && json.id && json.screenname && json.diagnostics && Array.isArray(json.topics) && json.pow && json.network && json.network.unique.low <= json.network.unique.high && json.active && json.active.daily <= json.active.monthly && json.diagnostics.bloom.estimatedFpr <= 1;
+        }),
+        test("GET", "/metrics", null, (data, contentType) => {
+            return contentType.includes("text/plain") && data.includes("hypermind_peers ") && data.includes("hypermind_bloom_fill_ratio ") && data.includes("hypermind_duplicate_messages_total ");
+        }),
+        test("GET", "/api/history?metric=peers", null, (data) => {
+            const json = JSON.parse(data);
+            return json.metric === "peers" && Array.isArray(json.points);
         }),
         test("GET", "/api/github/latest-release", null, (data) => {
             const json = JSON.parse(data);
             return json.tag_name && json.html_url;
         }),
+        test("GET", "/api/auth/session", null, (data) => {
+            const json = JSON.parse(data);
+            return typeof json.authEnabled === "boolean" && json.role !== undefined;
+        }),
+        test("GET", "/api/admin/config", null, operatorOnly((json) => {
+            return json.settings && json.settings.MAX_CONNECTIONS.value !== undefined;
+        })),
+        test("GET", "/api/blocklist/export", null, (data) => {
+            const json = JSON.parse(data);
+            return json.publisher && Array.isArray(json.entries) && json.sig;
+        }),
+        test("GET", "/api/peers?limit=10", null, (data) => {
+            const json = JSON.parse(data);
+            return Array.isArray(json.peers) && json.total >= 1;
+        }),
+        test("GET", "/api/peers/geo", null, (data) => {
+            const json = JSON.parse(data);
+            return json.error === "Map disabled" || (typeof json.enabled === "boolean" && Array.isArray(json.peers));
+        }),
+        test("GET", "/api/topology", null, (data) => {
+            const json = JSON.parse(data);
+            return Array.isArray(json.nodes) && Array.isArray(json.edges) && json.nodes.some((n) => n.self);
+        }),
+        test("GET", "/api/peers/bans", null, operatorOnly((json) => {
+            return Array.isArray(json.bans) && Array.isArray(json.scores);
+        })),
         test("POST", "/api/chat", { content: "test", scope: "LOCAL" }, (data) => {
             const json = JSON.parse(data);
             return json.success === true;
@@ -92,6 +204,7 @@ const test = (method, path, body = null, validate, timeout = 5000) => {
         test("GET", "/", null, (data, contentType) => {
             return contentType.includes("text/html") && data.includes("Hypermind");
         }),
+        testWebhooks(),
     ]);
 
     const passed = results.filter(Boolean).length;
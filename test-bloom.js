@@ -0,0 +1,107 @@
+const assert = require("assert");
+const { runTests } = require("./test-runner");
+const { BloomFilter, ScalableBloomFilter, BloomFilterManager } = require("./src/state/bloom");
+
+const ERROR_RATE = 0.01;
+// Keys never added, to measure false positives against
+const FRESH_KEYS = 20000;
+
+const fill = (filter, from, to) => {
+    for (let i = from; i < to; i++) filter.add(`key-${i}`);
+    return filter;
+};
+
+const measuredFpr = (filter) => {
+    let hits = 0;
+    for (let i = 0; i < FRESH_KEYS; i++) {
+        if (filter.has(`fresh-${i}`)) hits++;
+    }
+    return hits / FRESH_KEYS;
+};
+
+const assertAllPresent = (filter, from, to) => {
+    for (let i = from; i < to; i++) {
+        assert.ok(filter.has(`key-${i}`), `key-${i} is missing`);
+    }
+};
+
+const tests = {
+    "a filter at capacity keeps its error rate": () => {
+        const filter = fill(new BloomFilter(2000, ERROR_RATE), 0, 2000);
+        assert.ok(filter.isFull);
+        assertAllPresent(filter, 0, 2000);
+
+        const measured = measuredFpr(filter);
+        assert.ok(measured < ERROR_RATE * 1.5, `measured ${measured}`);
+        assert.ok(Math.abs(filter.estimatedFpr - ERROR_RATE) < ERROR_RATE / 2, `estimated ${filter.estimatedFpr}`);
+    },
+
+    "clear empties a filter": () => {
+        const filter = fill(new BloomFilter(100, ERROR_RATE), 0, 100);
+        filter.clear();
+        assert.strictEqual(filter.count, 0);
+        assert.strictEqual(filter.fillRatio, 0);
+        assert.ok(!filter.has("key-0"));
+    },
+
+    "a scalable filter adds slices past capacity and stays under its error rate": () => {
+        const filter = new ScalableBloomFilter(1000, ERROR_RATE);
+        fill(filter, 0, 1000);
+        assert.strictEqual(filter.filters.length, 1);
+
+        fill(filter, 1000, 8000);
+        // 1000 + 2000 + 4000 are full, the eighth thousand opens a slice of 8000
+        assert.strictEqual(filter.filters.length, 4);
+        assert.strictEqual(filter.count, 8000);
+        assert.strictEqual(filter.capacity, 15000);
+        assertAllPresent(filter, 0, 8000);
+
+        const measured = measuredFpr(filter);
+        assert.ok(measured < ERROR_RATE, `measured ${measured}`);
+        assert.ok(filter.estimatedFpr < ERROR_RATE, `estimated ${filter.estimatedFpr}`);
+        // The estimate tracks what lookups actually hit
+        assert.ok(Math.abs(filter.estimatedFpr - measured) < ERROR_RATE / 4, `estimated ${filter.estimatedFpr}, measured ${measured}`);
+    },
+
+    "rotation keeps one generation and sizes the next for the last": () => {
+        const manager = new BloomFilterManager(ERROR_RATE, 1, 60000);
+        assert.strictEqual(manager.currentBloom.capacity, 1000);
+
+        for (let i = 0; i < 3000; i++) manager.markRelayed("a1b2", i);
+        assert.ok(manager.currentBloom.filters.length > 1);
+
+        manager.rotate();
+        assert.strictEqual(manager.currentBloom.filters.length, 1);
+        assert.strictEqual(manager.currentBloom.capacity, 3000);
+        assert.ok(manager.hasRelayed("a1b2", 0));
+        assert.ok(manager.hasRelayed("a1b2", 2999));
+
+        manager.markRelayed("a1b2", "leave");
+        manager.rotate();
+        assert.strictEqual(manager.currentBloom.capacity, 1000);
+        assert.ok(manager.hasRelayed("a1b2", "leave"));
+        assert.ok(!manager.hasRelayed("a1b2", 0));
+    },
+
+    "stats cover both generations": () => {
+        const manager = new BloomFilterManager(ERROR_RATE, 1, 60000);
+        for (let i = 0; i < 1500; i++) manager.markRelayed("a1b2", i);
+
+        const stats = manager.getStats();
+        assert.strictEqual(stats.targetFpr, ERROR_RATE);
+        assert.strictEqual(stats.items, 1500);
+        assert.strictEqual(stats.capacity, 3000);
+        assert.strictEqual(stats.filters, 2);
+        assert.ok(stats.fillRatio > 0 && stats.fillRatio < 1);
+        assert.ok(stats.estimatedFpr > 0 && stats.estimatedFpr < ERROR_RATE);
+        assert.ok(stats.bytes > 0);
+
+        manager.rotate();
+        const rotated = manager.getStats();
+        assert.strictEqual(rotated.items, 0);
+        assert.strictEqual(rotated.fillRatio, 0);
+        assert.ok(Math.abs(rotated.estimatedFpr - stats.estimatedFpr) < 1e-12);
+    },
+};
+
+runTests(tests);
@@ -0,0 +1,202 @@
+const assert = require("assert");
+const { runTests } = require("./test-runner");
+const { HyperLogLog } = require("./src/state/hyperloglog");
+const { NetworkStatsStore, packSketch } = require("./src/state/network-stats");
+
+const filled = (precision, from, to) => {
+    const sketch = new HyperLogLog(precision);
+    for (let i = from; i < to; i++) sketch.add(`node-${i}`);
+    return sketch;
+};
+
+// Relative error against the true count, allowing four standard errors
+const assertClose = (estimate, actual, precision) => {
+    const allowed = 4 * (1.04 / Math.sqrt(1 << precision));
+    const error = Math.abs(estimate - actual) / actual;
+    assert.ok(error <= allowed, `estimate ${estimate} for ${actual} is off by ${(error * 100).toFixed(2)}%`);
+};
+
+const tests = {
+    "estimates small and large cardinalities": () => {
+        for (const count of [1, 10, 100, 1000, 10000, 100000]) {
+            assertClose(filled(14, 0, count).count(), count, 14);
+        }
+    },
+
+    "counts repeated items once": () => {
+        const sketch = filled(14, 0, 500);
+        for (let i = 0; i < 500; i++) sketch.add(`node-${i}`);
+        assertClose(sketch.count(), 500, 14);
+    },
+
+    "rejects unsupported precisions": () => {
+        assert.throws(() => new HyperLogLog(3), RangeError);
+        assert.throws(() => new HyperLogLog(19), RangeError);
+        assert.throws(() => new HyperLogLog(10.5), RangeError);
+    },
+
+    "switches from sparse to dense": () => {
+        const sketch = filled(14, 0, 100);
+        assert.ok(sketch.isSparse);
+        const before = sketch.count();
+        for (let i = 100; i < 5000; i++) sketch.add(`node-${i}`);
+        assert.ok(!sketch.isSparse);
+        assert.ok(sketch.count() > before);
+        assertClose(sketch.count(), 5000, 14);
+    },
+
+    "merge estimates the union": () => {
+        const a = filled(12, 0, 30000);
+        const b = filled(12, 20000, 50000);
+        const union = filled(12, 0, 50000);
+        a.merge(b);
+        assert.deepStrictEqual(a.getRegisters(), union.getRegisters());
+        assertClose(a.count(), 50000, 12);
+    },
+
+    "merge of sparse and dense sketches": () => {
+        const dense = filled(14, 0, 20000);
+        const sparse = filled(14, 20000, 20050);
+        assert.deepStrictEqual(sparse.clone().merge(dense).getRegisters(), filled(14, 0, 20050).getRegisters());
+    },
+
+    "merge refuses a different precision": () => {
+        assert.throws(() => new HyperLogLog(14).merge(new HyperLogLog(12)), /precision/);
+    },
+
+    "reduce matches adding at the lower precision": () => {
+        for (const count of [50, 50000]) {
+            const reduced = filled(14, 0, count).reduce(10);
+            assert.strictEqual(reduced.precision, 10);
+            assert.deepStrictEqual(reduced.getRegisters(), filled(10, 0, count).getRegisters());
+        }
+        assert.throws(() => new HyperLogLog(10).reduce(12), RangeError);
+    },
+
+    "clone is independent": () => {
+        const sketch = filled(12, 0, 100);
+        const copy = sketch.clone();
+        copy.add("someone-else");
+        assert.strictEqual(sketch.count(), filled(12, 0, 100).count());
+    },
+
+    "serialize round-trips sparse sketches": () => {
+        const sketch = filled(14, 0, 200);
+        const buffer = sketch.serialize();
+        assert.strictEqual(buffer.subarray(0, 2).toString(), "HL");
+        assert.strictEqual(buffer[4], 1);
+        assert.ok(buffer.length < 1000);
+
+        const restored = HyperLogLog.deserialize(buffer);
+        assert.strictEqual(restored.precision, 14);
+        assert.ok(restored.isSparse);
+        assert.deepStrictEqual(restored.getRegisters(), sketch.getRegisters());
+        assert.strictEqual(restored.count(), sketch.count());
+    },
+
+    "serialize round-trips dense sketches": () => {
+        const sketch = filled(10, 0, 20000);
+        const buffer = sketch.serialize();
+        assert.strictEqual(buffer[4], 0);
+        assert.strictEqual(buffer.length, 5 + 1024);
+
+        const restored = HyperLogLog.deserialize(buffer);
+        assert.deepStrictEqual(restored.getRegisters(), sketch.getRegisters());
+        assert.strictEqual(restored.count(), sketch.count());
+    },
+
+    "serialize round-trips empty sketches": () => {
+        const restored = HyperLogLog.deserialize(new HyperLogLog(8).serialize());
+        assert.strictEqual(restored.precision, 8);
+        assert.strictEqual(restored.count(), 0);
+    },
+
+    "serialized form is stable": () => {
+        const sketch = new HyperLogLog(4);
+        sketch.add("a");
+        sketch.add("b");
+        // "HL", version 1, precision 4, sparse, 2 entries: index 3 rank 1, then +9 (index 12) rank 1
+        const hex = "484c0104010203010901";
+        assert.strictEqual(sketch.serialize().toString("hex"), hex);
+        assert.strictEqual(HyperLogLog.deserialize(Buffer.from(hex, "hex")).serialize().toString("hex"), hex);
+    },
+
+    "deserialize rejects malformed data": () => {
+        const valid = filled(12, 0, 50).serialize();
+        const corrupt = (change) => {
+            const copy = Buffer.from(valid);
+            change(copy);
+            return copy;
+        };
+        const bad = [
+            Buffer.alloc(0),
+            "HL",
+            valid.subarray(0, 4),
+            corrupt((b) => (b[0] = 0x58)),
+            corrupt((b) => (b[2] = 2)),
+            corrupt((b) => (b[3] = 30)),
+            corrupt((b) => (b[4] = 7)),
+            valid.subarray(0, valid.length - 1),
+            Buffer.concat([valid, Buffer.from([0])]),
+            corrupt((b) => (b[b.length - 1] = 0)),
+            corrupt((b) => (b[b.length - 1] = 64)),
+            Buffer.concat([filled(10, 0, 5000).serialize(), Buffer.from([1])]),
+            Buffer.from([0x48, 0x4c, 1, 4, 0, ...new Array(16).fill(70)]),
+        ];
+        for (const buffer of bad) {
+            assert.throws(() => HyperLogLog.deserialize(buffer), /Invalid HyperLogLog data/);
+        }
+    },
+
+    "network stats merge reports with our own sketch": () => {
+        const store = new NetworkStatsStore();
+        const peerManager = { uniquePeersHLL: filled(14, 0, 1000), size: 40, totalUniquePeers: 1000 };
+        assert.ok(store.update("a", 2, { hll: packSketch(filled(14, 500, 1500)), peers: 30, direct: 4 }));
+        assert.ok(!store.update("a", 1, { hll: packSketch(filled(14, 0, 10)), peers: 1, direct: 1 }));
+
+        const summary = store.getSummary(peerManager, 8);
+        assert.strictEqual(summary.reporters, 1);
+        assertClose(summary.unique.estimate, 1500, 10);
+        assert.deepStrictEqual(summary.peers, { min: 30, median: 35, max: 40 });
+        assertClose(summary.spread.median, 1000, 10);
+    },
+
+    "network stats leave implausible reports out of the union": () => {
+        const store = new NetworkStatsStore();
+        const peerManager = { uniquePeersHLL: filled(14, 0, 1000), size: 40, totalUniquePeers: 1000 };
+        store.update("a", 1, { hll: packSketch(filled(14, 0, 1200)), peers: 35, direct: 4 });
+        // Every register at 31
+        store.update("liar", 1, { hll: "f".repeat(1280), peers: 1e9, direct: 4 });
+
+        const summary = store.getSummary(peerManager, 8);
+        assert.strictEqual(summary.reporters, 1);
+        assert.strictEqual(summary.rejected, 1);
+        assertClose(summary.unique.estimate, 1200, 10);
+        assert.strictEqual(summary.peers.max, 40);
+        assert.ok(summary.spread.max < 2000);
+    },
+
+    "network stats leave out reports that only blow up once merged": () => {
+        const store = new NetworkStatsStore();
+        const peerManager = { uniquePeersHLL: filled(14, 0, 2000), size: 40, totalUniquePeers: 2000 };
+        store.update("a", 1, { hll: packSketch(filled(14, 0, 2100)), peers: 38, direct: 4 });
+
+        // Each sets a complementary half of the registers to 31 and claims about twice the median
+        const honest = filled(14, 0, 2000).reduce(10).getRegisters();
+        const sybil = (half) => {
+            const registers = honest.map((value, i) => (i % 2 === half ? 31 : value));
+            return packSketch(HyperLogLog.fromRegisters(10, registers));
+        };
+        store.update("sybil-0", 1, { hll: sybil(0), peers: 40, direct: 4 });
+        store.update("sybil-1", 1, { hll: sybil(1), peers: 40, direct: 4 });
+
+        const summary = store.getSummary(peerManager, 8);
+        assert.strictEqual(summary.rejected, 1);
+        assert.strictEqual(summary.reporters, 2);
+        // One of them still gets in, but can't push the estimate past the outlier factor
+        assert.ok(summary.unique.estimate < 2000 * 10, `estimate ${summary.unique.estimate}`);
+        assert.ok(summary.spread.max < 2000 * 10);
+    },
+};
+
+runTests(tests);
@@ -0,0 +1,333 @@
+const assert = require("assert");
+const { runTests } = require("./test-runner");
+const { MaxMindReader, ipToBytes } = require("./src/utils/mmdb");
+
+/*
+ * Builds small MaxMind DB files in memory, following the spec the reader implements:
+ * https://maxmind.github.io/MaxMind-DB/
+ */
+
+const METADATA_MARKER = Buffer.from("abcdef4d61784d696e642e636f6d", "hex");
+
+// Control byte(s) for a type and payload size. Types above 7 are "extended".
+const header = (type, size) => {
+    const bytes = [];
+    let sizeBits;
+    let extra = [];
+    if (size < 29) {
+        sizeBits = size;
+    } else if (size < 285) {
+        sizeBits = 29;
+        extra = [size - 29];
+    } else if (size < 65821) {
+        sizeBits = 30;
+        extra = [(size - 285) >> 8, (size - 285) & 0xff];
+    } else {
+        sizeBits = 31;
+        const rest = size - 65821;
+        extra = [(rest >> 16) & 0xff, (rest >> 8) & 0xff, rest & 0xff];
+    }
+
+    if (type <= 7) {
+        bytes.push((type << 5) | sizeBits);
+    } else {
+        bytes.push(sizeBits, type - 7);
+    }
+    return Buffer.from([...bytes, ...extra]);
+};
+
+const uintBytes = (value, size) => {
+    const bytes = [];
+    for (let i = size - 1; i >= 0; i--) bytes.push(Number((BigInt(value) >> BigInt(i * 8)) & 0xffn));
+    return Buffer.from(bytes);
+};
+
+// Tagged values so every type can be asked for explicitly
+const t = {
+    uint16: (value) => ({ type: 5, value }),
+    uint32: (value) => ({ type: 6, value }),
+    int32: (value) => ({ type: 8, value }),
+    uint64: (value) => ({ type: 9, value }),
+    uint128: (value) => ({ type: 10, value }),
+    float: (value) => ({ type: 15, value }),
+    bytes: (value) => ({ type: 4, value }),
+    // A pointer of the given size (0-3) to a data section offset
+    pointer: (offset, size) => ({ type: 1, offset, size }),
+};
+
+const encode = (value) => {
+    if (typeof value === "string") {
+        const data = Buffer.from(value);
+        return Buffer.concat([header(2, data.length), data]);
+    }
+    if (typeof value === "boolean") return header(14, value ? 1 : 0);
+    if (typeof value === "number") {
+        const data = Buffer.alloc(8);
+        data.writeDoubleBE(value);
+        return Buffer.concat([header(3, 8), data]);
+    }
+    if (Array.isArray(value)) {
+        return Buffer.concat([header(11, value.length), ...value.map(encode)]);
+    }
+    if (value.type === undefined) {
+        const entries = Object.entries(value);
+        return Buffer.concat([header(7, entries.length), ...entries.flatMap(([k, v]) => [encode(k), encode(v)])]);
+    }
+
+    switch (value.type) {
+        case 1: {
+            const { offset, size } = value;
+            if (size === 0) return Buffer.from([0x20 | (offset >> 8), offset & 0xff]);
+            if (size === 1) {
+                const p = offset - 2048;
+                return Buffer.from([0x28 | (p >> 16), (p >> 8) & 0xff, p & 0xff]);
+            }
+            if (size === 2) {
+                const p = offset - 526336;
+                return Buffer.from([0x30 | (p >> 24), (p >> 16) & 0xff, (p >> 8) & 0xff, p & 0xff]);
+            }
+            return Buffer.concat([Buffer.from([0x38]), uintBytes(offset, 4)]);
+        }
+        case 4:
+            return Buffer.concat([header(4, value.value.length), value.value]);
+        case 5:
+        case 6:
+        case 9:
+        case 10: {
+            // Shortest big-endian form, as writers do
+            let size = 0;
+            while (BigInt(value.value) >> BigInt(size * 8)) size++;
+            return Buffer.concat([header(value.type, size), uintBytes(value.value, size)]);
+        }
+        case 8: {
+            const data = Buffer.alloc(4);
+            data.writeInt32BE(value.value);
+            return Buffer.concat([header(8, 4), data]);
+        }
+        case 15: {
+            const data = Buffer.alloc(4);
+            data.writeFloatBE(value.value);
+            return Buffer.concat([header(15, 4), data]);
+        }
+        default:
+            throw new Error(`Can't encode type ${value.type}`);
+    }
+};
+
+// Appends values to a data section and remembers where each one starts
+const dataSection = () => {
+    const parts = [];
+    let size = 0;
+    return {
+        add(value) {
+            const offset = size;
+            const data = encode(value);
+            parts.push(data);
+            size += data.length;
+            return offset;
+        },
+        toBuffer: () => Buffer.concat(parts),
+    };
+};
+
+// Binary trie of [address bytes, prefix length, data offset] networks, numbered breadth first as the format expects
+const buildTree = (networks) => {
+    const root = {};
+    for (const [bytes, prefix, offset] of networks) {
+        let node = root;
+        for (let i = 0; i < prefix; i++) {
+            const bit = (bytes[i >> 3] >> (7 - (i & 7))) & 1;
+            if (i === prefix - 1) {
+                node[bit] = { offset };
+            } else {
+                node = node[bit] = node[bit] || {};
+            }
+        }
+    }
+
+    const nodes = [root];
+    for (let i = 0; i < nodes.length; i++) {
+        for (const bit of [0, 1]) {
+            const child = nodes[i][bit];
+            if (child && child.offset === undefined) nodes.push(child);
+        }
+    }
+    return nodes;
+};
+
+const writeRecords = (nodes, recordSize) => {
+    const nodeCount = nodes.length;
+    const recordValue = (child) => {
+        if (!child) return nodeCount;
+        if (child.offset !== undefined) return nodeCount + 16 + child.offset;
+        return nodes.indexOf(child);
+    };
+
+    const nodeBytes = recordSize / 4;
+    const tree = Buffer.alloc(nodeCount * nodeBytes);
+    nodes.forEach((node, i) => {
+        const left = recordValue(node[0]);
+        const right = recordValue(node[1]);
+        const at = i * nodeBytes;
+        if (recordSize === 24) {
+            tree.writeUIntBE(left, at, 3);
+            tree.writeUIntBE(right, at + 3, 3);
+        } else if (recordSize === 28) {
+            tree.writeUIntBE(left & 0xffffff, at, 3);
+            tree[at + 3] = ((left >> 24) << 4) | (right >> 24);
+            tree.writeUIntBE(right & 0xffffff, at + 4, 3);
+        } else {
+            tree.writeUInt32BE(left, at);
+            tree.writeUInt32BE(right, at + 4);
+        }
+    });
+    return tree;
+};
+
+/**
+ * A database with `networks` of [address, prefix length, record]. IPv4 networks in an
+ * IPv6 database go under ::/96, as MaxMind's own files have them.
+ */
+const buildDatabase = ({ recordSize, ipVersion, networks, build }) => {
+    const data = dataSection();
+    const extra = build ? build(data) : {};
+
+    const entries = networks.map(([ip, prefix, record]) => {
+        let bytes = ipToBytes(ip);
+        if (ipVersion === 6 && bytes.length === 4) {
+            bytes = [...new Array(12).fill(0), ...bytes];
+            prefix += 96;
+        }
+        return [bytes, prefix, data.add(typeof record === "function" ? record(extra) : record)];
+    });
+
+    const nodes = buildTree(entries);
+    const metadata = encode({
+        node_count: t.uint32(nodes.length),
+        record_size: t.uint16(recordSize),
+        ip_version: t.uint16(ipVersion),
+        database_type: "Test-City",
+        binary_format_major_version: t.uint16(2),
+        binary_format_minor_version: t.uint16(0),
+        build_epoch: t.uint64(1767225600n),
+        languages: ["en"],
+        description: { en: "Test database" },
+    });
+
+    return Buffer.concat([
+        writeRecords(nodes, recordSize),
+        Buffer.alloc(16),
+        data.toBuffer(),
+        METADATA_MARKER,
+        metadata,
+    ]);
+};
+
+const city = (name, code, latitude, longitude) => ({
+    city: { names: { en: name } },
+    country: { iso_code: code, names: { en: `${name} Land` } },
+    location: { latitude, longitude },
+});
+
+// Shared strings at offsets that need each pointer size: under 2048, up to 526336, beyond
+const withPointers = (data) => {
+    const near = data.add("near");
+    data.add(t.bytes(Buffer.alloc(3000)));
+    const middle = data.add("middle");
+    data.add(t.bytes(Buffer.alloc(530000)));
+    const far = data.add("far");
+    return { near, middle, far };
+};
+
+const pointerRecord = ({ near, middle, far }) => ({
+    p0: t.pointer(near, 0),
+    p1: t.pointer(middle, 1),
+    p2: t.pointer(far, 2),
+    p3: t.pointer(far, 3),
+});
+
+const sixNetworks = [
+    ["1.2.3.0", 24, city("Testville", "TV", 52.52, 13.405)],
+    ["2001:db8::", 32, city("Sixton", "SX", -33.87, 151.21)],
+    ["9.9.9.0", 24, pointerRecord],
+];
+
+const tests = {
+    "reads every record size": () => {
+        for (const recordSize of [24, 28, 32]) {
+            const reader = new MaxMindReader(buildDatabase({ recordSize, ipVersion: 6, networks: sixNetworks, build: withPointers }));
+            assert.strictEqual(reader.metadata.record_size, recordSize);
+            assert.strictEqual(reader.metadata.database_type, "Test-City");
+            assert.deepStrictEqual(reader.get("1.2.3.4"), city("Testville", "TV", 52.52, 13.405), `record size ${recordSize}`);
+            assert.deepStrictEqual(reader.get("2001:db8:1::1"), city("Sixton", "SX", -33.87, 151.21), `record size ${recordSize}`);
+        }
+    },
+
+    "28-bit records use the shared middle nibble": () => {
+        // Enough data that record values need more than 24 bits
+        const build = (data) => {
+            data.add(t.bytes(Buffer.alloc(1 << 24)));
+            return {};
+        };
+        // Left and right records of the same node
+        const networks = [["1.2.2.0", 24, "left"], ["1.2.3.0", 24, "right"]];
+        const reader = new MaxMindReader(buildDatabase({ recordSize: 28, ipVersion: 4, networks, build }));
+        assert.strictEqual(reader.get("1.2.2.4"), "left");
+        assert.strictEqual(reader.get("1.2.3.4"), "right");
+    },
+
+    "follows every pointer size": () => {
+        const reader = new MaxMindReader(buildDatabase({ recordSize: 28, ipVersion: 6, networks: sixNetworks, build: withPointers }));
+        assert.deepStrictEqual(reader.get("9.9.9.9"), { p0: "near", p1: "middle", p2: "far", p3: "far" });
+    },
+
+    "decodes extended types": () => {
+        const record = {
+            flags: [true, false],
+            small: t.int32(-42),
+            big: t.uint64(2n ** 60n + 5n),
+            huge: t.uint128(2n ** 100n),
+            ratio: t.float(0.5),
+            raw: t.bytes(Buffer.from("beef", "hex")),
+            count: t.uint32(70000),
+            long: "x".repeat(300),
+        };
+        const reader = new MaxMindReader(buildDatabase({ recordSize: 24, ipVersion: 4, networks: [["10.0.0.0", 8, record]] }));
+        assert.deepStrictEqual(reader.get("10.1.2.3"), {
+            flags: [true, false],
+            small: -42,
+            big: 2n ** 60n + 5n,
+            huge: 2n ** 100n,
+            ratio: 0.5,
+            raw: Buffer.from("beef", "hex"),
+            count: 70000,
+            long: "x".repeat(300),
+        });
+    },
+
+    "IPv4 and IPv4-mapped addresses use the IPv4 subtree": () => {
+        const reader = new MaxMindReader(buildDatabase({ recordSize: 24, ipVersion: 6, networks: sixNetworks, build: withPointers }));
+        const expected = city("Testville", "TV", 52.52, 13.405);
+        assert.deepStrictEqual(reader.get("::ffff:1.2.3.200"), expected);
+        assert.deepStrictEqual(reader.get("::ffff:102:304"), expected);
+        assert.deepStrictEqual(reader.get("1.2.3.255"), expected);
+    },
+
+    "misses return null": () => {
+        const six = new MaxMindReader(buildDatabase({ recordSize: 32, ipVersion: 6, networks: sixNetworks, build: withPointers }));
+        assert.strictEqual(six.get("1.2.4.1"), null);
+        assert.strictEqual(six.get("2001:db9::1"), null);
+        assert.strictEqual(six.get("not an ip"), null);
+
+        const four = new MaxMindReader(buildDatabase({ recordSize: 24, ipVersion: 4, networks: [["1.2.3.0", 24, "v4"]] }));
+        assert.strictEqual(four.get("1.2.3.4"), "v4");
+        assert.strictEqual(four.get("2001:db8::1"), null);
+        assert.strictEqual(four.get("8.8.8.8"), null);
+    },
+
+    "rejects files that aren't MaxMind databases": () => {
+        assert.throws(() => new MaxMindReader(Buffer.from("hello")), /Not a MaxMind DB file/);
+    },
+};
+
+runTests(tests);
@@ -0,0 +1,80 @@
+const assert = require("assert");
+const { runTests } = require("./test-runner");
+
+// Low difficulties so nonces can be found on the spot
+process.env.MIN_POW_BITS = "4";
+process.env.MAX_POW_BITS = "6";
+process.env.POW_BITS = "6";
+process.env.POW_NEW_PEER_THRESHOLD = "5";
+
+const { powBits } = require("./src/core/security");
+const { DiagnosticsManager } = require("./src/state/diagnostics");
+const { PowPolicy } = require("./src/state/pow-policy");
+
+// The first nonce for `id` with exactly `bits` leading zero bits
+const nonceWith = (id, bits) => {
+    let nonce = 1;
+    while (powBits(id, nonce) !== bits) nonce++;
+    return nonce;
+};
+
+const setup = () => {
+    const diagnostics = new DiagnosticsManager();
+    // Strong enough already that no test makes the policy mine
+    const identity = { id: "self", nonce: nonceWith("self", 8) };
+    const policy = new PowPolicy(identity, diagnostics);
+    policy.lastTotals = diagnostics.getTotals();
+    return { diagnostics, policy };
+};
+
+const tests = {
+    "a flood of invalid PoW doesn't raise the bar": () => {
+        const { diagnostics, policy } = setup();
+        diagnostics.increment("invalidPoW", 100000);
+        policy.adjust();
+        assert.strictEqual(policy.minBits, 4);
+    },
+
+    "a spike of new peers raises the bar a bit at a time, calm lowers it": () => {
+        const { diagnostics, policy } = setup();
+        for (let i = 0; i < 3; i++) {
+            diagnostics.increment("newPeersAdded", 6);
+            policy.adjust();
+        }
+        assert.strictEqual(policy.minBits, 6);
+
+        for (let i = 0; i < 9; i++) policy.adjust();
+        assert.strictEqual(policy.minBits, 6);
+        policy.adjust();
+        assert.strictEqual(policy.minBits, 5);
+    },
+
+    "a raised bar only applies to IDs we haven't accepted": () => {
+        const { diagnostics, policy } = setup();
+        assert.ok(policy.accepts("known", nonceWith("known", 4)));
+
+        diagnostics.increment("newPeersAdded", 6);
+        policy.adjust();
+        diagnostics.increment("newPeersAdded", 6);
+        policy.adjust();
+        assert.strictEqual(policy.minBits, 6);
+
+        // A node further away never heard `pow` and keeps its nonce
+        assert.ok(policy.accepts("known", nonceWith("known", 4)));
+        assert.ok(!policy.accepts("known", nonceWith("known", 3)));
+
+        assert.ok(!policy.accepts("stranger", nonceWith("stranger", 5)));
+        assert.ok(policy.accepts("stranger", nonceWith("stranger", 6)));
+        assert.ok(!policy.accepts("nobody", 0));
+    },
+
+    "demands above MAX_POW_BITS are capped": () => {
+        const { policy } = setup();
+        policy.observeDemand(40);
+        policy.observeDemand("20");
+        assert.strictEqual(policy.upgrading, null);
+        assert.deepStrictEqual(policy.getStats(), { minBits: 4, ownBits: 8, upgrading: false });
+    },
+};
+
+runTests(tests);
@@ -0,0 +1,164 @@
+const assert = require("assert");
+const { runTests } = require("./test-runner");
+const {
+    FrameDecoder,
+    encodeBinary,
+    decodeBinary,
+    downgradeMessage,
+    encodeMessage,
+    MAX_FRAME_SIZE,
+} = require("./src/p2p/protocol");
+
+// The payload of a binary frame, without its length prefix
+const payloadOf = (msg) => encodeBinary(msg).subarray(4);
+
+const varint = (value) => {
+    const out = [];
+    while (value >= 0x80) {
+        out.push((value % 0x80) | 0x80);
+        value = Math.floor(value / 0x80);
+    }
+    out.push(value);
+    return Buffer.from(out);
+};
+
+// A field outside FIELD_TAGS: tag 0, its name, then a kind byte and the value's bytes
+const namedField = (name, kind, value) => {
+    const nameBytes = Buffer.from(name, "utf8");
+    return Buffer.concat([varint(0), varint(nameBytes.length), nameBytes, Buffer.from([kind]), varint(value.length), value]);
+};
+
+const KIND_STRING = 2;
+const KIND_JSON = 7;
+
+// Collects what a FrameDecoder hands out
+const decoder = () => {
+    const result = { messages: [], invalid: 0 };
+    result.decoder = new FrameDecoder(
+        (msg) => result.messages.push(msg),
+        () => result.invalid++
+    );
+    return result;
+};
+
+const tests = {
+    "binary frames round-trip every kind of value": () => {
+        const msg = {
+            type: "CHAT",
+            id: "302a0a0b",
+            seq: 2 ** 40,
+            hops: 0,
+            timestamp: 1767225600000,
+            nonce: -3,
+            content: "héllo, not hex",
+            scope: "GLOBAL",
+            target: null,
+            sig: "00ff",
+            have: ["a", 1],
+            message: { nested: true },
+            extra: false,
+            custom: 1.5,
+        };
+        const decoded = decodeBinary(payloadOf(msg));
+        assert.deepStrictEqual(decoded, msg);
+        assert.strictEqual(Object.getPrototypeOf(decoded), Object.prototype);
+    },
+
+    "undefined fields are left out": () => {
+        assert.deepStrictEqual(decodeBinary(payloadOf({ type: "LEAVE", id: "ab", sig: undefined })), {
+            type: "LEAVE",
+            id: "ab",
+        });
+    },
+
+    "field names that reach the prototype are rejected": () => {
+        const base = payloadOf({ type: "CHAT", id: "ab" });
+        for (const name of ["__proto__", "constructor", "prototype"]) {
+            const hostile = Buffer.concat([base, namedField(name, KIND_JSON, Buffer.from(JSON.stringify({ sig: "x".repeat(5000) })))]);
+            assert.throws(() => decodeBinary(hostile), /Reserved field name/, name);
+        }
+        // Same for a plain string value
+        assert.throws(() => decodeBinary(Buffer.concat([base, namedField("__proto__", KIND_STRING, Buffer.from("x"))])));
+    },
+
+    "JSON values can't set a prototype either": () => {
+        const base = payloadOf({ type: "CHAT", id: "ab" });
+        const decoded = decodeBinary(Buffer.concat([base, namedField("message", KIND_JSON, Buffer.from('{"__proto__":{"sig":"x"}}'))]));
+        assert.strictEqual(decoded.message.sig, undefined);
+        assert.strictEqual(decoded.sig, undefined);
+    },
+
+    "malformed payloads throw": () => {
+        const valid = payloadOf({ type: "HEARTBEAT", id: "abcd", seq: 300 });
+        const bad = [
+            Buffer.from([0x80]),
+            Buffer.from([0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]),
+            Buffer.from([200, 0, 1]),
+            Buffer.from([1, 99]),
+            Buffer.from([1, KIND_STRING, 10, 0x61]),
+            Buffer.from([1, 1, 0, 0]),
+            Buffer.concat([payloadOf({ type: "CHAT" }), Buffer.from([7, 7, 3]), Buffer.from("{x}")]),
+            valid.subarray(0, valid.length - 1),
+        ];
+        for (const payload of bad) {
+            assert.throws(() => decodeBinary(payload), undefined, payload.toString("hex"));
+        }
+    },
+
+    "the frame decoder switches from JSON lines to binary mid-chunk": () => {
+        const result = decoder();
+        const binary = encodeBinary({ type: "HEARTBEAT", id: "abcd", seq: 1 });
+        const stream = Buffer.concat([Buffer.from('{"type":"HELLO_ACK","codec":"binary"}\n'), binary, binary]);
+
+        result.decoder.push(stream.subarray(0, 10));
+        assert.strictEqual(result.messages.length, 0);
+        const rest = stream.subarray(10);
+        result.decoder.push(rest.subarray(0, rest.length - 3));
+        assert.strictEqual(result.messages.length, 1);
+        result.decoder.setMode("binary");
+        result.decoder.push(rest.subarray(rest.length - 3));
+
+        assert.strictEqual(result.invalid, 0);
+        assert.deepStrictEqual(result.messages.slice(1), [
+            { type: "HEARTBEAT", id: "abcd", seq: 1 },
+            { type: "HEARTBEAT", id: "abcd", seq: 1 },
+        ]);
+    },
+
+    "the frame decoder reports bad frames and keeps going": () => {
+        const result = decoder();
+        result.decoder.push(Buffer.from("not json\n\n{\"type\":\"LEAVE\"}\n"));
+        assert.strictEqual(result.invalid, 1);
+        assert.strictEqual(result.messages.length, 1);
+
+        result.decoder.setMode("binary");
+        const hostile = Buffer.concat([payloadOf({ type: "CHAT" }), namedField("__proto__", KIND_JSON, Buffer.from("{}"))]);
+        const frame = Buffer.alloc(4);
+        frame.writeUInt32BE(hostile.length);
+        result.decoder.push(Buffer.concat([frame, hostile, encodeBinary({ type: "LEAVE" })]));
+        assert.strictEqual(result.invalid, 2);
+        assert.strictEqual(result.messages.length, 2);
+    },
+
+    "oversized frames throw": () => {
+        const binary = decoder();
+        binary.decoder.setMode("binary");
+        const header = Buffer.alloc(4);
+        header.writeUInt32BE(MAX_FRAME_SIZE + 1);
+        assert.throws(() => binary.decoder.push(header), /Frame too large/);
+
+        const lines = decoder();
+        assert.throws(() => lines.decoder.push(Buffer.alloc(MAX_FRAME_SIZE + 1, 0x61)), /Frame too large/);
+    },
+
+    "version 1 peers only get the fields they know": () => {
+        const msg = { type: "HEARTBEAT", id: "ab", seq: 1, hops: 0, nonce: 2, sig: "cd", pow: 20 };
+        assert.deepStrictEqual(downgradeMessage(msg, 1), { type: "HEARTBEAT", id: "ab", seq: 1, hops: 0, nonce: 2, sig: "cd" });
+        assert.strictEqual(downgradeMessage({ type: "STATS" }, 1), null);
+        assert.strictEqual(downgradeMessage(msg, 2), msg);
+        assert.strictEqual(encodeMessage({ type: "STATS" }, { protocolVersion: 1, codec: "json" }), null);
+        assert.strictEqual(encodeMessage({ type: "LEAVE", id: "ab" }, { protocolVersion: 2, codec: "json" }), '{"type":"LEAVE","id":"ab"}\n');
+    },
+};
+
+runTests(tests);
@@ -0,0 +1,257 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { runTests } = require("./test-runner");
+
+// Strategy changes go through the runtime config, which is saved to DATA_DIR
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "hypermind-relay-"));
+process.env.DATA_DIR = dataDir;
+
+const runtime = require("./src/config/runtime");
+const { DiagnosticsManager } = require("./src/state/diagnostics");
+const { GossipRelay, messageId } = require("./src/p2p/relay");
+
+// Pull and graft timeouts are queued here and run by hand, as if their time had passed
+const timers = [];
+global.setTimeout = (fn) => timers.push(fn);
+const runTimers = () => {
+    for (const fn of timers.splice(0)) fn();
+};
+
+const useStrategy = (strategy) => {
+    runtime.update({ RELAY_STRATEGY: strategy }, "test");
+};
+
+// A JSON lines connection that keeps what was written to it
+const fakeSocket = (name, gossip = true) => ({
+    name,
+    codec: "json",
+    protocolVersion: 2,
+    capabilities: gossip ? ["gossip"] : [],
+    sent: [],
+    write(data) {
+        this.sent.push(JSON.parse(data.toString()));
+    },
+});
+
+const setup = (pullers, pushers = 0) => {
+    const sockets = [];
+    for (let i = 0; i < pullers; i++) sockets.push(fakeSocket(`puller-${i}`));
+    for (let i = 0; i < pushers; i++) sockets.push(fakeSocket(`pusher-${i}`, false));
+
+    const diagnostics = new DiagnosticsManager();
+    const connections = new Set(sockets);
+    const gossip = new GossipRelay(diagnostics, () => ({ connections }));
+    return { gossip, diagnostics, sockets };
+};
+
+const heartbeat = (seq, hops = 1) => ({ type: "HEARTBEAT", id: "a1b2", seq, hops, nonce: 1, sig: `sig-${seq}` });
+const chat = (hops = 1) => ({
+    type: "CHAT",
+    scope: "GLOBAL",
+    id: "c0ffee",
+    sender: "a1b2",
+    content: "hi",
+    timestamp: 1,
+    sig: "chat-sig",
+    hops,
+});
+
+const received = (socket, type) => socket.sent.filter((msg) => msg.type === type);
+
+const tests = {
+    "message IDs ignore hops and skip unrelayed messages": () => {
+        assert.match(messageId(heartbeat(1, 0)), /^[0-9a-f]{16}$/);
+        assert.strictEqual(messageId(heartbeat(1, 0)), messageId(heartbeat(1, 3)));
+        assert.notStrictEqual(messageId(heartbeat(1)), messageId(heartbeat(2)));
+        assert.strictEqual(messageId({ ...chat(), scope: "LOCAL" }), null);
+    },
+
+    "random pushes to a subsample and announces nothing": () => {
+        useStrategy("random");
+        const { gossip, sockets } = setup(10);
+        gossip.relay(heartbeat(1), sockets[0]);
+        gossip.flushAnnouncements();
+
+        const pushed = sockets.filter((s) => received(s, "HEARTBEAT").length);
+        assert.strictEqual(pushed.length, 6);
+        assert.ok(!pushed.includes(sockets[0]));
+        assert.ok(sockets.every((s) => !received(s, "IHAVE").length));
+    },
+
+    "every byte written counts as sent, control messages included": () => {
+        useStrategy("push-pull");
+        const { gossip, diagnostics, sockets } = setup(2, 1);
+        for (const socket of sockets) socket.diagnostics = diagnostics;
+
+        gossip.relay(chat(), null);
+        gossip.flushAnnouncements();
+        gossip.relay(heartbeat(1), null);
+
+        const { bytesSent, bytesRelayed, gossipControlBytes } = diagnostics.getTotals();
+        assert.strictEqual(bytesSent, sockets.reduce((sum, s) => sum + s.bytesOut, 0));
+        assert.strictEqual(bytesSent, bytesRelayed + gossipControlBytes);
+    },
+
+    "push-pull announces chat to gossip peers and pushes it to the rest": () => {
+        useStrategy("push-pull");
+        const { gossip, sockets } = setup(3, 2);
+        const msg = chat();
+        gossip.relay(msg, sockets[0]);
+        gossip.flushAnnouncements();
+
+        for (const socket of sockets.slice(1, 3)) {
+            assert.strictEqual(received(socket, "CHAT").length, 0);
+            assert.deepStrictEqual(received(socket, "IHAVE"), [{ type: "IHAVE", ids: messageId(msg) }]);
+        }
+        for (const socket of sockets.slice(3)) {
+            assert.strictEqual(received(socket, "CHAT").length, 1);
+        }
+        assert.strictEqual(sockets[0].sent.length, 0);
+
+        // Heartbeats are still pushed
+        gossip.relay(heartbeat(1), null);
+        assert.ok(sockets.every((s) => received(s, "HEARTBEAT").length === 1));
+    },
+
+    "lazy pushes heartbeats to two gossip peers and announces to the others": () => {
+        useStrategy("lazy");
+        const { gossip, sockets } = setup(6, 2);
+        gossip.relay(heartbeat(1), null);
+        gossip.flushAnnouncements();
+
+        const pullers = sockets.slice(0, 6);
+        assert.strictEqual(pullers.filter((s) => received(s, "HEARTBEAT").length).length, 2);
+        assert.strictEqual(pullers.filter((s) => received(s, "IHAVE").length).length, 4);
+        assert.ok(sockets.slice(6).every((s) => received(s, "HEARTBEAT").length === 1));
+    },
+
+    "plumtree prunes a link that delivers a duplicate": () => {
+        useStrategy("plumtree");
+        const { gossip, diagnostics, sockets } = setup(3);
+        const [first, second, other] = sockets;
+
+        gossip.relay(heartbeat(1, 2), first);
+        assert.strictEqual(received(second, "HEARTBEAT").length, 1);
+
+        gossip.observe(heartbeat(1, 1), second, false);
+        assert.strictEqual(diagnostics.getTotals().duplicatesReceived, 1);
+        assert.strictEqual(second.lazy, true);
+        assert.deepStrictEqual(received(second, "PRUNE"), [{ type: "PRUNE" }]);
+
+        gossip.relay(heartbeat(2, 2), first);
+        gossip.flushAnnouncements();
+        assert.strictEqual(received(second, "HEARTBEAT").length, 1);
+        assert.strictEqual(received(second, "IHAVE").length, 1);
+        assert.strictEqual(received(other, "HEARTBEAT").length, 2);
+    },
+
+    "forged copies are not counted as duplicates": () => {
+        useStrategy("plumtree");
+        const { gossip, diagnostics, sockets } = setup(2);
+        gossip.relay(heartbeat(1), sockets[0]);
+
+        gossip.observe({ ...heartbeat(1), sig: "forged" }, sockets[1], false);
+        gossip.observe(heartbeat(9), sockets[1], false);
+        assert.strictEqual(diagnostics.getTotals().duplicatesReceived, 0);
+        assert.ok(!sockets[1].lazy);
+        assert.strictEqual(received(sockets[1], "PRUNE").length, 0);
+    },
+
+    "PRUNE and GRAFT switch a link between lazy and eager": () => {
+        const { gossip, sockets } = setup(1);
+        assert.ok(gossip.handleControl({ type: "PRUNE" }, sockets[0]));
+        assert.strictEqual(sockets[0].lazy, true);
+        assert.ok(gossip.handleControl({ type: "GRAFT", ids: "00".repeat(8) }, sockets[0]));
+        assert.strictEqual(sockets[0].lazy, false);
+    },
+
+    "IWANT is only answered for IDs announced to that peer, once": () => {
+        useStrategy("push-pull");
+        const { gossip, sockets } = setup(1);
+        const [asker] = sockets;
+        // Connected after the announcement went out
+        const stranger = fakeSocket("stranger");
+        const msg = chat();
+        const id = messageId(msg);
+
+        gossip.relay(msg, null);
+        // Not announced yet
+        gossip.handleControl({ type: "IWANT", ids: id }, asker);
+        assert.strictEqual(received(asker, "CHAT").length, 0);
+
+        gossip.flushAnnouncements();
+        gossip.handleControl({ type: "IWANT", ids: id }, stranger);
+        assert.strictEqual(received(stranger, "CHAT").length, 0);
+
+        gossip.handleControl({ type: "IWANT", ids: id }, asker);
+        gossip.handleControl({ type: "IWANT", ids: id }, asker);
+        assert.strictEqual(received(asker, "CHAT").length, 1);
+        assert.strictEqual(received(asker, "CHAT")[0].hops, msg.hops);
+
+        gossip.handleControl({ type: "IWANT", ids: "ab".repeat(8) }, asker);
+        assert.strictEqual(received(asker, "CHAT").length, 1);
+    },
+
+    "an undelivered pull moves on to the next announcer": () => {
+        useStrategy("push-pull");
+        const { gossip, sockets } = setup(3);
+        const [first, second, third] = sockets;
+        const id = messageId(chat());
+
+        gossip.handleControl({ type: "IHAVE", ids: id }, first);
+        gossip.handleControl({ type: "IHAVE", ids: id }, second);
+        gossip.handleControl({ type: "IHAVE", ids: id }, third);
+        assert.deepStrictEqual(received(first, "IWANT"), [{ type: "IWANT", ids: id }]);
+        assert.strictEqual(received(second, "IWANT").length, 0);
+
+        // A forged copy doesn't count as the delivery
+        gossip.observe({ ...chat(), sig: "forged" }, first, false);
+        runTimers();
+        assert.strictEqual(received(second, "IWANT").length, 1);
+
+        gossip.observe(chat(), second, true);
+        runTimers();
+        assert.strictEqual(received(third, "IWANT").length, 0);
+    },
+
+    "plumtree grafts when the eager links don't deliver in time": () => {
+        useStrategy("plumtree");
+        const { gossip, sockets } = setup(2);
+        const [slow, fast] = sockets;
+        const missing = messageId(heartbeat(1));
+        const delivered = messageId(heartbeat(2));
+
+        gossip.handleControl({ type: "IHAVE", ids: missing + delivered }, slow);
+        assert.strictEqual(received(slow, "GRAFT").length, 0);
+
+        gossip.observe(heartbeat(2), fast, true);
+        runTimers();
+        assert.deepStrictEqual(received(slow, "GRAFT"), [{ type: "GRAFT", ids: missing }]);
+    },
+
+    "malformed control messages are rejected": () => {
+        const { gossip, sockets } = setup(1);
+        const bad = [
+            { type: "IHAVE" },
+            { type: "IHAVE", ids: "" },
+            { type: "IHAVE", ids: "abc" },
+            { type: "IWANT", ids: "ZZ".repeat(8) },
+            { type: "IWANT", ids: "00".repeat(8 * 101) },
+            { type: "IHAVE", ids: "00".repeat(8), extra: 1 },
+            { type: "PRUNE", ids: "00".repeat(8) },
+        ];
+        for (const msg of bad) {
+            assert.strictEqual(gossip.handleControl(msg, sockets[0]), false, JSON.stringify(msg));
+        }
+        assert.strictEqual(sockets[0].sent.length, 0);
+    },
+};
+
+runTests(tests, {
+    beforeEach: () => {
+        timers.length = 0;
+    },
+    after: () => fs.rmSync(dataDir, { recursive: true, force: true }),
+});
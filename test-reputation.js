@@ -0,0 +1,129 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { runTests } = require("./test-runner");
+const { DiagnosticsManager } = require("./src/state/diagnostics");
+const { ReputationManager, PENALTIES, DISCONNECT_SCORE, BAN_SCORE } = require("./src/state/reputation");
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "hypermind-reputation-"));
+
+const KEY = "ab".repeat(32);
+const VICTIM = "302a".repeat(10);
+
+// A connection as reputation sees it: a Noise key, an address, and whatever peer ID it claimed
+const fakeSocket = (key = KEY, ip = "203.0.113.7") => ({
+    remotePublicKey: Buffer.from(key, "hex"),
+    remoteAddress: ip,
+    destroyed: false,
+    destroy() {
+        this.destroyed = true;
+    },
+});
+
+const reputation = () => {
+    fs.rmSync(path.join(dataDir, "bans.json"), { force: true });
+    return new ReputationManager(new DiagnosticsManager(), dataDir);
+};
+
+// Keeps a misbehaving peer at it until its key is banned, reconnecting with the same key
+// and claimed peer ID whenever the connection is dropped. Returns how many connections it took.
+const penalizeUntilBanned = (manager, socket, reason) => {
+    let connections = 1;
+    for (let i = 0; i <= BAN_SCORE && !manager.isBanned(KEY); i++) {
+        if (socket.destroyed) {
+            socket = Object.assign(fakeSocket(), { peerId: socket.peerId });
+            connections++;
+        }
+        manager.penalize(socket, reason);
+    }
+    return connections;
+};
+
+const tests = {
+    "violations drop the connection and then ban its key": () => {
+        const manager = reputation();
+        const first = fakeSocket();
+        for (let i = 0; i < DISCONNECT_SCORE / PENALTIES.invalidSignature; i++) {
+            manager.penalize(first, "invalidSignature");
+        }
+        assert.ok(first.destroyed);
+        assert.strictEqual(manager.activeBans, 0);
+
+        // The key's score survives reconnecting, so the ban comes before it'd take on one connection
+        const connections = penalizeUntilBanned(manager, fakeSocket(), "invalidSignature");
+        assert.ok(connections <= Math.ceil((BAN_SCORE - DISCONNECT_SCORE) / PENALTIES.invalidSignature), `took ${connections}`);
+        assert.ok(manager.isBanned(KEY));
+        assert.ok(manager.isSocketBanned(fakeSocket()));
+        assert.ok(!manager.isSocketBanned(fakeSocket("cd".repeat(32))));
+    },
+
+    "the peer ID a connection claimed is never auto-banned": () => {
+        const manager = reputation();
+        const banned = [];
+        manager.onBan((bans) => banned.push(...bans));
+
+        // Replays the victim's heartbeat with hops 0, then misbehaves
+        const attacker = fakeSocket();
+        attacker.peerId = VICTIM;
+        penalizeUntilBanned(manager, attacker, "malformed");
+
+        assert.ok(manager.isBanned(KEY));
+        assert.ok(!manager.isBanned(VICTIM));
+        assert.ok(!manager.isBanned("203.0.113.7"));
+        assert.deepStrictEqual(banned.map((ban) => ban.kind), ["key"]);
+        assert.ok(manager.listScores().every((entry) => entry.kind === "key"));
+    },
+
+    "relaying a bad message costs a single point": () => {
+        const manager = reputation();
+        const relay = fakeSocket();
+        for (let i = 0; i < DISCONNECT_SCORE - 1; i++) manager.penalize(relay, "invalidSignature", false);
+        assert.ok(!relay.destroyed);
+        assert.strictEqual(manager.listScores()[0].score, DISCONNECT_SCORE - 1);
+    },
+
+    "manual bans cover IDs and IPs, and repeats last longer": () => {
+        const manager = reputation();
+        const first = manager.ban("id", VICTIM, "spam");
+        assert.ok(manager.isBanned(VICTIM));
+
+        manager.ban("ip", "203.0.113.7");
+        assert.ok(manager.isSocketBanned(fakeSocket("cd".repeat(32))));
+
+        assert.ok(manager.unban(VICTIM));
+        assert.ok(!manager.isBanned(VICTIM));
+        assert.ok(!manager.unban(VICTIM));
+
+        const second = manager.ban("id", VICTIM, "spam again");
+        assert.strictEqual(second.strikes, 2);
+        assert.ok(second.until - second.createdAt > first.until - first.createdAt);
+    },
+
+    "bans survive a restart, old automatic ID and IP bans don't": () => {
+        const manager = reputation();
+        penalizeUntilBanned(manager, fakeSocket(), "flood");
+        manager.ban("id", "beef", "manual");
+
+        // Written by versions that still banned these automatically
+        const file = path.join(dataDir, "bans.json");
+        const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+        const until = Date.now() + 60000;
+        saved.bans.push(
+            { kind: "id", value: VICTIM, reason: "", source: "auto", strikes: 1, createdAt: 0, until },
+            { kind: "ip", value: "198.51.100.1", reason: "", source: "auto", strikes: 1, createdAt: 0, until }
+        );
+        fs.writeFileSync(file, JSON.stringify(saved));
+
+        const restarted = new ReputationManager(new DiagnosticsManager(), dataDir);
+        restarted.load();
+        assert.ok(restarted.isBanned(KEY));
+        assert.ok(restarted.isBanned("beef"));
+        assert.ok(!restarted.isBanned(VICTIM));
+        assert.ok(!restarted.isBanned("198.51.100.1"));
+    },
+};
+
+runTests(tests, {
+    after: () => fs.rmSync(dataDir, { recursive: true, force: true }),
+});
@@ -0,0 +1,27 @@
+/**
+ * Runs a table of named test functions in order, printing ✓ or ✗ for each, then
+ * exits with 0 only if all of them passed. Shared by the standalone test-*.js scripts.
+ *
+ * `beforeEach` runs ahead of every test, `after` once they're all done, pass or fail.
+ */
+const runTests = (tests, { beforeEach = () => {}, after = () => {} } = {}) => {
+    let passed = 0;
+    const names = Object.keys(tests);
+    for (const name of names) {
+        beforeEach();
+        try {
+            tests[name]();
+            passed++;
+            console.log(`✓ ${name}`);
+        } catch (e) {
+            console.log(`✗ ${name} - ${e.message}`);
+        }
+    }
+
+    after();
+
+    console.log(`\n${passed}/${names.length} tests passed`);
+    process.exit(passed === names.length ? 0 : 1);
+};
+
+module.exports = { runTests };